@@ -1,11 +1,83 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { createStorageAdapter, createTabChannel, describeStorageError } from './storage';
+import {
+  ARCHIVED_STATUS,
+  COLUMN_COLORS,
+  DEFAULT_BOARD_NAME,
+  DEFAULT_FILTERS,
+  DEFAULT_LABEL_COLOR,
+  DEFAULT_PRIORITY,
+  MAX_AUTO_ARCHIVE_DAYS,
+  MAX_RECURRENCE_INTERVAL,
+  MAX_TRASH_RETENTION_DAYS,
+  PRIORITIES,
+  RECURRENCE_FREQUENCIES,
+  createBoard,
+  generateId,
+  sanitizeAutoArchiveDays,
+  sanitizeFilters,
+  sanitizeTrashRetentionDays,
+} from './boardData';
+import { SCHEMA_VERSION, QUARANTINE_KEY, LEGACY_COLUMNS_KEY, safeJsonParse, loadStoredData } from './storedData';
+import { buildExportData, parseImportFile, mergeImportedBoards } from './importExport';
+import { DAY_MS, startOfDay, startOfWeek, addDays, timestampToDateString } from './dates';
+import { buildTasksCsv } from './csvExport';
+import { mergeRemoteChanges, collectBoardChanges, carryOverChanges } from './boardSync';
+import { trashTasks, trashRemovedSubtasks, restoreTrashEntry, purgeTrashEntries, applyTrashRetention, findPurgedEntries } from './trash';
+import { WEEKDAY_NAMES, describeRecurrence, buildRecurrence, applyRecurrenceToSeries, addNextOccurrences } from './recurrence';
+import { buildBurndown, buildWeeklyThroughput, buildCycleTimes, buildEstimateAccuracy } from './reports';
+import { parseTaskQuery, getQuerySuggestions } from './taskQuery';
 
 // --- Local Storage Key ---
+// Boards are kept in IndexedDB where available; this key holds them otherwise, and is
+// where data from before the IndexedDB move is migrated from.
 const LOCAL_STORAGE_KEY = 'task_manager_data';
 const THEME_KEY = 'task_manager_theme';
 
-// Status options for active Kanban board columns
-const ACTIVE_STATUSES = ['Opened', 'In Progress', 'Completed'];
+// Channel other open tabs of the app use to share their changes
+const TAB_SYNC_CHANNEL = 'task_manager_tabs';
+
+// Cloud sync connection settings (opt-in, off by default)
+const SYNC_SETTINGS_KEY = 'task_manager_sync';
+const DEFAULT_SYNC_SETTINGS = {
+  enabled: false,
+  firebaseConfig: null,
+  workspaceId: '',
+  useEmulator: false,
+  emulatorHost: 'localhost',
+  emulatorPort: 8080,
+};
+
+// Due date highlighting and reminder settings (per browser, like the theme)
+const REMINDER_SETTINGS_KEY = 'task_manager_reminders';
+// Reminders already shown, so reloading the page doesn't repeat them
+const REMINDERS_SENT_KEY = 'task_manager_reminders_sent';
+const DEFAULT_REMINDER_SETTINGS = {
+  dueSoonDays: 2, // Items due within this many days are flagged as due soon
+  notificationsEnabled: false,
+  notifyDaysBefore: 1, // Browser notification this many days before the due date (0 = on the day)
+};
+const MAX_REMINDER_DAYS = 365;
+
+// Ways the active tasks can be laid out (stored per board as filters.view)
+const BOARD_VIEWS = [
+  { id: 'board', label: 'Board' },
+  { id: 'calendar', label: 'Calendar' },
+  { id: 'timeline', label: 'Timeline' },
+  { id: 'table', label: 'Table' },
+];
+
+// Sprint filter value that shows only tasks not assigned to any sprint
+const BACKLOG_FILTER = 'backlog';
+
+const getColumnColor = (color) => COLUMN_COLORS[color] || COLUMN_COLORS.gray;
+
+// Move every task in one column to another. Only the tasks that move get completedDate set
+// or cleared, so reordering or removing columns never invents or drops other completion dates.
+const moveColumnTasks = (tasks, fromStatus, toStatus, doneStatus) => tasks.map(task => {
+  if (task.status !== fromStatus) return task;
+  return { ...task, status: toStatus, completedDate: toStatus === doneStatus ? task.completedDate || Date.now() : null };
+});
 
 // Date Formatting Utility
 const formatDate = (timestamp) => {
@@ -15,6 +87,13 @@ const formatDate = (timestamp) => {
   return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
 };
 
+// Date and time, for activity timelines
+const formatDateTime = (timestamp) => {
+  if (!timestamp) return 'N/A';
+  const date = new Date(Number(timestamp));
+  return date.toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+};
+
 // Utility to convert date string (YYYY-MM-DD) to start-of-day timestamp
 const dateStringToTimestamp = (dateString) => {
   if (!dateString) return null;
@@ -24,8 +103,547 @@ const dateStringToTimestamp = (dateString) => {
   return date.getTime();
 };
 
-// Utility to generate a unique ID
-const generateId = () => crypto.randomUUID();
+// Copy a board, giving the copy and each of its columns, tasks and subtasks fresh ids
+const duplicateBoard = (board, name) => {
+  const sprintIds = new Map((board.sprints || []).map(sprint => [sprint.id, generateId()]));
+  const copyFilters = (filters) => ({ ...filters, sprintId: sprintIds.get(filters?.sprintId) || (filters?.sprintId === BACKLOG_FILTER ? BACKLOG_FILTER : '') });
+  return createBoard(name, {
+    columns: board.columns.map(col => ({ ...col, id: generateId() })),
+    sprints: (board.sprints || []).map(sprint => ({ ...sprint, id: sprintIds.get(sprint.id) })),
+    labels: board.labels || [],
+    tasks: board.tasks.map(task => ({
+      ...task,
+      id: generateId(),
+      sprintId: sprintIds.get(task.sprintId) || null,
+      subtasks: (task.subtasks || []).map(sub => ({ ...sub, id: generateId() })),
+    })),
+    filterPresets: (board.filterPresets || []).map(preset => ({ ...preset, id: generateId(), filters: copyFilters(preset.filters) })),
+    templates: (board.templates || []).map(template => ({ ...template, id: generateId() })),
+    autoArchiveDays: board.autoArchiveDays ?? null,
+    trashRetentionDays: sanitizeTrashRetentionDays(board.trashRetentionDays),
+    filters: copyFilters(board.filters),
+  });
+};
+
+// --- Sprints ---
+// Each board keeps `sprints: [{ id, name, startDate, endDate, capacity, closedAt }]`, with
+// start-of-day timestamps for the dates, capacity in points and closedAt null while open.
+// Tasks join a sprint through `sprintId`; tasks without one are in the backlog.
+
+// Planned, Active, Ended (past its end date but not closed yet) or Closed
+const getSprintState = (sprint, now = Date.now()) => {
+  if (sprint.closedAt) return 'Closed';
+  if (now < sprint.startDate) return 'Planned';
+  if (now >= addDays(sprint.endDate, 1)) return 'Ended';
+  return 'Active';
+};
+
+// Committed and completed points for each sprint, keyed by sprint id. Archived tasks still
+// count, since they were finished as part of the sprint.
+const getSprintStats = (sprints, tasks, doneStatus) => {
+  const stats = Object.fromEntries(sprints.map(sprint => [sprint.id, { committed: 0, completed: 0, taskCount: 0 }]));
+  tasks.forEach(task => {
+    const sprintStats = stats[task.sprintId];
+    if (!sprintStats) return;
+    sprintStats.committed += task.eta || 0;
+    sprintStats.taskCount += 1;
+    if (task.status === doneStatus || task.status === ARCHIVED_STATUS) sprintStats.completed += task.eta || 0;
+  });
+  return stats;
+};
+
+// "Sprint 4" -> "Sprint 5"; names without a trailing number get " (Next)"
+const nextSprintName = (name) => {
+  const match = name.match(/^(.*?)(\d+)\s*$/);
+  return match ? `${match[1]}${Number(match[2]) + 1}` : `${name} (Next)`;
+};
+
+// The sprint unfinished work rolls into when `sprint` closes: the earliest other open sprint
+// starting after it, or else a new sprint of the same length and capacity (isNew: true)
+const getRolloverSprint = (sprints, sprint) => {
+  const next = sprints
+    .filter(other => other.id !== sprint.id && !other.closedAt && other.startDate >= sprint.startDate)
+    .sort((a, b) => a.startDate - b.startDate)[0];
+  if (next) return { sprint: next, isNew: false };
+
+  // Rounding absorbs the hour a daylight saving change adds to or takes from the length
+  const start = addDays(sprint.endDate, 1);
+  return {
+    sprint: {
+      id: generateId(),
+      name: nextSprintName(sprint.name),
+      startDate: start,
+      endDate: addDays(start, Math.round((sprint.endDate - sprint.startDate) / DAY_MS)),
+      capacity: sprint.capacity,
+      closedAt: null,
+    },
+    isNew: true,
+  };
+};
+
+// --- Priority & Sorting ---
+// A task's priority record; tasks saved before priorities existed count as Medium
+const getPriority = (task) => PRIORITIES.find(priority => priority.id === task.priority) || PRIORITIES.find(priority => priority.id === DEFAULT_PRIORITY);
+const priorityRank = (task) => PRIORITIES.indexOf(getPriority(task));
+
+// Past its due day and not finished
+const isTaskOverdue = (task, now = Date.now()) => (
+  !!task.dueDate && !task.completedDate && task.status !== ARCHIVED_STATUS && task.dueDate < startOfDay(now)
+);
+
+// 'overdue', 'dueSoon' or null for a due date; finished items are never flagged
+const getDueState = (dueDate, isFinished, dueSoonDays, now = Date.now()) => {
+  if (!dueDate || isFinished) return null;
+  const today = startOfDay(now);
+  if (dueDate < today) return 'overdue';
+  if (dueDate < addDays(today, dueSoonDays + 1)) return 'dueSoon';
+  return null;
+};
+
+const isTaskFinished = (task) => !!task.completedDate || task.status === ARCHIVED_STATUS;
+
+const getTaskDueState = (task, dueSoonDays, now) => (
+  isTaskOverdue(task, now) ? 'overdue' : getDueState(task.dueDate, isTaskFinished(task), dueSoonDays, now)
+);
+
+// A subtask is done when checked off or when its task is finished
+const getSubtaskDueState = (task, subtask, dueSoonDays, now) => (
+  getDueState(subtask.dueDate, subtask.completed || isTaskFinished(task), dueSoonDays, now)
+);
+
+const DUE_STATE_DISPLAY = {
+  overdue: { label: 'Overdue', card: 'ring-2 ring-red-500 dark:ring-red-400', text: 'text-red-700 dark:text-red-300' },
+  dueSoon: { label: 'Due soon', card: 'ring-2 ring-amber-400 dark:ring-amber-500', text: 'text-amber-700 dark:text-amber-300' },
+};
+
+// The task, or one of its unchecked subtasks, is overdue (what `is:overdue` matches)
+const hasOverdueItem = (task, now = Date.now()) => (
+  isTaskOverdue(task, now) || (task.subtasks || []).some(subtask => getSubtaskDueState(task, subtask, 0, now) === 'overdue')
+);
+
+// Unfinished tasks and subtasks with a due date, as { key, title, dueDate, taskTitle }
+const getDueItems = (tasks) => tasks.flatMap(task => {
+  if (isTaskFinished(task)) return [];
+  const items = task.dueDate ? [{ key: task.id, title: task.title, dueDate: task.dueDate, taskTitle: null }] : [];
+  (task.subtasks || []).forEach(subtask => {
+    if (subtask.dueDate && !subtask.completed) {
+      items.push({ key: `${task.id}/${subtask.id}`, title: subtask.title, dueDate: subtask.dueDate, taskTitle: task.title });
+    }
+  });
+  return items;
+});
+
+// Sort options shared by the board and the archive
+const TASK_SORT_OPTIONS = [
+  { id: 'dueDate', label: 'Due Date' },
+  { id: 'eta', label: 'Point Cost' },
+  { id: 'priority', label: 'Priority' },
+  { id: 'smart', label: 'Smart (priority, overdue, due date)' },
+];
+
+// Comparator for one of the TASK_SORT_OPTIONS
+const getTaskSorter = (sortBy, now = Date.now()) => {
+  const byDueDate = (a, b) => (a.dueDate || Infinity) - (b.dueDate || Infinity);
+  switch (sortBy) {
+    case 'dueDate':
+      // Earlier due date first
+      return byDueDate;
+    case 'eta':
+      // Higher cost first
+      return (a, b) => (b.eta || 0) - (a.eta || 0);
+    case 'priority':
+      // Most pressing first, earlier due date breaking ties
+      return (a, b) => priorityRank(a) - priorityRank(b) || byDueDate(a, b);
+    case 'smart':
+      // Most pressing first, then overdue before on-time, then earlier due date
+      return (a, b) => priorityRank(a) - priorityRank(b)
+        || Number(isTaskOverdue(b, now)) - Number(isTaskOverdue(a, now))
+        || byDueDate(a, b);
+    default:
+      return () => 0;
+  }
+};
+
+// --- Labels ---
+// Each board keeps `labels: [{ name, color }]`, with color one of the COLUMN_COLORS keys.
+// Tasks refer to labels by name in their own `labels` list. A name a task uses without a
+// definition (e.g. typed into the table view) is still a label, shown in gray.
+
+// Defined labels plus any undefined names the tasks use, sorted by name
+const getBoardLabels = (labels, tasks) => {
+  const byName = new Map(labels.map(label => [label.name, label]));
+  tasks.forEach(task => (task.labels || []).forEach(name => {
+    if (!byName.has(name)) byName.set(name, { name, color: DEFAULT_LABEL_COLOR });
+  }));
+  return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// A color for a new label, cycling through the palette
+const nextLabelColor = (labels) => {
+  const colors = Object.keys(COLUMN_COLORS).filter(color => color !== DEFAULT_LABEL_COLOR);
+  return colors[labels.length % colors.length];
+};
+
+// Whether a task has any (or, in 'all' mode, every one) of the selected label names
+const matchesLabelFilter = (task, selectedLabels, mode) => {
+  if (selectedLabels.length === 0) return true;
+  const taskLabels = task.labels || [];
+  return mode === 'all'
+    ? selectedLabels.every(name => taskLabels.includes(name))
+    : selectedLabels.some(name => taskLabels.includes(name));
+};
+
+// --- Saved Views & View Links ---
+// A board's filters (search, due-by, sort, sprint, labels and layout) can be saved under a
+// name in `filterPresets: [{ id, name, filters }]`, and are mirrored into the URL hash so a
+// bookmark or shared link reopens the same view. The hash keeps working on a static host
+// (GitHub Pages), where the page path can't carry state.
+const VIEW_HASH_KEYS = { searchQuery: 'q', dueByDate: 'due', sortBy: 'sort', sprintId: 'sprint', labelMode: 'labelMode', view: 'view' };
+
+// `#board=<id>&q=...&sort=...&label=a&label=b`, leaving out filters at their defaults
+const buildViewHash = (boardId, filters) => {
+  const params = new URLSearchParams();
+  params.set('board', boardId);
+  Object.entries(VIEW_HASH_KEYS).forEach(([key, param]) => {
+    if (filters[key] && filters[key] !== DEFAULT_FILTERS[key]) params.set(param, filters[key]);
+  });
+  (filters.labels || []).forEach(label => params.append('label', label));
+  return `#${params.toString()}`;
+};
+
+// The board id and filters in a view hash, or null when the hash isn't one
+const parseViewHash = (hash) => {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  if (!params.has('board')) return null;
+  const filters = { labels: params.getAll('label') };
+  Object.entries(VIEW_HASH_KEYS).forEach(([key, param]) => {
+    if (params.has(param)) filters[key] = params.get(param);
+  });
+  return { boardId: params.get('board'), filters: sanitizeFilters(filters) };
+};
+
+// --- Task Templates ---
+// Boards keep `templates: [{ id, name, description, eta, labels, subtasks: [{ title, eta, dueOffset }] }]`.
+// A subtask's dueOffset is its due date in days relative to the task's due date (null for none),
+// so a new task from the template gets subtask due dates spaced the same way.
+
+// A template holding a task's reusable details
+const createTemplateFromTask = (name, task) => ({
+  id: generateId(),
+  name,
+  description: task.description,
+  eta: task.eta,
+  labels: [...(task.labels || [])],
+  subtasks: (task.subtasks || []).map(sub => ({
+    title: sub.title,
+    eta: sub.eta || 0,
+    dueOffset: sub.dueDate && task.dueDate ? Math.round((startOfDay(sub.dueDate) - startOfDay(task.dueDate)) / DAY_MS) : null,
+  })),
+});
+
+// Fresh, unchecked subtasks for a new task from the template, due relative to `dueDate`
+const createTemplateSubtasks = (template, dueDate) => template.subtasks.map(sub => ({
+  id: generateId(),
+  title: sub.title,
+  completed: false,
+  eta: sub.eta,
+  dueDate: sub.dueOffset !== null && dueDate ? addDays(dueDate, sub.dueOffset) : null,
+}));
+
+// --- Archive Rules ---
+// Finished tasks leave the board by being archived (status ARCHIVED_STATUS, stamped with archivedAt).
+// Boards can also archive them automatically `autoArchiveDays` days after completion (null = off).
+
+// Tasks in the done column completed before `cutoff` (a timestamp; Infinity for all of them)
+const isArchivableBefore = (task, doneStatus, cutoff) => (
+  task.status === doneStatus && !!task.completedDate && task.completedDate < cutoff
+);
+
+const archiveTasksBefore = (tasks, doneStatus, cutoff, archivedAt = Date.now()) => (
+  tasks.map(task => (isArchivableBefore(task, doneStatus, cutoff) ? { ...task, status: ARCHIVED_STATUS, archivedAt } : task))
+);
+
+// Boards with their automatic archive rule applied (the same array when nothing was due)
+const applyAutoArchive = (boards, now = Date.now()) => {
+  let changed = false;
+  const nextBoards = boards.map(board => {
+    if (!board.autoArchiveDays || board.columns.length === 0) return board;
+    const doneStatus = board.columns[board.columns.length - 1].name;
+    const cutoff = now - board.autoArchiveDays * DAY_MS;
+    if (!board.tasks.some(task => isArchivableBefore(task, doneStatus, cutoff))) return board;
+    changed = true;
+    return { ...board, tasks: stampModifiedTasks(board.tasks, archiveTasksBefore(board.tasks, doneStatus, cutoff, now)) };
+  });
+  return changed ? nextBoards : boards;
+};
+
+// --- Task Dependencies ---
+// A task's `blockedBy` lists the ids of tasks that must be finished before it can move on;
+// the reverse ("blocks") is worked out from the other tasks. Ids of tasks that no longer
+// exist are ignored.
+
+// A task still counts as a blocker until it reaches the done column or the archive
+const isTaskOpen = (task, doneStatus) => task.status !== doneStatus && task.status !== ARCHIVED_STATUS;
+
+// Open tasks blocking each task, keyed by task id (tasks with no open blockers are left out)
+const getOpenBlockers = (tasks, doneStatus) => {
+  const tasksById = new Map(tasks.map(task => [task.id, task]));
+  const openBlockers = new Map();
+  tasks.forEach(task => {
+    const blockers = (task.blockedBy || []).map(id => tasksById.get(id)).filter(blocker => blocker && isTaskOpen(blocker, doneStatus));
+    if (blockers.length > 0) openBlockers.set(task.id, blockers);
+  });
+  return openBlockers;
+};
+
+// If blocking `taskId` by the `blockedBy` tasks would create a loop, return the loop as a list
+// of task ids starting and ending at taskId; otherwise null
+const findDependencyCycle = (tasks, taskId, blockedBy) => {
+  const tasksById = new Map(tasks.map(task => [task.id, task]));
+  const dependenciesOf = (id) => (id === taskId ? blockedBy : tasksById.get(id)?.blockedBy || []);
+  const visited = new Set();
+
+  const search = (id, path) => {
+    if (id === taskId) return path;
+    if (visited.has(id)) return null;
+    visited.add(id);
+    for (const next of dependenciesOf(id)) {
+      const found = search(next, [...path, next]);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  for (const blockerId of blockedBy) {
+    const cycle = search(blockerId, [taskId, blockerId]);
+    if (cycle) return cycle;
+  }
+  return null;
+};
+
+// --- File Downloads ---
+// Trigger a browser download of the given text content
+const downloadFile = (filename, content, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// Today's date as YYYY-MM-DD, used in export file names
+const todayString = () => new Date().toISOString().split('T')[0];
+
+// --- Reminder Settings ---
+const sanitizeReminderDays = (value, fallback) => (
+  Number.isInteger(value) && value >= 0 && value <= MAX_REMINDER_DAYS ? value : fallback
+);
+
+const loadReminderSettings = () => {
+  const stored = safeJsonParse(localStorage.getItem(REMINDER_SETTINGS_KEY), {}) || {};
+  return {
+    dueSoonDays: sanitizeReminderDays(stored.dueSoonDays, DEFAULT_REMINDER_SETTINGS.dueSoonDays),
+    notificationsEnabled: stored.notificationsEnabled === true,
+    notifyDaysBefore: sanitizeReminderDays(stored.notifyDaysBefore, DEFAULT_REMINDER_SETTINGS.notifyDaysBefore),
+  };
+};
+
+// --- Cloud Sync Settings ---
+const loadSyncSettings = () => ({ ...DEFAULT_SYNC_SETTINGS, ...safeJsonParse(localStorage.getItem(SYNC_SETTINGS_KEY), {}) });
+
+// Accept either JSON or the `const firebaseConfig = { apiKey: "..." };` snippet from the Firebase console
+const parseFirebaseConfig = (text) => {
+  const body = text.trim().replace(/^[^{]*/, '').replace(/;?\s*$/, '');
+  const json = body
+    .replace(/([{,]\s*)([A-Za-z_$][\w$]*)\s*:/g, '$1"$2":') // Quote bare keys
+    .replace(/'/g, '"')
+    .replace(/,\s*}/g, '}'); // Drop trailing commas
+  const config = safeJsonParse(json, null);
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('The Firebase config could not be read. Paste the JSON object or the firebaseConfig snippet from the Firebase console.');
+  }
+  if (!config.projectId) {
+    throw new Error('The Firebase config needs a "projectId".');
+  }
+  return config;
+};
+
+// --- Task Activity History ---
+// Each task keeps a `history` list of { at, type, ... } entries, oldest first:
+//   { type: 'created', to }                       task was added (to = its first status)
+//   { type: 'status', from, to }                  moved between columns (or to/from the archive)
+//   { type: 'edit', fields: [...] }               title, description, ETA, due date or subtasks edited
+//   { type: 'subtask', subtaskId, title, completed }  a subtask was checked or unchecked
+// Older entries are dropped beyond this many
+const MAX_TASK_HISTORY = 200;
+
+// Task fields whose edits are logged, with the label shown in the timeline
+const HISTORY_FIELDS = { title: 'title', description: 'description', eta: 'points ETA', dueDate: 'due date', startDate: 'start date', sprintId: 'sprint', blockedBy: 'blockers', labels: 'labels', priority: 'priority', recurrence: 'repeat rule' };
+
+// Comparable form of a logged field (lists and objects by their contents; empty and missing alike)
+const historyFieldValue = (value) => {
+  if (Array.isArray(value)) return value.length > 0 ? value.join(',') : null;
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return value ?? null;
+};
+
+// One line of readable text for a history entry
+const describeHistoryEntry = (entry) => {
+  switch (entry.type) {
+    case 'created':
+      return entry.to ? `Created in ${entry.to}` : 'Created';
+    case 'status':
+      return entry.from ? `Moved from ${entry.from} to ${entry.to}` : `Moved to ${entry.to}`;
+    case 'edit':
+      return `Edited ${(entry.fields || []).map(field => HISTORY_FIELDS[field] || field).join(', ')}`;
+    case 'subtask':
+      return `${entry.completed ? 'Completed' : 'Reopened'} subtask "${entry.title}"`;
+    default:
+      return 'Updated';
+  }
+};
+
+// Entries describing how a task changed from `previous` to `next` (previous is undefined for new tasks)
+const describeTaskChanges = (previous, next, at) => {
+  if (!previous) return [{ at, type: 'created', to: next.status }];
+
+  const entries = [];
+  if (previous.status !== next.status) {
+    entries.push({ at, type: 'status', from: previous.status, to: next.status });
+  }
+
+  const fields = Object.keys(HISTORY_FIELDS).filter(field => historyFieldValue(previous[field]) !== historyFieldValue(next[field]));
+  const previousSubtasks = new Map((previous.subtasks || []).map(sub => [sub.id, sub]));
+  const nextSubtasks = next.subtasks || [];
+  let subtasksEdited = nextSubtasks.length !== previousSubtasks.size;
+  nextSubtasks.forEach(sub => {
+    const before = previousSubtasks.get(sub.id);
+    if (!before) {
+      subtasksEdited = true;
+    } else if (before.completed !== sub.completed) {
+      entries.push({ at, type: 'subtask', subtaskId: sub.id, title: sub.title, completed: sub.completed });
+    } else if (before.title !== sub.title || before.eta !== sub.eta || before.dueDate !== sub.dueDate) {
+      subtasksEdited = true;
+    }
+  });
+  if (subtasksEdited) fields.push('subtasks');
+  if (fields.length > 0) entries.push({ at, type: 'edit', fields });
+
+  return entries;
+};
+
+// Give tasks that are new or changed (a different object than before) a fresh updatedAt,
+// and log what changed in their history
+const stampModifiedTasks = (prevTasks, nextTasks) => {
+  if (prevTasks === nextTasks) return nextTasks;
+  const previousById = new Map(prevTasks.map(task => [task.id, task]));
+  const now = Date.now();
+  return nextTasks.map(task => {
+    const previous = previousById.get(task.id);
+    if (previous === task) return task;
+    // Tasks copied in with their own history (duplicated boards, imports) keep it as-is
+    const entries = !previous && Array.isArray(task.history) ? [] : describeTaskChanges(previous, task, now);
+    const history = entries.length > 0 ? [...(task.history || []), ...entries].slice(-MAX_TASK_HISTORY) : task.history;
+    return { ...task, history, updatedAt: now };
+  });
+};
+
+// --- Undo / Redo History ---
+// Number of undo steps kept
+const MAX_HISTORY = 100;
+
+// Board settings that undo/redo covers alongside the tasks
+const HISTORY_BOARD_FIELDS = ['columns', 'sprints', 'labels', 'trash'];
+
+// Task, column, sprint, label and trash changes between two versions of the boards, as reversible entries
+// holding the copy before and after. Boards that were added or removed aren't tracked.
+const collectHistoryChanges = (previousBoards, boards) => {
+  const changes = [];
+  const previousById = new Map(previousBoards.map(board => [board.id, board]));
+
+  boards.forEach(board => {
+    const previous = previousById.get(board.id);
+    if (!previous || previous === board) return;
+
+    HISTORY_BOARD_FIELDS.forEach(field => {
+      if (previous[field] !== board[field]) {
+        changes.push({ boardId: board.id, type: 'board', field, before: previous[field], after: board[field] });
+      }
+    });
+    if (previous.tasks === board.tasks) return;
+
+    const previousTasks = new Map(previous.tasks.map((task, index) => [task.id, { task, index }]));
+    board.tasks.forEach((task, index) => {
+      const before = previousTasks.get(task.id);
+      previousTasks.delete(task.id);
+      if (!before || before.task !== task) {
+        changes.push({ boardId: board.id, type: 'task', id: task.id, before: before ? before.task : null, after: task, beforeIndex: before ? before.index : index, afterIndex: index });
+      }
+    });
+    previousTasks.forEach(({ task, index }) => {
+      changes.push({ boardId: board.id, type: 'task', id: task.id, before: task, after: null, beforeIndex: index, afterIndex: index });
+    });
+  });
+
+  return changes;
+};
+
+// Put back one side ('before' to undo, 'after' to redo) of a history entry. Restored tasks
+// get a fresh updatedAt so other tabs and devices take them over the copies they hold.
+const applyHistoryChanges = (boards, changes, side) => {
+  const now = Date.now();
+  return boards.map(board => {
+    const boardChanges = changes.filter(change => change.boardId === board.id);
+    if (boardChanges.length === 0) return board;
+
+    const fields = {};
+    let boardTasks = board.tasks;
+    boardChanges.forEach(change => {
+      const value = change[side];
+      if (change.type === 'board') {
+        fields[change.field] = value;
+        return;
+      }
+      const index = side === 'before' ? change.beforeIndex : change.afterIndex;
+      boardTasks = boardTasks.filter(task => task.id !== change.id);
+      if (value) boardTasks = [...boardTasks.slice(0, index), { ...value, updatedAt: now }, ...boardTasks.slice(index)];
+    });
+    return { ...board, ...fields, tasks: boardTasks };
+  });
+};
+
+// History steps with every trace of purged trash entries (see findPurgedEntries) taken out, so
+// undo and redo can't bring back what was deleted permanently. Steps left empty are dropped.
+const forgetPurgedEntries = (steps, purged) => {
+  if (purged.length === 0) return steps;
+  return steps.map(changes => changes.flatMap(change => {
+    const entries = purged.find(item => item.boardId === change.boardId)?.entries;
+    if (!entries) return [change];
+    const entryIds = new Set(entries.map(entry => entry.id));
+    if (change.type === 'board') {
+      if (change.field !== 'trash') return [change];
+      const keep = (trash) => trash.filter(entry => !entryIds.has(entry.id));
+      return [{ ...change, before: keep(change.before), after: keep(change.after) }];
+    }
+    if (entries.some(entry => entry.type === 'task' && entry.task.id === change.id)) return [];
+    const subtaskIds = new Set(entries.filter(entry => entry.type === 'subtask').map(entry => entry.subtask.id));
+    const keepSubtasks = (task) => (task && (task.subtasks || []).some(sub => subtaskIds.has(sub.id))
+      ? { ...task, subtasks: task.subtasks.filter(sub => !subtaskIds.has(sub.id)) }
+      : task);
+    return [{ ...change, before: keepSubtasks(change.before), after: keepSubtasks(change.after) }];
+  })).filter(changes => changes.length > 0);
+};
+
+// --- CSV Export ---
+// Download tasks as a CSV file named after the board and view
+const downloadTasksCsv = (tasks, perSubtask, boardName, view) => {
+  const safeName = boardName.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'board';
+  downloadFile(`${safeName}-${view}-${todayString()}.csv`, buildTasksCsv(tasks, perSubtask), 'text/csv;charset=utf-8');
+};
 
 // --- Modal Component ---
 const Modal = ({ isOpen, onClose, children, title, size = 'max-w-lg', isDarkMode }) => {
@@ -67,15 +685,76 @@ const Modal = ({ isOpen, onClose, children, title, size = 'max-w-lg', isDarkMode
   );
 };
 
+// --- CSV Export Button (with per-task / per-subtask choice) ---
+const CsvExportButton = ({ onExport, className }) => {
+  const [isMenuOpen, setIsMenuOpen] = useState(false);
+
+  const handleChoose = (perSubtask) => {
+    setIsMenuOpen(false);
+    onExport(perSubtask);
+  };
+
+  return (
+    <div className="relative flex-1">
+      <button
+        type="button"
+        onClick={() => setIsMenuOpen(prev => !prev)}
+        className={className}
+        title="Download the tasks in this view as CSV"
+      >
+        {/* Inline SVG for Table Icon */}
+        <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 10h18M3 14h18m-9-4v8m-7 0h14a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z"></path></svg>
+        CSV
+      </button>
+      {isMenuOpen && (
+        <div className="absolute right-0 mt-2 w-48 z-40 rounded-lg shadow-xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-sm text-left overflow-hidden">
+          <button
+            type="button"
+            onClick={() => handleChoose(false)}
+            className="block w-full px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            One row per task
+          </button>
+          <button
+            type="button"
+            onClick={() => handleChoose(true)}
+            className="block w-full px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            One row per subtask
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
 // --- TaskCard Component (Active Kanban) ---
-const TaskCard = React.memo(({ task, onStatusChange, onDeleteTask, onToggleSubtask, onEditTask }) => {
+// Small colored chip for a label, with an optional remove button
+const LabelChip = ({ name, color, onRemove }) => (
+  <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-semibold text-white ${getColumnColor(color).header}`}>
+    {name}
+    {onRemove && (
+      <button type="button" onClick={onRemove} className="ml-1 hover:opacity-70" title={`Remove label "${name}"`}>
+        {/* Close Icon SVG */}
+        <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path></svg>
+      </button>
+    )}
+  </span>
+);
+
+// `openBlockers` are the unfinished tasks this one is waiting on (if any); `labelColors` maps label names to colors.
+// Due dates are flagged against `today` (a start-of-day timestamp, so cards only re-render when the day changes).
+// `isSelected` and `onToggleSelect(event, taskId)` drive the checkbox used for bulk actions.
+const TaskCard = React.memo(({ task, statuses, color, openBlockers, labelColors = {}, dueSoonDays = DEFAULT_REMINDER_SETTINGS.dueSoonDays, today, isSelected = false, onToggleSelect, onStatusChange, onDeleteTask, onToggleSubtask, onEditTask }) => {
   const [showConfirmDelete, setShowConfirmDelete] = useState(false);
   
-  const currentStatusIndex = ACTIVE_STATUSES.indexOf(task.status);
+  const currentStatusIndex = statuses.indexOf(task.status);
   const subtasksCompleted = task.subtasks?.filter(s => s.completed).length || 0;
   const subtaskTotal = task.subtasks?.length || 0;
   const subtaskProgress = subtaskTotal > 0 ? `${subtasksCompleted}/${subtaskTotal}` : 'N/A';
   const totalSubtaskEta = task.subtasks?.reduce((sum, sub) => sum + (sub.eta || 0), 0) || 0;
+  const priority = getPriority(task);
+  const dueState = DUE_STATE_DISPLAY[getTaskDueState(task, dueSoonDays, today)];
 
   // Handler for confirmed deletion
   const handleDeleteConfirmed = useCallback(() => {
@@ -85,19 +764,19 @@ const TaskCard = React.memo(({ task, onStatusChange, onDeleteTask, onToggleSubta
   
   // Handler to move task status forward
   const handleMoveForward = useCallback(() => {
-    if (currentStatusIndex < ACTIVE_STATUSES.length - 1) {
-      const nextStatus = ACTIVE_STATUSES[currentStatusIndex + 1];
+    if (currentStatusIndex < statuses.length - 1) {
+      const nextStatus = statuses[currentStatusIndex + 1];
       onStatusChange(task.id, nextStatus);
     }
-  }, [currentStatusIndex, task.id, onStatusChange]);
+  }, [currentStatusIndex, statuses, task.id, onStatusChange]);
 
   // Handler to move task status backward
   const handleMoveBackward = useCallback(() => {
     if (currentStatusIndex > 0) {
-      const prevStatus = ACTIVE_STATUSES[currentStatusIndex - 1];
+      const prevStatus = statuses[currentStatusIndex - 1];
       onStatusChange(task.id, prevStatus);
     }
-  }, [currentStatusIndex, task.id, onStatusChange]);
+  }, [currentStatusIndex, statuses, task.id, onStatusChange]);
 
   // Handler for drag start: sets the data being dragged (the taskId)
   const handleDragStart = useCallback((e) => {
@@ -110,22 +789,26 @@ const TaskCard = React.memo(({ task, onStatusChange, onDeleteTask, onToggleSubta
     e.currentTarget.style.opacity = '1';
   }, []);
 
-  const statusColors = {
-    'Opened': 'bg-blue-100 dark:bg-blue-900 border-blue-400 dark:border-blue-700 text-blue-800 dark:text-blue-200',
-    'In Progress': 'bg-yellow-100 dark:bg-yellow-900 border-yellow-400 dark:border-yellow-700 text-yellow-800 dark:text-yellow-200',
-    'Completed': 'bg-green-100 dark:bg-green-900 border-green-400 dark:border-green-700 text-green-800 dark:text-green-200',
-  };
-
   return (
     <div 
-      className={`p-4 rounded-xl shadow-lg transition-all duration-300 cursor-grab ${statusColors[task.status]}`}
+      className={`p-4 rounded-xl shadow-lg transition-all duration-300 cursor-grab ${getColumnColor(color).card} ${isSelected ? 'ring-4 ring-blue-500 dark:ring-blue-400' : dueState ? dueState.card : ''}`}
       draggable="true"
       onDragStart={handleDragStart}
       onDragEnd={handleDragEnd}
     >
       <div className="flex justify-between items-start mb-2">
+        {/* Bulk Selection Checkbox (shift-click selects a range) */}
+        {onToggleSelect && (
+          <input
+            type="checkbox"
+            checked={isSelected}
+            readOnly
+            onClick={(e) => onToggleSelect(e, task.id)}
+            className="mt-1 mr-2 h-4 w-4"
+            aria-label={`Select ${task.title}`}
+          />
+        )}
 
-        
         {/* Delete Button */}
         <button
           onClick={() => setShowConfirmDelete(true)}
@@ -138,6 +821,11 @@ const TaskCard = React.memo(({ task, onStatusChange, onDeleteTask, onToggleSubta
         <h3 className="text-lg font-bold text-gray-900 dark:text-gray-100 border-b pb-1 border-gray-300 dark:border-gray-600 flex-1">
           {task.title}
         </h3>
+
+        {/* Priority Badge */}
+        <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-bold whitespace-nowrap ${priority.badge}`} title="Priority">
+          {priority.label}
+        </span>
         
         {/* Edit Button */}
         <button
@@ -151,6 +839,23 @@ const TaskCard = React.memo(({ task, onStatusChange, onDeleteTask, onToggleSubta
       </div>
 
       <p className="text-sm text-gray-700 dark:text-gray-300 mb-3">{task.description}</p>
+
+      {/* Labels */}
+      {(task.labels || []).length > 0 && (
+        <div className="flex flex-wrap gap-1 mb-3">
+          {task.labels.map(name => <LabelChip key={name} name={name} color={labelColors[name]} />)}
+        </div>
+      )}
+
+      {/* Open Blockers */}
+      {openBlockers && (
+        <div
+          className="mb-3 px-2 py-1 rounded-lg text-xs font-semibold bg-orange-100 dark:bg-orange-900 text-orange-800 dark:text-orange-200"
+          title={openBlockers.map(blocker => `${blocker.title} (${blocker.status})`).join('\n')}
+        >
+          Blocked by {openBlockers.length === 1 ? `"${openBlockers[0].title}"` : `${openBlockers.length} open tasks`}
+        </div>
+      )}
       
       {/* Dates and Points */}
       <div className="space-y-2 mb-4 text-sm border-b pb-3 border-gray-300 dark:border-gray-600">
@@ -160,8 +865,16 @@ const TaskCard = React.memo(({ task, onStatusChange, onDeleteTask, onToggleSubta
         </div>
         <div className="flex justify-between text-gray-700 dark:text-gray-300">
           <span>Due Date:</span>
-          <span className="font-semibold">{formatDate(task.dueDate)}</span>
+          <span className={`font-semibold ${dueState ? dueState.text : ''}`}>
+            {formatDate(task.dueDate)}{dueState && ` (${dueState.label})`}
+          </span>
         </div>
+        {task.recurrence && (
+          <div className="flex justify-between text-gray-700 dark:text-gray-300">
+            <span>Repeats:</span>
+            <span className="font-semibold">{describeRecurrence(task.recurrence)}</span>
+          </div>
+        )}
         {task.completedDate && (
           <div className="flex justify-between text-gray-700 dark:text-gray-300">
             <span>Completed:</span>
@@ -182,19 +895,22 @@ const TaskCard = React.memo(({ task, onStatusChange, onDeleteTask, onToggleSubta
       {subtaskTotal > 0 && (
         <div className="space-y-2 mb-4">
           <h4 className="font-semibold text-gray-800 dark:text-gray-200 text-sm">Subtasks:</h4>
-          {task.subtasks.map(subtask => (
-            <div key={subtask.id} className="flex items-center text-sm">
-              <input
-                type="checkbox"
-                checked={subtask.completed}
-                onChange={() => onToggleSubtask(task.id, subtask.id)}
-                className="form-checkbox h-4 w-4 text-blue-600 dark:text-blue-400 border-gray-300 dark:border-gray-600 rounded mr-2 bg-white dark:bg-gray-700"
-              />
-              <span className={`flex-1 text-gray-700 dark:text-gray-300 ${subtask.completed ? 'line-through opacity-60' : ''}`}>
-                {subtask.title} ({subtask.eta} Pts, Due: {formatDate(subtask.dueDate)})
-              </span>
-            </div>
-          ))}
+          {task.subtasks.map(subtask => {
+            const subtaskDueState = DUE_STATE_DISPLAY[getSubtaskDueState(task, subtask, dueSoonDays, today)];
+            return (
+              <div key={subtask.id} className="flex items-center text-sm">
+                <input
+                  type="checkbox"
+                  checked={subtask.completed}
+                  onChange={() => onToggleSubtask(task.id, subtask.id)}
+                  className="form-checkbox h-4 w-4 text-blue-600 dark:text-blue-400 border-gray-300 dark:border-gray-600 rounded mr-2 bg-white dark:bg-gray-700"
+                />
+                <span className={`flex-1 text-gray-700 dark:text-gray-300 ${subtask.completed ? 'line-through opacity-60' : ''}`}>
+                  {subtask.title} ({subtask.eta} Pts, <span className={subtaskDueState ? `font-semibold ${subtaskDueState.text}` : ''} title={subtaskDueState?.label}>Due: {formatDate(subtask.dueDate)}</span>)
+                </span>
+              </div>
+            );
+          })}
         </div>
       )}
 
@@ -202,7 +918,7 @@ const TaskCard = React.memo(({ task, onStatusChange, onDeleteTask, onToggleSubta
       {showConfirmDelete && (
         <div className="p-3 bg-red-50 dark:bg-red-900 border border-red-300 dark:border-red-700 rounded-lg mb-4">
           <p className="text-sm font-medium text-red-800 dark:text-red-200 mb-2">
-            Are you sure you want to delete "{task.title}"?
+            Move "{task.title}" to the trash?
           </p>
           <div className="flex justify-end space-x-2">
             <button
@@ -237,7 +953,7 @@ const TaskCard = React.memo(({ task, onStatusChange, onDeleteTask, onToggleSubta
         {/* Next Status Button */}
         <button
           onClick={handleMoveForward}
-          disabled={currentStatusIndex === ACTIVE_STATUSES.length - 1}
+          disabled={currentStatusIndex === statuses.length - 1}
           className="w-1/5 bg-gray-300 dark:bg-gray-700 hover:bg-gray-400 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200 font-extrabold py-2 px-3 rounded-lg transition duration-150 ease-in-out shadow-md disabled:opacity-30 disabled:cursor-not-allowed flex items-center justify-center"
           title="Move to Next Status"
         >
@@ -250,8 +966,16 @@ const TaskCard = React.memo(({ task, onStatusChange, onDeleteTask, onToggleSubta
 });
 
 // --- TaskForm Component (Handles Create and Edit) ---
-const TaskForm = React.memo(({ initialTask, onTaskSave, onTaskCreated }) => {
+// `currentTask` is the latest stored copy of the task being edited (null once it's deleted),
+// used to catch changes made in another tab or device while the form is open.
+// `allTasks` are the board's tasks, offered as blockers for this one; `boardLabels` are the labels
+// to pick from, and `onCreateLabel(name, color)` defines a new one. New tasks can start from one of
+// the `templates`; `onSaveTemplate(name, task)` saves the form contents as a template.
+const TaskForm = React.memo(({ initialTask, currentTask, defaultStatus, sprints = [], defaultSprintId = null, allTasks = [], boardLabels = [], templates = [], onCreateLabel, onSaveTemplate, onDeleteTemplate, onTaskSave, onTaskCreated }) => {
   const isEditing = !!initialTask;
+
+  // The version of the task these edits started from; moves forward once a conflict is resolved
+  const [baseTask, setBaseTask] = useState(initialTask);
   
   // State for Main Task
   const [title, setTitle] = useState(initialTask?.title || '');
@@ -259,15 +983,72 @@ const TaskForm = React.memo(({ initialTask, onTaskSave, onTaskCreated }) => {
   const [eta, setEta] = useState(initialTask?.eta || 1);
   const [dueDate, setDueDate] = useState(initialTask?.dueDate ? new Date(initialTask.dueDate).toISOString().split('T')[0] : ''); // Date string (YYYY-MM-DD)
 
+  const [priority, setPriority] = useState(initialTask ? getPriority(initialTask).id : DEFAULT_PRIORITY);
+  const [startDate, setStartDate] = useState(initialTask?.startDate ? new Date(initialTask.startDate).toISOString().split('T')[0] : ''); // Optional; the timeline falls back to the creation date
+  const [sprintId, setSprintId] = useState(isEditing ? initialTask.sprintId || '' : defaultSprintId || '');
+
+  // State for the repeat rule ('' = does not repeat)
+  const [repeatFrequency, setRepeatFrequency] = useState(initialTask?.recurrence?.frequency || '');
+  const [repeatInterval, setRepeatInterval] = useState(initialTask?.recurrence?.interval || 2);
+  const [repeatWeekdays, setRepeatWeekdays] = useState(initialTask?.recurrence?.weekdays || []);
+
+  // State for Labels
+  const [labels, setLabels] = useState(initialTask?.labels || []);
+  const [newLabelName, setNewLabelName] = useState('');
+  const [newLabelColor, setNewLabelColor] = useState(() => nextLabelColor(boardLabels));
+
+  // State for Dependencies
+  const [blockedBy, setBlockedBy] = useState(initialTask?.blockedBy || []);
+  const [newBlockerId, setNewBlockerId] = useState('');
+  const [dependencyError, setDependencyError] = useState(null);
+
   // State for Subtasks
   const [subtasks, setSubtasks] = useState(initialTask?.subtasks || []);
   const [newSubtaskTitle, setNewSubtaskTitle] = useState('');
   const [newSubtaskEta, setNewSubtaskEta] = useState(0);
   const [newSubtaskDueDate, setNewSubtaskDueDate] = useState('');
 
+  // State for Templates: the one applied (new tasks only), with its subtasks' offsets from the due date
+  const [templateId, setTemplateId] = useState('');
+  const [templateOffsets, setTemplateOffsets] = useState(new Map());
+  const [templateName, setTemplateName] = useState('');
+  const [templateSaved, setTemplateSaved] = useState(null);
+
   // Validation State
   const [etaError, setEtaError] = useState(null);
 
+  // Activity recorded on the stored task so far
+  const history = (currentTask || initialTask)?.history || [];
+
+  // The task was changed or deleted elsewhere since editing started
+  const conflict = !isEditing || currentTask === undefined ? null
+    : currentTask === null ? (baseTask ? 'deleted' : null)
+    : (currentTask.updatedAt !== baseTask?.updatedAt ? 'changed' : null);
+
+  // Replace the form contents with the latest stored version
+  const handleLoadLatest = useCallback(() => {
+    setTitle(currentTask.title);
+    setDescription(currentTask.description);
+    setEta(currentTask.eta);
+    setDueDate(currentTask.dueDate ? new Date(currentTask.dueDate).toISOString().split('T')[0] : '');
+    setSubtasks(currentTask.subtasks);
+    setSprintId(currentTask.sprintId || '');
+    setStartDate(currentTask.startDate ? new Date(currentTask.startDate).toISOString().split('T')[0] : '');
+    setBlockedBy(currentTask.blockedBy || []);
+    setDependencyError(null);
+    setLabels(currentTask.labels || []);
+    setPriority(getPriority(currentTask).id);
+    setRepeatFrequency(currentTask.recurrence?.frequency || '');
+    setRepeatInterval(currentTask.recurrence?.interval || 2);
+    setRepeatWeekdays(currentTask.recurrence?.weekdays || []);
+    setBaseTask(currentTask);
+  }, [currentTask]);
+
+  // Keep the form contents; saving will overwrite the other change
+  const handleKeepMine = useCallback(() => {
+    setBaseTask(currentTask);
+  }, [currentTask]);
+
   // Set default due date to tomorrow if not editing
   useEffect(() => {
     if (!isEditing && !dueDate) {
@@ -283,6 +1064,12 @@ const TaskForm = React.memo(({ initialTask, onTaskSave, onTaskCreated }) => {
     return subtasks.reduce((sum, sub) => sum + (sub.eta || 0), 0);
   }, [subtasks]);
 
+  // Saved subtasks removed here, which go to the trash when the task is saved
+  const removedSubtaskCount = useMemo(() => {
+    const keptIds = new Set(subtasks.map(sub => sub.id));
+    return (initialTask?.subtasks || []).filter(sub => !keptIds.has(sub.id)).length;
+  }, [initialTask, subtasks]);
+
   // Validate total subtask ETA against main task ETA
   useEffect(() => {
     if (totalSubtaskEta > eta) {
@@ -293,6 +1080,71 @@ const TaskForm = React.memo(({ initialTask, onTaskSave, onTaskCreated }) => {
   }, [totalSubtaskEta, eta]);
 
 
+  const startDateError = startDate && dueDate && startDate > dueDate ? 'The start date must be on or before the due date.' : null;
+  const repeatIntervalValue = Number(repeatInterval);
+  const repeatError = repeatFrequency === 'interval' && !(Number.isInteger(repeatIntervalValue) && repeatIntervalValue >= 1 && repeatIntervalValue <= MAX_RECURRENCE_INTERVAL)
+    ? `Repeat every 1 to ${MAX_RECURRENCE_INTERVAL} days.` : null;
+
+  const handleToggleWeekday = useCallback((day) => {
+    setRepeatWeekdays(prev => (prev.includes(day) ? prev.filter(d => d !== day) : [...prev, day].sort()));
+  }, []);
+
+  // Dependencies: tasks this one waits on, tasks waiting on this one, and tasks that can still be added
+  const tasksById = useMemo(() => new Map(allTasks.map(task => [task.id, task])), [allTasks]);
+  const blockingTasks = useMemo(() => (
+    isEditing ? allTasks.filter(task => task.id !== initialTask.id && (task.blockedBy || []).includes(initialTask.id)) : []
+  ), [allTasks, initialTask, isEditing]);
+  const blockerOptions = useMemo(() => allTasks.filter(task => (
+    task.id !== initialTask?.id && task.status !== ARCHIVED_STATUS && !blockedBy.includes(task.id)
+  )), [allTasks, initialTask, blockedBy]);
+
+  // A loop can also appear when other tasks' blockers change while the form is open
+  const dependencyCycle = useMemo(() => (
+    isEditing ? findDependencyCycle(allTasks, initialTask.id, blockedBy) : null
+  ), [allTasks, initialTask, blockedBy, isEditing]);
+
+  const describeCycle = useCallback((cycle) => (
+    cycle.map(id => (id === initialTask?.id ? title.trim() || 'this task' : tasksById.get(id)?.title || 'a deleted task')).join(' → ')
+  ), [initialTask, title, tasksById]);
+
+  // Handler to add a blocker, refusing one that would make the tasks wait on each other
+  const handleAddBlocker = useCallback(() => {
+    if (!newBlockerId) return;
+    const nextBlockedBy = [...blockedBy, newBlockerId];
+    const cycle = isEditing ? findDependencyCycle(allTasks, initialTask.id, nextBlockedBy) : null;
+    if (cycle) {
+      setDependencyError(`"${tasksById.get(newBlockerId)?.title}" can't block this task because it would create a loop: ${describeCycle(cycle)}.`);
+      return;
+    }
+    setBlockedBy(nextBlockedBy);
+    setNewBlockerId('');
+    setDependencyError(null);
+  }, [newBlockerId, blockedBy, isEditing, allTasks, initialTask, tasksById, describeCycle]);
+
+  // Handler to remove a blocker
+  const handleRemoveBlocker = useCallback((id) => {
+    setBlockedBy(prev => prev.filter(blockerId => blockerId !== id));
+    setDependencyError(null);
+  }, []);
+
+  const labelColors = useMemo(() => Object.fromEntries(boardLabels.map(label => [label.name, label.color])), [boardLabels]);
+
+  const handleToggleLabel = useCallback((name) => {
+    setLabels(prev => (prev.includes(name) ? prev.filter(label => label !== name) : [...prev, name]));
+  }, []);
+
+  // Define a new label and attach it (or just attach it, if the name already exists)
+  const handleCreateLabel = useCallback(() => {
+    const name = newLabelName.trim();
+    if (!name) return;
+    if (!labelColors[name]) {
+      onCreateLabel(name, newLabelColor);
+      setNewLabelColor(nextLabelColor([...boardLabels, { name }]));
+    }
+    setLabels(prev => (prev.includes(name) ? prev : [...prev, name]));
+    setNewLabelName('');
+  }, [newLabelName, newLabelColor, labelColors, boardLabels, onCreateLabel]);
+
   // Handler to add a new subtask to the temporary list
   const handleAddSubtask = useCallback((e) => {
     e.preventDefault();
@@ -320,38 +1172,143 @@ const TaskForm = React.memo(({ initialTask, onTaskSave, onTaskCreated }) => {
     setSubtasks(prev => prev.filter(sub => sub.id !== id));
   }, []);
 
+  // Fill the form from a template; its subtasks are due relative to the due date chosen here
+  const handleApplyTemplate = useCallback((id) => {
+    setTemplateId(id);
+    const template = templates.find(t => t.id === id);
+    if (!template) return;
+    const newSubtasks = createTemplateSubtasks(template, dueDate ? dateStringToTimestamp(dueDate) : null);
+    setDescription(template.description);
+    setEta(template.eta);
+    setLabels(template.labels);
+    setSubtasks(newSubtasks);
+    setTemplateOffsets(new Map(newSubtasks
+      .map((sub, index) => [sub.id, template.subtasks[index].dueOffset])
+      .filter(([, offset]) => offset !== null)));
+  }, [templates, dueDate]);
+
+  // Moving the due date moves the template's subtasks with it
+  const handleDueDateChange = useCallback((value) => {
+    setDueDate(value);
+    if (!value || templateOffsets.size === 0) return;
+    const due = dateStringToTimestamp(value);
+    setSubtasks(prev => prev.map(sub => (templateOffsets.has(sub.id) ? { ...sub, dueDate: addDays(due, templateOffsets.get(sub.id)) } : sub)));
+  }, [templateOffsets]);
+
+  const handleDeleteTemplate = useCallback(() => {
+    onDeleteTemplate(templateId);
+    setTemplateId('');
+  }, [templateId, onDeleteTemplate]);
+
+  const existingTemplate = templates.find(template => template.name === templateName.trim());
+
+  // Save what's in the form (not the stored task) as a template
+  const handleSaveTemplate = useCallback(() => {
+    const name = templateName.trim();
+    if (!name) return;
+    onSaveTemplate(name, {
+      description: description.trim(),
+      eta: parseInt(eta, 10) || 1,
+      labels,
+      subtasks,
+      dueDate: dueDate ? dateStringToTimestamp(dueDate) : null,
+    });
+    setTemplateSaved(name);
+    setTemplateName('');
+  }, [templateName, description, eta, labels, subtasks, dueDate, onSaveTemplate]);
+
   // Main submission handler
   const handleSubmit = useCallback((e) => {
     e.preventDefault();
-    if (!title.trim() || !description.trim() || !dueDate || etaError) return;
+    if (!title.trim() || !description.trim() || !dueDate || etaError || startDateError || repeatError || dependencyCycle || conflict === 'changed') return;
 
     const finalDueDateTimestamp = dateStringToTimestamp(dueDate);
+    const recurrence = repeatFrequency ? buildRecurrence(initialTask?.recurrence, {
+      frequency: repeatFrequency,
+      interval: repeatIntervalValue,
+      weekdays: repeatWeekdays,
+      dueDate: finalDueDateTimestamp,
+    }) : null;
 
     const taskData = {
       title: title.trim(),
       description: description.trim(),
       eta: parseInt(eta, 10) || 1,
+      priority,
       dueDate: finalDueDateTimestamp,
+      startDate: startDate ? dateStringToTimestamp(startDate) : null,
       subtasks: subtasks,
-      // If editing, preserve original status/dates, otherwise set new ones
-      status: initialTask?.status || 'Opened',
-      completedDate: initialTask?.completedDate || null,
+      sprintId: sprintId || null,
+      blockedBy,
+      labels,
+      recurrence,
+      // If editing, preserve the latest status/dates (they may have moved in another tab), otherwise set new ones
+      status: (currentTask || initialTask)?.status || defaultStatus,
+      completedDate: (currentTask || initialTask)?.completedDate || null,
       createdAt: initialTask?.createdAt || Date.now(),
     };
     
     // Pass back the data with its ID if editing, or without if creating
     if (isEditing) {
-      onTaskSave({ ...taskData, id: initialTask.id });
+      onTaskSave({ ...(currentTask || initialTask), ...taskData, id: initialTask.id });
     } else {
       onTaskSave({ ...taskData, id: generateId() });
     }
 
     if (onTaskCreated) onTaskCreated();
 
-  }, [title, description, eta, dueDate, subtasks, initialTask, isEditing, etaError, onTaskSave, onTaskCreated]);
+  }, [title, description, eta, priority, dueDate, startDate, subtasks, sprintId, blockedBy, labels, repeatFrequency, repeatIntervalValue, repeatWeekdays, initialTask, currentTask, defaultStatus, isEditing, etaError, startDateError, repeatError, dependencyCycle, conflict, onTaskSave, onTaskCreated]);
 
   return (
     <form onSubmit={handleSubmit} className="space-y-6">
+      {/* Edit Conflict Prompt */}
+      {conflict === 'changed' && (
+        <div className="p-3 rounded-lg border border-yellow-300 dark:border-yellow-700 bg-yellow-100 dark:bg-yellow-900 text-sm text-yellow-900 dark:text-yellow-100 space-y-2">
+          <p className="font-semibold">This task was changed in another tab or device while you were editing it.</p>
+          <p>Load the latest version (your edits here are discarded), or keep your edits and overwrite the other change when you save.</p>
+          <div className="flex space-x-2">
+            <button type="button" onClick={handleLoadLatest} className="px-3 py-1 rounded-lg bg-yellow-600 hover:bg-yellow-700 text-white font-semibold transition">
+              Load Latest
+            </button>
+            <button type="button" onClick={handleKeepMine} className="px-3 py-1 rounded-lg border border-yellow-600 text-yellow-800 dark:text-yellow-100 hover:bg-yellow-200 dark:hover:bg-yellow-800 font-semibold transition">
+              Keep My Edits
+            </button>
+          </div>
+        </div>
+      )}
+      {conflict === 'deleted' && (
+        <p className="p-3 rounded-lg border border-red-300 dark:border-red-700 bg-red-100 dark:bg-red-900 text-sm font-semibold text-red-700 dark:text-red-200">
+          This task was deleted in another tab or device. Saving will restore it.
+        </p>
+      )}
+
+      {/* Start From Template */}
+      {!isEditing && templates.length > 0 && (
+        <div className="flex items-end space-x-3 p-3 bg-gray-100 dark:bg-gray-800 rounded-lg shadow-inner">
+          <div className="flex-1">
+            <label htmlFor="template" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Start from template</label>
+            <select
+              id="template"
+              value={templateId}
+              onChange={(e) => handleApplyTemplate(e.target.value)}
+              className="mt-1 block w-full rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+            >
+              <option value="" disabled>Choose a template...</option>
+              {templates.map(template => <option key={template.id} value={template.id}>{template.name}</option>)}
+            </select>
+          </div>
+          <button
+            type="button"
+            onClick={handleDeleteTemplate}
+            disabled={!templateId}
+            className="py-3 px-4 rounded-lg text-sm border border-red-300 dark:border-red-700 text-red-600 dark:text-red-300 hover:bg-red-50 dark:hover:bg-red-900 transition disabled:opacity-50"
+            title="Delete this template (tasks already created from it are kept)"
+          >
+            Delete Template
+          </button>
+        </div>
+      )}
+
       <h3 className="text-lg font-bold text-gray-800 dark:text-gray-100">{isEditing ? 'Edit Task Details' : 'Task Details'}</h3>
       <div className="space-y-4 border-b pb-4 border-gray-200 dark:border-gray-700">
         <div>
@@ -397,7 +1354,7 @@ const TaskForm = React.memo(({ initialTask, onTaskSave, onTaskCreated }) => {
               type="date"
               id="dueDate"
               value={dueDate}
-              onChange={(e) => setDueDate(e.target.value)}
+              onChange={(e) => handleDueDateChange(e.target.value)}
               required
               className="mt-1 block w-full rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 focus:border-blue-500 focus:ring-blue-500 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
             />
@@ -406,26 +1363,237 @@ const TaskForm = React.memo(({ initialTask, onTaskSave, onTaskCreated }) => {
         {etaError && (
           <p className="text-red-500 text-sm font-medium p-2 bg-red-100 dark:bg-red-900 rounded-lg border border-red-300 dark:border-red-700">{etaError}</p>
         )}
-      </div>
-
-      {/* --- Subtask Section --- */}
-      <h3 className="text-lg font-bold text-gray-800 dark:text-gray-100 flex justify-between items-center">
-        <span>Subtasks ({totalSubtaskEta} / {eta} Pts)</span>
-        <span className="text-sm font-medium text-gray-500 dark:text-gray-400">
-          Remaining: {Math.max(0, eta - totalSubtaskEta)} Pts
-        </span>
-      </h3>
-      
-      {/* Existing Subtasks */}
-      {subtasks.length > 0 && (
-        <div className="space-y-2 max-h-40 overflow-y-auto custom-scrollbar p-2 border border-dashed border-gray-300 dark:border-gray-700 rounded-lg bg-gray-50 dark:bg-gray-800">
-          {subtasks.map(sub => (
-            <div key={sub.id} className="flex justify-between items-center p-2 rounded-lg bg-white dark:bg-gray-900 shadow-sm text-sm">
-              <span className={`flex-1 font-medium text-gray-800 dark:text-gray-200 ${sub.completed ? 'line-through opacity-70' : ''}`}>
-                {sub.title}
-              </span>
-              <span className="text-xs text-gray-600 dark:text-gray-400 mr-4 whitespace-nowrap">
-                {sub.eta} Pts &middot; Due: {formatDate(sub.dueDate)}
+        <div>
+          <label htmlFor="priority" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Priority</label>
+          <select
+            id="priority"
+            value={priority}
+            onChange={(e) => setPriority(e.target.value)}
+            className="mt-1 block w-full rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 focus:border-blue-500 focus:ring-blue-500 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+          >
+            {PRIORITIES.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="repeat" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Repeat</label>
+          <select
+            id="repeat"
+            value={repeatFrequency}
+            onChange={(e) => setRepeatFrequency(e.target.value)}
+            className="mt-1 block w-full rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 focus:border-blue-500 focus:ring-blue-500 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+          >
+            <option value="">Does not repeat</option>
+            {RECURRENCE_FREQUENCIES.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+          </select>
+          {repeatFrequency === 'weekly' && (
+            <div className="mt-2 flex flex-wrap gap-1" role="group" aria-label="Repeat on">
+              {WEEKDAY_NAMES.map((name, day) => (
+                <button
+                  key={name}
+                  type="button"
+                  onClick={() => handleToggleWeekday(day)}
+                  aria-pressed={repeatWeekdays.includes(day)}
+                  className={`px-2 py-1 rounded-lg text-xs font-semibold border transition ${repeatWeekdays.includes(day) ? 'bg-blue-600 border-blue-600 text-white' : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                >
+                  {name}
+                </button>
+              ))}
+            </div>
+          )}
+          {repeatFrequency === 'interval' && (
+            <div className="mt-2 flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+              <label htmlFor="repeatInterval">Every</label>
+              <input
+                type="number"
+                id="repeatInterval"
+                min="1"
+                max={MAX_RECURRENCE_INTERVAL}
+                value={repeatInterval}
+                onChange={(e) => setRepeatInterval(e.target.value)}
+                className={`w-24 rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-2 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 ${repeatError ? 'border-red-500' : ''}`}
+              />
+              <span>days</span>
+            </div>
+          )}
+          {repeatError && <p className="mt-1 text-red-500 text-sm font-medium">{repeatError}</p>}
+          {(repeatFrequency || initialTask?.recurrence) && (
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              {!repeatFrequency ? 'Saving stops the whole series: no more tasks will be added.'
+                : initialTask?.recurrence ? 'Completing this task adds the next one to the first column. Changes to the repeat rule apply to the whole series; choose "Does not repeat" to stop it.'
+                : 'Completing this task adds the next one to the first column.'}
+            </p>
+          )}
+        </div>
+        <div>
+          <label htmlFor="startDate" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Start Date (optional)</label>
+          <input
+            type="date"
+            id="startDate"
+            value={startDate}
+            onChange={(e) => setStartDate(e.target.value)}
+            className={`mt-1 block w-full rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 focus:ring-blue-500 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 ${startDateError ? 'border-red-500' : 'focus:border-blue-500'}`}
+          />
+        </div>
+        {startDateError && (
+          <p className="text-red-500 text-sm font-medium p-2 bg-red-100 dark:bg-red-900 rounded-lg border border-red-300 dark:border-red-700">{startDateError}</p>
+        )}
+        {(sprints.length > 0 || sprintId) && (
+          <div>
+            <label htmlFor="sprint" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Sprint</label>
+            <select
+              id="sprint"
+              value={sprintId}
+              onChange={(e) => setSprintId(e.target.value)}
+              className="mt-1 block w-full rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 focus:border-blue-500 focus:ring-blue-500 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+            >
+              <option value="">Backlog (no sprint)</option>
+              {sprints.map(sprint => (
+                <option key={sprint.id} value={sprint.id}>{sprint.name}{sprint.closedAt ? ' (closed)' : ''}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {/* --- Labels Section --- */}
+      <h3 className="text-lg font-bold text-gray-800 dark:text-gray-100">Labels</h3>
+      <div className="space-y-3 border-b pb-4 border-gray-200 dark:border-gray-700">
+        {boardLabels.length > 0 ? (
+          <div className="flex flex-wrap gap-2">
+            {boardLabels.map(label => (
+              <button
+                key={label.name}
+                type="button"
+                onClick={() => handleToggleLabel(label.name)}
+                aria-pressed={labels.includes(label.name)}
+                className={`px-2 py-0.5 rounded-full text-xs font-semibold transition ${labels.includes(label.name)
+                  ? `text-white ${getColumnColor(label.color).header}`
+                  : 'border border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800'}`}
+              >
+                {label.name}
+              </button>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No labels yet. Create one below.</p>
+        )}
+        <div className="flex space-x-3">
+          <input
+            type="text"
+            placeholder="New label, e.g. bug"
+            value={newLabelName}
+            onChange={(e) => setNewLabelName(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); handleCreateLabel(); } }}
+            className="flex-1 rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+          />
+          <select
+            value={newLabelColor}
+            onChange={(e) => setNewLabelColor(e.target.value)}
+            aria-label="New label color"
+            className="rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+          >
+            {Object.entries(COLUMN_COLORS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          <button
+            type="button"
+            onClick={handleCreateLabel}
+            disabled={!newLabelName.trim()}
+            className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-4 rounded-lg text-sm transition disabled:opacity-50"
+          >
+            Add Label
+          </button>
+        </div>
+      </div>
+
+      {/* --- Dependencies Section --- */}
+      <h3 className="text-lg font-bold text-gray-800 dark:text-gray-100">Dependencies</h3>
+      <div className="space-y-3 border-b pb-4 border-gray-200 dark:border-gray-700">
+        <div>
+          <span className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Blocked by</span>
+          {blockedBy.length > 0 ? (
+            <div className="flex flex-wrap gap-2">
+              {blockedBy.map(id => {
+                const blocker = tasksById.get(id);
+                return (
+                  <span key={id} className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${blocker && blocker.status !== ARCHIVED_STATUS ? 'bg-orange-100 dark:bg-orange-900 text-orange-800 dark:text-orange-200' : 'bg-gray-200 dark:bg-gray-700 text-gray-600 dark:text-gray-300'}`}>
+                    {blocker ? `${blocker.title} (${blocker.status})` : 'Deleted task'}
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveBlocker(id)}
+                      className="ml-1 hover:text-red-600 dark:hover:text-red-400"
+                      title="Remove Blocker"
+                    >
+                      {/* Close Icon SVG */}
+                      <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path></svg>
+                    </button>
+                  </span>
+                );
+              })}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">Not blocked by any task.</p>
+          )}
+        </div>
+        {blockerOptions.length > 0 && (
+          <div className="flex space-x-3">
+            <select
+              value={newBlockerId}
+              onChange={(e) => { setNewBlockerId(e.target.value); setDependencyError(null); }}
+              aria-label="Add blocking task"
+              className="flex-1 rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+            >
+              <option value="">Choose a task that must be finished first...</option>
+              {blockerOptions.map(task => (
+                <option key={task.id} value={task.id}>{task.title} ({task.status})</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={handleAddBlocker}
+              disabled={!newBlockerId}
+              className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-4 rounded-lg text-sm transition disabled:opacity-50"
+            >
+              Add Blocker
+            </button>
+          </div>
+        )}
+        {(dependencyError || dependencyCycle) && (
+          <p className="text-red-500 text-sm font-medium p-2 bg-red-100 dark:bg-red-900 rounded-lg border border-red-300 dark:border-red-700">
+            {dependencyError || `These blockers create a loop: ${describeCycle(dependencyCycle)}. Remove one to save.`}
+          </p>
+        )}
+        {blockingTasks.length > 0 && (
+          <div>
+            <span className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Blocks</span>
+            <div className="flex flex-wrap gap-2">
+              {blockingTasks.map(task => (
+                <span key={task.id} className="px-2 py-1 rounded-full text-xs font-medium bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200">
+                  {task.title} ({task.status})
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* --- Subtask Section --- */}
+      <h3 className="text-lg font-bold text-gray-800 dark:text-gray-100 flex justify-between items-center">
+        <span>Subtasks ({totalSubtaskEta} / {eta} Pts)</span>
+        <span className="text-sm font-medium text-gray-500 dark:text-gray-400">
+          Remaining: {Math.max(0, eta - totalSubtaskEta)} Pts
+        </span>
+      </h3>
+      
+      {/* Existing Subtasks */}
+      {subtasks.length > 0 && (
+        <div className="space-y-2 max-h-40 overflow-y-auto custom-scrollbar p-2 border border-dashed border-gray-300 dark:border-gray-700 rounded-lg bg-gray-50 dark:bg-gray-800">
+          {subtasks.map(sub => (
+            <div key={sub.id} className="flex justify-between items-center p-2 rounded-lg bg-white dark:bg-gray-900 shadow-sm text-sm">
+              <span className={`flex-1 font-medium text-gray-800 dark:text-gray-200 ${sub.completed ? 'line-through opacity-70' : ''}`}>
+                {sub.title}
+              </span>
+              <span className="text-xs text-gray-600 dark:text-gray-400 mr-4 whitespace-nowrap">
+                {sub.eta} Pts &middot; Due: {formatDate(sub.dueDate)}
               </span>
               <button
                 type="button"
@@ -440,6 +1608,11 @@ const TaskForm = React.memo(({ initialTask, onTaskSave, onTaskCreated }) => {
           ))}
         </div>
       )}
+      {removedSubtaskCount > 0 && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {removedSubtaskCount} removed subtask{removedSubtaskCount === 1 ? '' : 's'} will go to the trash when you save.
+        </p>
+      )}
 
       {/* Add New Subtask Form */}
       <div className="space-y-3 p-3 bg-gray-100 dark:bg-gray-800 rounded-lg shadow-inner">
@@ -479,10 +1652,50 @@ const TaskForm = React.memo(({ initialTask, onTaskSave, onTaskCreated }) => {
       </div>
 
 
+      {/* Save As Template */}
+      <div className="space-y-2 p-3 bg-gray-100 dark:bg-gray-800 rounded-lg shadow-inner">
+        <label htmlFor="templateName" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Save as template (description, points, labels and subtasks)</label>
+        <div className="flex space-x-3">
+          <input
+            type="text"
+            id="templateName"
+            placeholder="e.g., Bug report"
+            value={templateName}
+            onChange={(e) => { setTemplateName(e.target.value); setTemplateSaved(null); }}
+            className="flex-1 rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+          />
+          <button
+            type="button"
+            onClick={handleSaveTemplate}
+            disabled={!templateName.trim()}
+            className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-4 rounded-lg text-sm transition disabled:opacity-50"
+          >
+            {existingTemplate ? 'Replace Template' : 'Save Template'}
+          </button>
+        </div>
+        {templateSaved && <p className="text-sm text-green-700 dark:text-green-300">Saved template "{templateSaved}".</p>}
+      </div>
+
+      {/* Activity Timeline (newest first) */}
+      {isEditing && history.length > 0 && (
+        <div>
+          <h3 className="text-lg font-bold text-gray-800 dark:text-gray-100 mb-2">Activity</h3>
+          <ol className="max-h-48 overflow-y-auto custom-scrollbar border-l-2 border-gray-300 dark:border-gray-700 ml-2 pl-4 space-y-2">
+            {[...history].reverse().map((entry, index) => (
+              <li key={`${entry.at}-${index}`} className="relative text-sm">
+                <span className="absolute -left-[1.4rem] top-1.5 w-2.5 h-2.5 rounded-full bg-blue-500"></span>
+                <span className="text-gray-800 dark:text-gray-200">{describeHistoryEntry(entry)}</span>
+                <span className="block text-xs text-gray-500 dark:text-gray-400">{formatDateTime(entry.at)}</span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
       {/* Submit Button */}
       <button
         type="submit"
-        disabled={etaError}
+        disabled={etaError || startDateError || repeatError || dependencyCycle !== null || conflict === 'changed'}
         className="w-full flex justify-center py-3 px-4 border border-transparent rounded-lg shadow-md text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition duration-150 ease-in-out disabled:opacity-50"
       >
         {isEditing ? 'Save Changes' : 'Create Task'}
@@ -492,22 +1705,244 @@ const TaskForm = React.memo(({ initialTask, onTaskSave, onTaskCreated }) => {
 });
 
 
-// Component for viewing archived tasks
-const ArchivedTasksModal = ({ isOpen, onClose, archivedTasks, onDeleteTask, isDarkMode }) => { 
+// --- Query Search Input ---
+const QUERY_EXAMPLE = 'status:"In Progress" eta:>3 due:<2026-11-01 label:bug -"wontfix" has:subtasks';
+
+// Search box for the task query language (see taskQuery.js). Suggests field names and values
+// for the term being typed (arrow keys to choose, Tab or Enter to accept) and highlights the
+// parts of the query that couldn't be read. `query` is the parsed `value`.
+const QueryInput = ({ value, onChange, query, context, placeholder, className = '' }) => {
+  const inputRef = useRef(null);
+  const [isFocused, setIsFocused] = useState(false);
+  const [isDismissed, setIsDismissed] = useState(false);
+  const [cursor, setCursor] = useState(0);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const suggestions = useMemo(() => (
+    isFocused && !isDismissed ? getQuerySuggestions(value, cursor, context) : { items: [] }
+  ), [isFocused, isDismissed, value, cursor, context]);
+  const hasErrors = query.errors.length > 0;
+
+  // The query split into plain and unreadable stretches, for highlighting
+  const segments = useMemo(() => {
+    const result = [];
+    let position = 0;
+    query.errors.forEach(error => {
+      if (error.start > position) result.push({ text: value.slice(position, error.start), isError: false });
+      result.push({ text: value.slice(error.start, error.end), isError: true });
+      position = error.end;
+    });
+    if (position < value.length) result.push({ text: value.slice(position), isError: false });
+    return result;
+  }, [value, query.errors]);
+
+  const updateCursor = useCallback((e) => setCursor(e.target.selectionStart ?? e.target.value.length), []);
+
+  const applySuggestion = useCallback((item) => {
+    const position = suggestions.start + item.insert.length;
+    onChange(value.slice(0, suggestions.start) + item.insert + value.slice(suggestions.end));
+    setCursor(position);
+    setActiveIndex(0);
+    // Put the caret after the inserted text once the new value has rendered
+    requestAnimationFrame(() => inputRef.current?.setSelectionRange(position, position));
+  }, [suggestions, value, onChange]);
+
+  const handleKeyDown = useCallback((e) => {
+    const { items } = suggestions;
+    if (e.key === 'Escape') {
+      setIsDismissed(true);
+      return;
+    }
+    if (items.length === 0) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex(prev => (prev + step + items.length) % items.length);
+    } else if (e.key === 'Tab' || e.key === 'Enter') {
+      e.preventDefault();
+      applySuggestion(items[Math.min(activeIndex, items.length - 1)]);
+    }
+  }, [suggestions, activeIndex, applySuggestion]);
+
+  return (
+    <div className={`relative ${className}`}>
+      <input
+        ref={inputRef}
+        type="text"
+        placeholder={placeholder}
+        value={value}
+        onChange={(e) => { onChange(e.target.value); updateCursor(e); setActiveIndex(0); setIsDismissed(false); }}
+        onKeyDown={handleKeyDown}
+        onKeyUp={updateCursor}
+        onClick={updateCursor}
+        onFocus={(e) => { setIsFocused(true); updateCursor(e); }}
+        onBlur={() => { setIsFocused(false); setIsDismissed(false); }}
+        aria-invalid={hasErrors}
+        title={hasErrors ? query.errors.map(error => error.message).join('\n') : `Search words or filters, e.g. ${QUERY_EXAMPLE}`}
+        className={`w-full rounded-lg shadow-sm py-2 px-3 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 ${hasErrors ? 'border-2 border-red-500 focus:ring-red-500 focus:border-red-500' : 'border-gray-300 dark:border-gray-600 focus:ring-blue-500 focus:border-blue-500'}`}
+      />
+
+      {/* Suggestions and Query Problems */}
+      {isFocused && !isDismissed && (suggestions.items.length > 0 || hasErrors || !value) && (
+        <div className="absolute z-30 mt-1 left-0 w-80 max-w-[90vw] rounded-lg shadow-xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-sm text-left">
+          {hasErrors && (
+            <div className="p-2 border-b border-gray-200 dark:border-gray-700 space-y-1">
+              <p className="font-mono text-xs break-all text-gray-800 dark:text-gray-200">
+                {segments.map((segment, index) => (
+                  <span key={index} className={segment.isError ? 'bg-red-100 dark:bg-red-900 text-red-700 dark:text-red-300 underline decoration-wavy decoration-red-500' : ''}>{segment.text}</span>
+                ))}
+              </p>
+              {query.errors.map((error, index) => (
+                <p key={index} className="text-xs text-red-600 dark:text-red-400">{error.message}</p>
+              ))}
+            </div>
+          )}
+          {suggestions.items.length > 0 && (
+            <ul className="max-h-56 overflow-y-auto custom-scrollbar py-1" role="listbox">
+              {suggestions.items.map((item, index) => (
+                <li
+                  key={item.insert}
+                  role="option"
+                  aria-selected={index === activeIndex}
+                  onMouseDown={(e) => { e.preventDefault(); applySuggestion(item); }}
+                  className={`px-3 py-1 cursor-pointer flex justify-between gap-2 ${index === activeIndex ? 'bg-blue-100 dark:bg-blue-900' : 'hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                >
+                  <span className="font-mono text-gray-900 dark:text-gray-100">{item.label}</span>
+                  <span className="text-xs text-gray-500 dark:text-gray-400 truncate">{item.hint}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+          {!value && (
+            <p className="p-2 border-t border-gray-200 dark:border-gray-700 text-xs text-gray-500 dark:text-gray-400">
+              Example: <span className="font-mono">{QUERY_EXAMPLE}</span>
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Archive rules for the done column: archive everything completed, or everything completed
+// before a date, right now; or set the board to archive tasks automatically some days after completion
+const ArchiveRulesModal = ({ isOpen, onClose, doneStatus, completedTasks, autoArchiveDays, onArchiveBefore, onSetAutoArchiveDays, isDarkMode }) => {
+  const [beforeDate, setBeforeDate] = useState('');
+  const [autoEnabled, setAutoEnabled] = useState(!!autoArchiveDays);
+  const [autoDays, setAutoDays] = useState(String(autoArchiveDays || 14));
+
+  // Start from the board's current rule each time the dialog opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setAutoEnabled(!!autoArchiveDays);
+    setAutoDays(String(autoArchiveDays || 14));
+  }, [isOpen, autoArchiveDays]);
+
+  const beforeCutoff = beforeDate ? dateStringToTimestamp(beforeDate) : null;
+  const beforeCount = beforeCutoff ? completedTasks.filter(task => task.completedDate < beforeCutoff).length : 0;
+  const autoDaysValue = Number(autoDays);
+  const autoDaysError = autoEnabled && !sanitizeAutoArchiveDays(autoDaysValue) ? `Enter a whole number of days from 1 to ${MAX_AUTO_ARCHIVE_DAYS}.` : null;
+  const autoChanged = autoEnabled ? autoDaysValue !== autoArchiveDays : autoArchiveDays !== null;
+
+  const handleSaveAuto = useCallback(() => {
+    if (autoDaysError) return;
+    onSetAutoArchiveDays(autoEnabled ? autoDaysValue : null);
+  }, [autoDaysError, autoEnabled, autoDaysValue, onSetAutoArchiveDays]);
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Archive Completed Tasks"
+      isDarkMode={isDarkMode}
+    >
+      <div className="space-y-4 text-left text-sm">
+        {/* Archive Everything Completed */}
+        <div className="p-3 bg-gray-100 dark:bg-gray-800 rounded-lg flex items-center justify-between gap-3">
+          <span className="text-gray-700 dark:text-gray-300">All {completedTasks.length} tasks in {doneStatus}</span>
+          <button
+            type="button"
+            onClick={() => onArchiveBefore(Infinity)}
+            disabled={completedTasks.length === 0}
+            className="px-3 py-2 rounded-lg bg-green-700 hover:bg-green-800 text-white font-semibold transition disabled:opacity-50 whitespace-nowrap"
+          >
+            Archive All
+          </button>
+        </div>
+
+        {/* Archive Completed Before a Date */}
+        <div className="p-3 bg-gray-100 dark:bg-gray-800 rounded-lg flex flex-wrap items-center justify-between gap-3">
+          <label className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+            Completed before
+            <input
+              type="date"
+              value={beforeDate}
+              onChange={(e) => setBeforeDate(e.target.value)}
+              className="rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-2 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+            />
+          </label>
+          <button
+            type="button"
+            onClick={() => onArchiveBefore(beforeCutoff)}
+            disabled={beforeCount === 0}
+            className="px-3 py-2 rounded-lg bg-green-700 hover:bg-green-800 text-white font-semibold transition disabled:opacity-50 whitespace-nowrap"
+          >
+            Archive {beforeCutoff ? beforeCount : ''} Tasks
+          </button>
+        </div>
+
+        {/* Automatic Archiving */}
+        <div className="p-3 bg-gray-100 dark:bg-gray-800 rounded-lg space-y-2">
+          <label className="flex flex-wrap items-center gap-2 text-gray-700 dark:text-gray-300">
+            <input type="checkbox" checked={autoEnabled} onChange={(e) => setAutoEnabled(e.target.checked)} />
+            Archive tasks automatically
+            <input
+              type="number"
+              min="1"
+              max={MAX_AUTO_ARCHIVE_DAYS}
+              value={autoDays}
+              onChange={(e) => setAutoDays(e.target.value)}
+              disabled={!autoEnabled}
+              aria-label="Days after completion"
+              className={`w-20 rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-2 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 disabled:opacity-60 ${autoDaysError ? 'border-red-500' : ''}`}
+            />
+            days after they're completed
+          </label>
+          {autoDaysError && <p className="text-red-500 font-medium">{autoDaysError}</p>}
+          <div className="flex items-center justify-between gap-3">
+            <span className="text-xs text-gray-500 dark:text-gray-400">
+              {autoArchiveDays ? `This board archives tasks ${autoArchiveDays} days after completion.` : 'Automatic archiving is off for this board.'}
+            </span>
+            <button
+              type="button"
+              onClick={handleSaveAuto}
+              disabled={!autoChanged || !!autoDaysError}
+              className="px-3 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white font-semibold transition disabled:opacity-50"
+            >
+              Save Rule
+            </button>
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+// Component for viewing archived tasks. `queryContext` describes the board for search queries.
+// `onUnarchiveTask(taskId, status)` puts a task back on the board in the chosen column.
+const ArchivedTasksModal = ({ isOpen, onClose, archivedTasks, boardName, statuses = [], labelColors = {}, queryContext, onDeleteTask, onUnarchiveTask, isDarkMode }) => { 
   const [sortBy, setSortBy] = useState('dueDate');
   const [searchQuery, setSearchQuery] = useState('');
   const [completedAfter, setCompletedAfter] = useState(''); // Date string for filtering
   const [expandedTaskId, setExpandedTaskId] = useState(null);
 
+  const query = useMemo(() => parseTaskQuery(searchQuery, queryContext), [searchQuery, queryContext]);
+
   // Filter tasks based on search and completed date
   const filteredTasks = useMemo(() => {
     return archivedTasks.filter(task => {
       // 1. Search filter
-      const searchMatch = searchQuery.trim() === '' || 
-                          task.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                          task.description.toLowerCase().includes(searchQuery.toLowerCase());
-      
-      if (!searchMatch) return false;
+      if (!query.test(task)) return false;
 
       // 2. Completed Date filter (Completed After)
       if (completedAfter) {
@@ -518,21 +1953,10 @@ const ArchivedTasksModal = ({ isOpen, onClose, archivedTasks, onDeleteTask, isDa
 
       return true;
     });
-  }, [archivedTasks, searchQuery, completedAfter]);
+  }, [archivedTasks, query, completedAfter]);
 
   // Sort the tasks based on the selected criteria
-  const sortedTasks = useMemo(() => {
-    return [...filteredTasks].sort((a, b) => {
-      if (sortBy === 'dueDate') {
-        // Sort by Due Date (ascending: earlier due date first)
-        return (a.dueDate || Infinity) - (b.dueDate || Infinity);
-      } else if (sortBy === 'eta') {
-        // Sort by Point Cost (descending: higher cost first)
-        return (b.eta || 0) - (a.eta || 0);
-      }
-      return 0;
-    });
-  }, [filteredTasks, sortBy]);
+  const sortedTasks = useMemo(() => [...filteredTasks].sort(getTaskSorter(sortBy)), [filteredTasks, sortBy]);
   
   // Confirmation state for archived deletion
   const [confirmDeleteId, setConfirmDeleteId] = useState(null); 
@@ -561,12 +1985,13 @@ const ArchivedTasksModal = ({ isOpen, onClose, archivedTasks, onDeleteTask, isDa
         <div className="p-3 bg-gray-100 dark:bg-gray-800 rounded-lg space-y-3">
           <div className="flex flex-col sm:flex-row gap-3">
              {/* Search */}
-            <input
-              type="text"
-              placeholder="Search by title or description..."
+            <QueryInput
               value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
-              className="flex-1 rounded-lg border-gray-300 dark:border-gray-600 shadow-sm py-2 px-3 focus:ring-blue-500 focus:border-blue-500 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+              onChange={setSearchQuery}
+              query={query}
+              context={queryContext}
+              placeholder="Search or filter, e.g. label:bug eta:>3"
+              className="flex-1"
             />
              {/* Completed After Filter */}
             <div className="flex items-center space-x-2">
@@ -588,11 +2013,19 @@ const ArchivedTasksModal = ({ isOpen, onClose, archivedTasks, onDeleteTask, isDa
                 onChange={(e) => setSortBy(e.target.value)}
                 className="rounded-lg border-gray-300 dark:border-gray-600 shadow-sm py-1 px-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
               >
-                <option value="dueDate">Due Date</option>
-                <option value="eta">Point Cost (ETA)</option>
+                {TASK_SORT_OPTIONS.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
               </select>
             </div>
-            <span className="text-gray-500 dark:text-gray-400 italic">Showing {sortedTasks.length} of {archivedTasks.length} Archived Tasks</span>
+            <div className="flex items-center space-x-3">
+              <span className="text-gray-500 dark:text-gray-400 italic">Showing {sortedTasks.length} of {archivedTasks.length} Archived Tasks</span>
+              {/* Export the filtered, sorted archive */}
+              <CsvExportButton
+                onExport={(perSubtask) => downloadTasksCsv(sortedTasks, perSubtask, boardName, 'archive')}
+                className="flex items-center justify-center px-3 py-1 rounded-lg shadow-sm text-white bg-teal-600 hover:bg-teal-700 transition"
+              />
+            </div>
           </div>
         </div>
 
@@ -621,6 +2054,11 @@ const ArchivedTasksModal = ({ isOpen, onClose, archivedTasks, onDeleteTask, isDa
                         <svg className={`w-4 h-4 ml-2 transform transition-transform ${isExpanded ? 'rotate-180' : 'rotate-0'} text-gray-500 dark:text-gray-400`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
                       </h4>
                       <p className="text-xs text-gray-600 dark:text-gray-400 truncate max-w-lg">{task.description}</p>
+                      {(task.labels || []).length > 0 && (
+                        <div className="flex flex-wrap gap-1 mt-1">
+                          {task.labels.map(name => <LabelChip key={name} name={name} color={labelColors[name]} />)}
+                        </div>
+                      )}
                     </div>
                     
                     <div className="flex items-center space-x-3">
@@ -630,6 +2068,19 @@ const ArchivedTasksModal = ({ isOpen, onClose, archivedTasks, onDeleteTask, isDa
                         {subtaskTotal > 0 && <p className="text-xs">Subtasks: {subtasksCompleted}/{subtaskTotal}</p>}
                       </div>
                       
+                      {/* Unarchive into a chosen column */}
+                      <select
+                        value=""
+                        onChange={(e) => onUnarchiveTask(task.id, e.target.value)}
+                        onClick={(e) => e.stopPropagation()}
+                        aria-label={`Unarchive ${task.title} to`}
+                        className="rounded-lg border-gray-300 dark:border-gray-600 shadow-sm py-1 px-2 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+                        title="Put this task back on the board"
+                      >
+                        <option value="" disabled>Unarchive to...</option>
+                        {statuses.map(status => <option key={status} value={status}>{status}</option>)}
+                      </select>
+
                       {/* Delete Button and Confirmation */}
                       <div className="ml-3">
                         {confirmDeleteId === task.id ? (
@@ -651,7 +2102,7 @@ const ArchivedTasksModal = ({ isOpen, onClose, archivedTasks, onDeleteTask, isDa
                           <button
                             onClick={(e) => { e.stopPropagation(); setConfirmDeleteId(task.id); }}
                             className="text-red-500 hover:text-red-700 dark:text-red-500 dark:hover:text-red-300 transition p-1 rounded-full border border-gray-300 dark:border-gray-600"
-                            title="Permanently delete this archived task"
+                            title="Move this archived task to the trash"
                           >
                             {/* Trash icon SVG */}
                             <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>
@@ -693,63 +2144,3060 @@ const ArchivedTasksModal = ({ isOpen, onClose, archivedTasks, onDeleteTask, isDa
   );
 };
 
+// Component for the board's trash: restore or permanently delete tasks and subtasks, and set
+// how many days they're kept. `taskIds` are the tasks on the board, where subtasks can go back to.
+const TrashModal = ({ isOpen, onClose, trash, taskIds, retentionDays, onRestore, onPurge, onEmpty, onSetRetentionDays, isDarkMode }) => {
+  const [daysDraft, setDaysDraft] = useState(String(retentionDays));
+  const [confirmEmpty, setConfirmEmpty] = useState(false);
 
-// Main Application Component
-export default function App() {
-  const [tasks, setTasks] = useState([]);
-  const [isNewTaskModalOpen, setIsNewTaskModalOpen] = useState(false);
-  const [isArchivedModalOpen, setIsArchivedModalOpen] = useState(false);
-  const [taskToEdit, setTaskToEdit] = useState(null); // State to hold the task being edited
-  const [isLoading, setIsLoading] = useState(true);
-  
-  // Theme State
-  const [isDarkMode, setIsDarkMode] = useState(() => {
-    try {
-      const storedTheme = localStorage.getItem(THEME_KEY);
-      // Default to true (dark) if not explicitly light
-      return storedTheme === 'dark' || storedTheme === null;
-    } catch {
-      return true; // Default to dark mode on error or no preference
-    }
-  });
+  // Start from the board's setting each time the dialog opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setDaysDraft(String(retentionDays));
+    setConfirmEmpty(false);
+  }, [isOpen, retentionDays]);
 
-  // Main Board Filters & Sorting
-  const [mainBoardSortBy, setMainBoardSortBy] = useState('dueDate');
-  const [mainSearchQuery, setMainSearchQuery] = useState('');
-  const [dueByDate, setDueByDate] = useState(''); // Date string for filtering
+  const daysValue = Number(daysDraft);
+  const daysError = Number.isInteger(daysValue) && daysValue >= 1 && daysValue <= MAX_TRASH_RETENTION_DAYS
+    ? null
+    : `Enter a whole number of days from 1 to ${MAX_TRASH_RETENTION_DAYS}.`;
+  const sortedTrash = useMemo(() => [...trash].sort((a, b) => b.deletedAt - a.deletedAt), [trash]);
+  const trashedTaskIds = useMemo(() => new Set(trash.filter(entry => entry.type === 'task').map(entry => entry.task.id)), [trash]);
 
-  const [archiveMessage, setArchiveMessage] = useState(null); // State for archive feedback
+  const handleEmpty = useCallback(() => {
+    setConfirmEmpty(false);
+    onEmpty();
+  }, [onEmpty]);
 
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Trash"
+      size="max-w-2xl"
+      isDarkMode={isDarkMode}
+    >
+      <div className="space-y-4 text-left text-sm">
+        {/* Retention and Empty Trash */}
+        <div className="p-3 bg-gray-100 dark:bg-gray-800 rounded-lg space-y-2">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <label className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+              Delete permanently after
+              <input
+                type="number"
+                min="1"
+                max={MAX_TRASH_RETENTION_DAYS}
+                value={daysDraft}
+                onChange={(e) => setDaysDraft(e.target.value)}
+                aria-label="Days to keep deleted items"
+                className={`w-20 rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-2 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 ${daysError ? 'border-red-500' : ''}`}
+              />
+              days
+            </label>
+            <button
+              type="button"
+              onClick={() => onSetRetentionDays(daysValue)}
+              disabled={!!daysError || daysValue === retentionDays}
+              className="px-3 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white font-semibold transition disabled:opacity-50"
+            >
+              Save
+            </button>
+          </div>
+          {daysError && <p className="text-red-500 font-medium">{daysError}</p>}
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <span className="text-xs text-gray-500 dark:text-gray-400">
+              Deleted tasks and subtasks are kept for {retentionDays} days.
+            </span>
+            {confirmEmpty ? (
+              <span className="flex items-center gap-2 text-red-700 dark:text-red-300">
+                Permanently delete {trash.length} items? This can't be undone.
+                <button type="button" onClick={handleEmpty} className="px-3 py-1 rounded-lg bg-red-600 hover:bg-red-700 text-white transition">Empty Trash</button>
+                <button type="button" onClick={() => setConfirmEmpty(false)} className="px-3 py-1 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition">Cancel</button>
+              </span>
+            ) : (
+              <button
+                type="button"
+                onClick={() => setConfirmEmpty(true)}
+                disabled={trash.length === 0}
+                className="px-3 py-2 rounded-lg bg-red-500 hover:bg-red-600 text-white font-semibold transition disabled:opacity-50"
+              >
+                Empty Trash
+              </button>
+            )}
+          </div>
+        </div>
 
-  // 1. Initial Load from LocalStorage
-  useEffect(() => {
-    try {
-      const storedTasks = localStorage.getItem(LOCAL_STORAGE_KEY);
-      if (storedTasks) {
-        setTasks(JSON.parse(storedTasks));
-      }
-    } catch (error) {
-      console.error("Error loading tasks from localStorage:", error);
-    } finally {
-      setIsLoading(false);
+        {/* Trashed Items */}
+        {sortedTrash.length === 0 ? (
+          <p className="text-center text-gray-500 dark:text-gray-400 p-8 italic">The trash is empty.</p>
+        ) : (
+          <ul className="space-y-2">
+            {sortedTrash.map(entry => {
+              const title = entry.type === 'task' ? entry.task.title : entry.subtask.title;
+              const expiresAt = entry.deletedAt + retentionDays * DAY_MS;
+              // A subtask can only go back to a task that is on the board
+              let restoreBlocked = null;
+              if (entry.type === 'subtask' && !taskIds.has(entry.taskId)) {
+                restoreBlocked = trashedTaskIds.has(entry.taskId) ? `Restore "${entry.taskTitle}" first` : `"${entry.taskTitle}" was deleted permanently`;
+              }
+              return (
+                <li key={entry.id} className="p-3 bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm flex items-center justify-between gap-3">
+                  <div className="min-w-0">
+                    <p className="font-semibold text-gray-900 dark:text-gray-100 truncate">{title}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {entry.type === 'task' ? `Task from ${entry.task.status}` : `Subtask of "${entry.taskTitle}"`}
+                      {' '}&middot; Deleted {formatDate(entry.deletedAt)} &middot; Gone after {formatDate(expiresAt)}
+                    </p>
+                    {restoreBlocked && <p className="text-xs text-amber-600 dark:text-amber-400">{restoreBlocked}</p>}
+                  </div>
+                  <div className="flex items-center gap-2 shrink-0">
+                    <button
+                      type="button"
+                      onClick={() => onRestore(entry.id)}
+                      disabled={!!restoreBlocked}
+                      aria-label={`Restore ${title}`}
+                      className="px-3 py-1 rounded-lg bg-green-600 hover:bg-green-700 text-white transition disabled:opacity-50"
+                    >
+                      Restore
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => onPurge(entry.id)}
+                      aria-label={`Delete ${title} permanently`}
+                      className="text-red-500 hover:text-red-700 dark:text-red-500 dark:hover:text-red-300 transition p-1 rounded-full border border-gray-300 dark:border-gray-600"
+                      title="Delete permanently"
+                    >
+                      {/* Trash icon SVG */}
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+
+// Component for adding, renaming, reordering, recoloring and deleting board columns
+const ColumnSettingsModal = ({ isOpen, onClose, columns, taskCounts, onAddColumn, onUpdateColumn, onMoveColumn, onDeleteColumn, isDarkMode }) => {
+  const [newColumnName, setNewColumnName] = useState('');
+  const [newColumnColor, setNewColumnColor] = useState('purple');
+  const [nameDrafts, setNameDrafts] = useState({}); // In-progress renames keyed by column id
+  const [deletingId, setDeletingId] = useState(null);
+  const [moveTasksTo, setMoveTasksTo] = useState('');
+  const [error, setError] = useState(null);
+
+  // Returns an error message if the name can't be used, otherwise null
+  const validateName = useCallback((name, excludeId) => {
+    const trimmed = name.trim();
+    if (!trimmed) return 'Column name cannot be empty.';
+    if (trimmed.toLowerCase() === ARCHIVED_STATUS.toLowerCase()) return `"${ARCHIVED_STATUS}" is reserved for archived tasks.`;
+    if (columns.some(col => col.id !== excludeId && col.name.toLowerCase() === trimmed.toLowerCase())) {
+      return `A column named "${trimmed}" already exists.`;
+    }
+    return null;
+  }, [columns]);
+
+  const handleAdd = useCallback((e) => {
+    e.preventDefault();
+    const validationError = validateName(newColumnName);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    onAddColumn(newColumnName.trim(), newColumnColor);
+    setNewColumnName('');
+    setError(null);
+  }, [newColumnName, newColumnColor, validateName, onAddColumn]);
+
+  // Commit a rename when the name input loses focus (or Enter is pressed)
+  const handleRenameCommit = useCallback((column) => {
+    const draft = nameDrafts[column.id];
+    setNameDrafts(prev => {
+      const next = { ...prev };
+      delete next[column.id];
+      return next;
+    });
+    if (draft === undefined || draft.trim() === column.name) return;
+
+    const validationError = validateName(draft, column.id);
+    if (validationError) {
+      setError(validationError);
+      return;
     }
-  }, []); // Run only once on mount
+    onUpdateColumn(column.id, { name: draft.trim() });
+    setError(null);
+  }, [nameDrafts, validateName, onUpdateColumn]);
+
+  const handleStartDelete = useCallback((column) => {
+    const fallback = columns.find(col => col.id !== column.id);
+    setDeletingId(column.id);
+    setMoveTasksTo(fallback ? fallback.name : '');
+  }, [columns]);
+
+  const handleDeleteConfirmed = useCallback(() => {
+    onDeleteColumn(deletingId, moveTasksTo);
+    setDeletingId(null);
+  }, [deletingId, moveTasksTo, onDeleteColumn]);
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Board Columns"
+      size="max-w-2xl"
+      isDarkMode={isDarkMode}
+    >
+      <div className="space-y-4 text-left">
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Tasks moved into the last column are marked as completed and can be archived from there.
+        </p>
+
+        {error && (
+          <p className="text-red-500 text-sm font-medium p-2 bg-red-100 dark:bg-red-900 rounded-lg border border-red-300 dark:border-red-700">{error}</p>
+        )}
+
+        {/* Existing Columns */}
+        <div className="space-y-2">
+          {columns.map((column, index) => {
+            const count = taskCounts[column.name] || 0;
+            const isDeleting = deletingId === column.id;
+
+            return (
+              <div key={column.id} className="p-3 rounded-lg bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700 shadow-sm space-y-2">
+                <div className="flex items-center gap-2">
+                  <span className={`w-3 h-8 rounded ${getColumnColor(column.color).header}`}></span>
+                  <input
+                    type="text"
+                    value={nameDrafts[column.id] ?? column.name}
+                    onChange={(e) => setNameDrafts(prev => ({ ...prev, [column.id]: e.target.value }))}
+                    onBlur={() => handleRenameCommit(column)}
+                    onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                    className="flex-1 rounded-lg border-gray-300 dark:border-gray-600 shadow-sm py-2 px-3 text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+                    aria-label={`Name of column ${column.name}`}
+                  />
+                  <select
+                    value={column.color}
+                    onChange={(e) => onUpdateColumn(column.id, { color: e.target.value })}
+                    className="rounded-lg border-gray-300 dark:border-gray-600 shadow-sm py-2 px-2 text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+                    aria-label={`Color of column ${column.name}`}
+                  >
+                    {Object.entries(COLUMN_COLORS).map(([value, { label }]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap w-16 text-right">{count} tasks</span>
+                  <button
+                    type="button"
+                    onClick={() => onMoveColumn(column.id, -1)}
+                    disabled={index === 0}
+                    className="p-1 text-gray-500 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 disabled:opacity-30 disabled:cursor-not-allowed"
+                    title="Move column left"
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 15l7-7 7 7"></path></svg>
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onMoveColumn(column.id, 1)}
+                    disabled={index === columns.length - 1}
+                    className="p-1 text-gray-500 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 disabled:opacity-30 disabled:cursor-not-allowed"
+                    title="Move column right"
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleStartDelete(column)}
+                    disabled={columns.length === 1}
+                    className="p-1 text-red-500 hover:text-red-700 dark:hover:text-red-300 disabled:opacity-30 disabled:cursor-not-allowed"
+                    title={columns.length === 1 ? 'A board needs at least one column' : 'Delete column'}
+                  >
+                    {/* Trash icon SVG */}
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>
+                  </button>
+                </div>
+
+                {/* Delete Confirmation with task migration target */}
+                {isDeleting && (
+                  <div className="p-3 bg-red-50 dark:bg-red-900 border border-red-300 dark:border-red-700 rounded-lg space-y-2">
+                    <p className="text-sm font-medium text-red-800 dark:text-red-200">
+                      Delete the "{column.name}" column?
+                    </p>
+                    {count > 0 && (
+                      <div className="flex items-center space-x-2 text-sm">
+                        <label className="text-red-800 dark:text-red-200 whitespace-nowrap">Move its {count} tasks to:</label>
+                        <select
+                          value={moveTasksTo}
+                          onChange={(e) => setMoveTasksTo(e.target.value)}
+                          className="rounded-lg border-gray-300 dark:border-gray-600 shadow-sm py-1 px-2 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+                        >
+                          {columns.filter(col => col.id !== column.id).map(col => (
+                            <option key={col.id} value={col.name}>{col.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+                    <div className="flex justify-end space-x-2">
+                      <button
+                        type="button"
+                        onClick={() => setDeletingId(null)}
+                        className="px-3 py-1 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600 transition"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        type="button"
+                        onClick={handleDeleteConfirmed}
+                        className="px-3 py-1 text-sm rounded-lg bg-red-600 text-white hover:bg-red-700 dark:bg-red-700 dark:hover:bg-red-800 transition"
+                      >
+                        Confirm Delete
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Add New Column Form */}
+        <form onSubmit={handleAdd} className="space-y-3 p-3 bg-gray-100 dark:bg-gray-800 rounded-lg shadow-inner">
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Add New Column</label>
+          <div className="flex flex-col space-y-3 sm:space-y-0 sm:flex-row sm:space-x-3 items-end">
+            <input
+              type="text"
+              placeholder="e.g., Review, Blocked, QA"
+              value={newColumnName}
+              onChange={(e) => setNewColumnName(e.target.value)}
+              className="flex-1 w-full rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+            />
+            <select
+              value={newColumnColor}
+              onChange={(e) => setNewColumnColor(e.target.value)}
+              className="rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+            >
+              {Object.entries(COLUMN_COLORS).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={!newColumnName.trim()}
+              className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-4 rounded-lg text-sm transition disabled:opacity-50"
+            >
+              Add
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400">New columns are inserted before the last (completed) column.</p>
+        </form>
+      </div>
+    </Modal>
+  );
+};
+
+
+// Colors for each sprint state badge
+const SPRINT_STATE_CLASSES = {
+  Planned: 'bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-200',
+  Active: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  Ended: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+  Closed: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+};
+
+// Committed points against capacity, turning red once a sprint is over capacity
+const SprintCapacityBar = ({ committed, completed, capacity }) => {
+  const isOver = committed > capacity;
+  const scale = Math.max(committed, capacity, 1);
+  return (
+    <div className="space-y-1">
+      <div className="relative h-2 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+        <div className={`absolute inset-y-0 left-0 ${isOver ? 'bg-red-500' : 'bg-blue-500'}`} style={{ width: `${(committed / scale) * 100}%` }}></div>
+        <div className="absolute inset-y-0 left-0 bg-green-500" style={{ width: `${(completed / scale) * 100}%` }}></div>
+      </div>
+      <p className={`text-xs ${isOver ? 'text-red-600 dark:text-red-400 font-semibold' : 'text-gray-500 dark:text-gray-400'}`}>
+        {completed} done &middot; {committed} / {capacity} Pts committed{isOver ? ` (over capacity by ${committed - capacity})` : ''}
+      </p>
+    </div>
+  );
+};
+
+// Component for planning sprints: create, edit dates/capacity, close (rolling work over) and delete
+const SprintsModal = ({ isOpen, onClose, sprints, sprintStats, onCreateSprint, onUpdateSprint, onCloseSprint, onDeleteSprint, isDarkMode }) => {
+  const [newSprint, setNewSprint] = useState({ name: '', startDate: '', endDate: '', capacity: 20 });
+  const [confirmAction, setConfirmAction] = useState(null); // { type: 'close' | 'delete', sprintId }
+  const [error, setError] = useState(null);
+
+  const sortedSprints = useMemo(() => [...sprints].sort((a, b) => a.startDate - b.startDate), [sprints]);
+
+  // Suggest the next sprint's dates and name from the latest one
+  const latestSprint = sortedSprints[sortedSprints.length - 1];
+  const handleSuggest = useCallback(() => {
+    if (!latestSprint) return;
+    const { sprint } = getRolloverSprint([], latestSprint);
+    setNewSprint({
+      name: sprint.name,
+      startDate: timestampToDateString(sprint.startDate),
+      endDate: timestampToDateString(sprint.endDate),
+      capacity: sprint.capacity,
+    });
+  }, [latestSprint]);
+
+  const handleCreate = useCallback((e) => {
+    e.preventDefault();
+    const startDate = dateStringToTimestamp(newSprint.startDate);
+    const endDate = dateStringToTimestamp(newSprint.endDate);
+    const capacity = parseInt(newSprint.capacity, 10);
+    if (!newSprint.name.trim() || !startDate || !endDate) {
+      setError('Enter a name, a start date and an end date.');
+      return;
+    }
+    if (endDate < startDate) {
+      setError('The end date must be on or after the start date.');
+      return;
+    }
+    if (!Number.isFinite(capacity) || capacity < 0) {
+      setError('Capacity must be zero or more points.');
+      return;
+    }
+    setError(null);
+    onCreateSprint({ name: newSprint.name.trim(), startDate, endDate, capacity });
+    setNewSprint({ name: '', startDate: '', endDate: '', capacity });
+  }, [newSprint, onCreateSprint]);
+
+  // Commit an edited field when its input loses focus, ignoring invalid values
+  const handleFieldCommit = useCallback((sprint, field, rawValue) => {
+    let value = rawValue;
+    if (field === 'name') {
+      value = rawValue.trim();
+      if (!value) return;
+    } else if (field === 'capacity') {
+      value = parseInt(rawValue, 10);
+      if (!Number.isFinite(value) || value < 0) return;
+    } else {
+      value = dateStringToTimestamp(rawValue);
+      if (!value) return;
+      if (field === 'startDate' && value > sprint.endDate) return;
+      if (field === 'endDate' && value < sprint.startDate) return;
+    }
+    if (value !== sprint[field]) onUpdateSprint(sprint.id, { [field]: value });
+  }, [onUpdateSprint]);
+
+  const inputClass = "rounded-lg border-gray-300 dark:border-gray-600 shadow-sm py-1 px-2 text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 disabled:opacity-60";
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Sprints"
+      size="max-w-3xl"
+      isDarkMode={isDarkMode}
+    >
+      <div className="space-y-4 text-left">
+        {sortedSprints.length === 0 && (
+          <p className="text-center text-gray-500 dark:text-gray-400 p-4 italic">No sprints yet. Create one below, then assign tasks to it from the task form.</p>
+        )}
+
+        {/* Existing Sprints */}
+        <div className="space-y-2">
+          {sortedSprints.map(sprint => {
+            const state = getSprintState(sprint);
+            const stats = sprintStats[sprint.id] || { committed: 0, completed: 0, taskCount: 0 };
+            const isClosed = state === 'Closed';
+            const rollover = !isClosed ? getRolloverSprint(sprints, sprint) : null;
+
+            return (
+              <div key={sprint.id} className="p-3 rounded-lg bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700 shadow-sm space-y-2">
+                {/* Keyed on the stored values so the inputs reset when they change elsewhere */}
+                <div key={`${sprint.name}-${sprint.startDate}-${sprint.endDate}-${sprint.capacity}`} className="flex flex-wrap items-center gap-2">
+                  <input
+                    type="text"
+                    defaultValue={sprint.name}
+                    onBlur={(e) => handleFieldCommit(sprint, 'name', e.target.value)}
+                    onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                    disabled={isClosed}
+                    className={`flex-1 min-w-[8rem] font-semibold ${inputClass}`}
+                    aria-label={`Name of sprint ${sprint.name}`}
+                  />
+                  <input
+                    type="date"
+                    defaultValue={timestampToDateString(sprint.startDate)}
+                    onBlur={(e) => handleFieldCommit(sprint, 'startDate', e.target.value)}
+                    disabled={isClosed}
+                    className={inputClass}
+                    aria-label={`Start of sprint ${sprint.name}`}
+                  />
+                  <span className="text-gray-500 dark:text-gray-400">&ndash;</span>
+                  <input
+                    type="date"
+                    defaultValue={timestampToDateString(sprint.endDate)}
+                    onBlur={(e) => handleFieldCommit(sprint, 'endDate', e.target.value)}
+                    disabled={isClosed}
+                    className={inputClass}
+                    aria-label={`End of sprint ${sprint.name}`}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    defaultValue={sprint.capacity}
+                    onBlur={(e) => handleFieldCommit(sprint, 'capacity', e.target.value)}
+                    disabled={isClosed}
+                    className={`w-20 ${inputClass}`}
+                    aria-label={`Capacity of sprint ${sprint.name}`}
+                    title="Capacity (points)"
+                  />
+                  <span className={`text-xs font-semibold px-2 py-1 rounded-full ${SPRINT_STATE_CLASSES[state]}`}>{state}</span>
+                  {!isClosed && (
+                    <button
+                      type="button"
+                      onClick={() => setConfirmAction({ type: 'close', sprintId: sprint.id })}
+                      className="px-3 py-1 text-sm rounded-lg bg-green-600 hover:bg-green-700 text-white transition"
+                    >
+                      Close
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => setConfirmAction({ type: 'delete', sprintId: sprint.id })}
+                    className="p-1 text-red-500 hover:text-red-700 dark:hover:text-red-300"
+                    title="Delete sprint"
+                  >
+                    {/* Trash icon SVG */}
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>
+                  </button>
+                </div>
+
+                <SprintCapacityBar committed={stats.committed} completed={stats.completed} capacity={sprint.capacity} />
+
+                {/* Close / Delete Confirmation */}
+                {confirmAction?.sprintId === sprint.id && (
+                  <div className={`p-3 rounded-lg border ${confirmAction.type === 'delete' ? 'bg-red-50 dark:bg-red-900 border-red-300 dark:border-red-700' : 'bg-green-50 dark:bg-green-900 border-green-300 dark:border-green-700'}`}>
+                    <p className="text-sm font-medium text-gray-800 dark:text-gray-200 mb-2">
+                      {confirmAction.type === 'delete'
+                        ? `Delete "${sprint.name}"? Its ${stats.taskCount} tasks move back to the backlog.`
+                        : `Close "${sprint.name}"? Completed tasks are archived and unfinished ones move to ${rollover.isNew ? `a new sprint, "${rollover.sprint.name}"` : `"${rollover.sprint.name}"`}.`}
+                    </p>
+                    <div className="flex justify-end space-x-2">
+                      <button
+                        type="button"
+                        onClick={() => setConfirmAction(null)}
+                        className="px-3 py-1 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600 transition"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => {
+                          if (confirmAction.type === 'delete') onDeleteSprint(sprint.id);
+                          else onCloseSprint(sprint.id);
+                          setConfirmAction(null);
+                        }}
+                        className={`px-3 py-1 text-sm rounded-lg text-white transition ${confirmAction.type === 'delete' ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'}`}
+                      >
+                        {confirmAction.type === 'delete' ? 'Confirm Delete' : 'Close Sprint'}
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Create New Sprint Form */}
+        <form onSubmit={handleCreate} className="space-y-3 p-3 bg-gray-100 dark:bg-gray-800 rounded-lg shadow-inner">
+          <div className="flex justify-between items-center">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Create New Sprint</label>
+            {latestSprint && (
+              <button type="button" onClick={handleSuggest} className="text-xs text-blue-600 dark:text-blue-400 hover:underline">
+                Follow on from "{latestSprint.name}"
+              </button>
+            )}
+          </div>
+          {error && (
+            <p className="text-red-500 text-sm font-medium p-2 bg-red-100 dark:bg-red-900 rounded-lg border border-red-300 dark:border-red-700">{error}</p>
+          )}
+          <div className="flex flex-wrap gap-3 items-end">
+            <input
+              type="text"
+              placeholder="e.g., Sprint 1"
+              value={newSprint.name}
+              onChange={(e) => setNewSprint(prev => ({ ...prev, name: e.target.value }))}
+              className="flex-1 min-w-[8rem] rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+              aria-label="New sprint name"
+            />
+            <input
+              type="date"
+              value={newSprint.startDate}
+              onChange={(e) => setNewSprint(prev => ({ ...prev, startDate: e.target.value }))}
+              className="rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+              aria-label="New sprint start date"
+            />
+            <input
+              type="date"
+              value={newSprint.endDate}
+              onChange={(e) => setNewSprint(prev => ({ ...prev, endDate: e.target.value }))}
+              className="rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+              aria-label="New sprint end date"
+            />
+            <input
+              type="number"
+              min="0"
+              value={newSprint.capacity}
+              onChange={(e) => setNewSprint(prev => ({ ...prev, capacity: e.target.value }))}
+              className="w-24 rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+              aria-label="New sprint capacity in points"
+              title="Capacity (points)"
+            />
+            <button
+              type="submit"
+              className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-4 rounded-lg text-sm transition"
+            >
+              Create
+            </button>
+          </div>
+        </form>
+      </div>
+    </Modal>
+  );
+};
+
+
+// Short description of what a saved view filters on
+const describeFilters = (filters, sprints) => {
+  const parts = [];
+  if (filters.searchQuery) parts.push(`search "${filters.searchQuery}"`);
+  if (filters.dueByDate) parts.push(`due by ${formatDate(dateStringToTimestamp(filters.dueByDate))}`);
+  if (filters.sprintId) parts.push(filters.sprintId === BACKLOG_FILTER ? 'backlog' : `sprint "${sprints.find(sprint => sprint.id === filters.sprintId)?.name || 'deleted sprint'}"`);
+  if (filters.labels.length > 0) parts.push(`${filters.labelMode === 'all' ? 'all of' : 'any of'} ${filters.labels.join(', ')}`);
+  parts.push(`sorted by ${(TASK_SORT_OPTIONS.find(option => option.id === filters.sortBy) || TASK_SORT_OPTIONS[0]).label.toLowerCase()}`);
+  parts.push(`${(BOARD_VIEWS.find(view => view.id === filters.view) || BOARD_VIEWS[0]).label.toLowerCase()} view`);
+  return parts.join(' · ');
+};
+
+// Component for saving the current filters as a named view, and applying, updating or deleting saved ones
+const SavedViewsModal = ({ isOpen, onClose, presets, sprints, activePresetId, onSavePreset, onApplyPreset, onUpdatePreset, onDeletePreset, isDarkMode }) => {
+  const [name, setName] = useState('');
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  const handleSave = useCallback((e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSavePreset(name.trim());
+    setName('');
+  }, [name, onSavePreset]);
+
+  // The URL hash already holds the current view
+  const handleCopyLink = useCallback(() => {
+    navigator.clipboard?.writeText(window.location.href)
+      .then(() => setLinkCopied(true))
+      .catch(error => console.error('Error copying link:', error));
+  }, []);
+
+  const existing = presets.find(preset => preset.name === name.trim());
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Saved Views"
+      size="max-w-2xl"
+      isDarkMode={isDarkMode}
+    >
+      <div className="space-y-4 text-left">
+        {presets.length === 0 && (
+          <p className="text-center text-gray-500 dark:text-gray-400 p-4 italic">No saved views yet. Set up the filters and sort you want, then save them below.</p>
+        )}
+
+        {/* Existing Views */}
+        <div className="space-y-2">
+          {presets.map(preset => (
+            <div key={preset.id} className={`p-3 rounded-lg border shadow-sm flex items-center gap-3 ${preset.id === activePresetId ? 'bg-blue-50 dark:bg-blue-950 border-blue-300 dark:border-blue-700' : 'bg-gray-50 dark:bg-gray-900 border-gray-200 dark:border-gray-700'}`}>
+              <div className="flex-1 min-w-0">
+                <p className="font-semibold text-gray-900 dark:text-gray-100">{preset.name}</p>
+                <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{describeFilters(preset.filters, sprints)}</p>
+              </div>
+              <button
+                type="button"
+                onClick={() => onApplyPreset(preset.id)}
+                className="px-3 py-1 text-sm rounded-lg bg-blue-600 hover:bg-blue-700 text-white transition"
+              >
+                Apply
+              </button>
+              <button
+                type="button"
+                onClick={() => onUpdatePreset(preset.id)}
+                disabled={preset.id === activePresetId}
+                className="px-3 py-1 text-sm rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition disabled:opacity-50"
+                title="Replace this view's filters with the current ones"
+              >
+                Update
+              </button>
+              <button
+                type="button"
+                onClick={() => onDeletePreset(preset.id)}
+                className="p-1 text-red-500 hover:text-red-700 dark:hover:text-red-300"
+                title="Delete saved view"
+              >
+                {/* Trash icon SVG */}
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>
+              </button>
+            </div>
+          ))}
+        </div>
+
+        {/* Save Current View Form */}
+        <form onSubmit={handleSave} className="space-y-2 p-3 bg-gray-100 dark:bg-gray-800 rounded-lg shadow-inner">
+          <label htmlFor="presetName" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Save the current filters and sort as</label>
+          <div className="flex space-x-3">
+            <input
+              type="text"
+              id="presetName"
+              placeholder="e.g., My overdue"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="flex-1 rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+            />
+            <button
+              type="submit"
+              disabled={!name.trim()}
+              className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-4 rounded-lg text-sm transition disabled:opacity-50"
+            >
+              {existing ? 'Replace View' : 'Save View'}
+            </button>
+          </div>
+        </form>
+
+        {/* Shareable Link */}
+        <div className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-400">
+          <span>The page address always holds the current view, so it can be bookmarked or shared.</span>
+          <button
+            type="button"
+            onClick={handleCopyLink}
+            className="ml-3 px-3 py-1 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition whitespace-nowrap"
+          >
+            {linkCopied ? 'Link Copied' : 'Copy Link'}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+// Component for managing the board's labels: recolor, rename, merge one into another and delete
+const LabelsModal = ({ isOpen, onClose, labels, labelCounts, onCreateLabel, onUpdateLabelColor, onRenameLabel, onMergeLabel, onDeleteLabel, isDarkMode }) => {
+  const [newLabelName, setNewLabelName] = useState('');
+  const [confirmAction, setConfirmAction] = useState(null); // { type: 'merge' | 'delete', name, into? }
+  const [error, setError] = useState(null);
+
+  const handleCreate = useCallback((e) => {
+    e.preventDefault();
+    const name = newLabelName.trim();
+    if (!name) return;
+    if (labels.some(label => label.name === name)) {
+      setError(`A label named "${name}" already exists.`);
+      return;
+    }
+    setError(null);
+    onCreateLabel(name, nextLabelColor(labels));
+    setNewLabelName('');
+  }, [newLabelName, labels, onCreateLabel]);
+
+  // Commit a rename when the input loses focus; an existing name has to be merged instead
+  const handleRename = useCallback((label, rawName) => {
+    const name = rawName.trim();
+    if (!name || name === label.name) return;
+    if (labels.some(other => other.name === name)) {
+      setError(`A label named "${name}" already exists. Use "Merge into" to combine the two.`);
+      return;
+    }
+    setError(null);
+    onRenameLabel(label.name, name);
+  }, [labels, onRenameLabel]);
+
+  const inputClass = "rounded-lg border-gray-300 dark:border-gray-600 shadow-sm py-1 px-2 text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100";
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Labels"
+      size="max-w-2xl"
+      isDarkMode={isDarkMode}
+    >
+      <div className="space-y-4 text-left">
+        {error && (
+          <p className="text-red-500 text-sm font-medium p-2 bg-red-100 dark:bg-red-900 rounded-lg border border-red-300 dark:border-red-700">{error}</p>
+        )}
+        {labels.length === 0 && (
+          <p className="text-center text-gray-500 dark:text-gray-400 p-4 italic">No labels yet. Create one below or from the task form.</p>
+        )}
+
+        {/* Existing Labels */}
+        <div className="space-y-2">
+          {labels.map(label => (
+            <div key={label.name} className="p-3 rounded-lg bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700 shadow-sm space-y-2">
+              <div className="flex flex-wrap items-center gap-2">
+                <LabelChip name={label.name} color={label.color} />
+                <input
+                  type="text"
+                  defaultValue={label.name}
+                  onBlur={(e) => handleRename(label, e.target.value)}
+                  onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                  className={`flex-1 min-w-[8rem] ${inputClass}`}
+                  aria-label={`Name of label ${label.name}`}
+                />
+                <select
+                  value={label.color}
+                  onChange={(e) => onUpdateLabelColor(label.name, e.target.value)}
+                  className={inputClass}
+                  aria-label={`Color of label ${label.name}`}
+                >
+                  {Object.entries(COLUMN_COLORS).map(([key, { label: colorLabel }]) => <option key={key} value={key}>{colorLabel}</option>)}
+                </select>
+                <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">{labelCounts[label.name] || 0} tasks</span>
+                {labels.length > 1 && (
+                  <select
+                    value=""
+                    onChange={(e) => e.target.value && setConfirmAction({ type: 'merge', name: label.name, into: e.target.value })}
+                    className={inputClass}
+                    aria-label={`Merge label ${label.name} into`}
+                  >
+                    <option value="">Merge into...</option>
+                    {labels.filter(other => other.name !== label.name).map(other => (
+                      <option key={other.name} value={other.name}>{other.name}</option>
+                    ))}
+                  </select>
+                )}
+                <button
+                  type="button"
+                  onClick={() => setConfirmAction({ type: 'delete', name: label.name })}
+                  className="p-1 text-red-500 hover:text-red-700 dark:hover:text-red-300"
+                  title="Delete label"
+                >
+                  {/* Trash icon SVG */}
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>
+                </button>
+              </div>
+
+              {/* Merge / Delete Confirmation */}
+              {confirmAction?.name === label.name && (
+                <div className={`p-3 rounded-lg border ${confirmAction.type === 'delete' ? 'bg-red-50 dark:bg-red-900 border-red-300 dark:border-red-700' : 'bg-blue-50 dark:bg-blue-900 border-blue-300 dark:border-blue-700'}`}>
+                  <p className="text-sm font-medium text-gray-800 dark:text-gray-200 mb-2">
+                    {confirmAction.type === 'delete'
+                      ? `Delete "${label.name}"? It is removed from its ${labelCounts[label.name] || 0} tasks.`
+                      : `Merge "${label.name}" into "${confirmAction.into}"? Its ${labelCounts[label.name] || 0} tasks get "${confirmAction.into}" instead.`}
+                  </p>
+                  <div className="flex justify-end space-x-2">
+                    <button
+                      type="button"
+                      onClick={() => setConfirmAction(null)}
+                      className="px-3 py-1 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600 transition"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        if (confirmAction.type === 'delete') onDeleteLabel(label.name);
+                        else onMergeLabel(label.name, confirmAction.into);
+                        setConfirmAction(null);
+                      }}
+                      className={`px-3 py-1 text-sm rounded-lg text-white transition ${confirmAction.type === 'delete' ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'}`}
+                    >
+                      {confirmAction.type === 'delete' ? 'Confirm Delete' : 'Merge Labels'}
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {/* Create New Label Form */}
+        <form onSubmit={handleCreate} className="flex space-x-3 p-3 bg-gray-100 dark:bg-gray-800 rounded-lg shadow-inner">
+          <input
+            type="text"
+            placeholder="New label, e.g. customer"
+            value={newLabelName}
+            onChange={(e) => setNewLabelName(e.target.value)}
+            className="flex-1 rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+            aria-label="New label name"
+          />
+          <button
+            type="submit"
+            disabled={!newLabelName.trim()}
+            className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-4 rounded-lg text-sm transition disabled:opacity-50"
+          >
+            Create Label
+          </button>
+        </form>
+      </div>
+    </Modal>
+  );
+};
+
+// Component for creating, renaming, duplicating and deleting boards
+const BoardsModal = ({ isOpen, onClose, boards, activeBoardId, onSelectBoard, onCreateBoard, onRenameBoard, onDuplicateBoard, onDeleteBoard, isDarkMode }) => {
+  const [newBoardName, setNewBoardName] = useState('');
+  const [nameDrafts, setNameDrafts] = useState({}); // In-progress renames keyed by board id
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+
+  const handleCreate = useCallback((e) => {
+    e.preventDefault();
+    if (!newBoardName.trim()) return;
+    onCreateBoard(newBoardName.trim());
+    setNewBoardName('');
+  }, [newBoardName, onCreateBoard]);
+
+  // Commit a rename when the name input loses focus; blank names are discarded
+  const handleRenameCommit = useCallback((board) => {
+    const draft = nameDrafts[board.id];
+    setNameDrafts(prev => {
+      const next = { ...prev };
+      delete next[board.id];
+      return next;
+    });
+    if (draft !== undefined && draft.trim() && draft.trim() !== board.name) {
+      onRenameBoard(board.id, draft.trim());
+    }
+  }, [nameDrafts, onRenameBoard]);
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Boards"
+      size="max-w-2xl"
+      isDarkMode={isDarkMode}
+    >
+      <div className="space-y-4 text-left">
+        {/* Existing Boards */}
+        <div className="space-y-2">
+          {boards.map(board => {
+            const isActive = board.id === activeBoardId;
+            const activeCount = board.tasks.filter(task => task.status !== ARCHIVED_STATUS).length;
+            const archivedCount = board.tasks.length - activeCount;
+
+            return (
+              <div key={board.id} className={`p-3 rounded-lg bg-gray-50 dark:bg-gray-900 border shadow-sm space-y-2 ${isActive ? 'border-blue-500' : 'border-gray-200 dark:border-gray-700'}`}>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={nameDrafts[board.id] ?? board.name}
+                    onChange={(e) => setNameDrafts(prev => ({ ...prev, [board.id]: e.target.value }))}
+                    onBlur={() => handleRenameCommit(board)}
+                    onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                    className="flex-1 rounded-lg border-gray-300 dark:border-gray-600 shadow-sm py-2 px-3 text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+                    aria-label={`Name of board ${board.name}`}
+                  />
+                  <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                    {activeCount} active &middot; {archivedCount} archived
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => onSelectBoard(board.id)}
+                    disabled={isActive}
+                    className="px-3 py-1 text-sm rounded-lg bg-blue-500 hover:bg-blue-600 text-white transition disabled:opacity-50 disabled:cursor-default"
+                  >
+                    {isActive ? 'Current' : 'Open'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onDuplicateBoard(board.id)}
+                    className="px-3 py-1 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600 transition"
+                  >
+                    Duplicate
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setConfirmDeleteId(board.id)}
+                    disabled={boards.length === 1}
+                    className="p-1 text-red-500 hover:text-red-700 dark:hover:text-red-300 disabled:opacity-30 disabled:cursor-not-allowed"
+                    title={boards.length === 1 ? 'At least one board is required' : 'Delete board'}
+                  >
+                    {/* Trash icon SVG */}
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>
+                  </button>
+                </div>
+
+                {/* Delete Confirmation */}
+                {confirmDeleteId === board.id && (
+                  <div className="p-3 bg-red-50 dark:bg-red-900 border border-red-300 dark:border-red-700 rounded-lg">
+                    <p className="text-sm font-medium text-red-800 dark:text-red-200 mb-2">
+                      Delete "{board.name}" and all {board.tasks.length} of its tasks, including archived ones?
+                    </p>
+                    <div className="flex justify-end space-x-2">
+                      <button
+                        type="button"
+                        onClick={() => setConfirmDeleteId(null)}
+                        className="px-3 py-1 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600 transition"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => { onDeleteBoard(board.id); setConfirmDeleteId(null); }}
+                        className="px-3 py-1 text-sm rounded-lg bg-red-600 text-white hover:bg-red-700 dark:bg-red-700 dark:hover:bg-red-800 transition"
+                      >
+                        Confirm Delete
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Create New Board Form */}
+        <form onSubmit={handleCreate} className="space-y-3 p-3 bg-gray-100 dark:bg-gray-800 rounded-lg shadow-inner">
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Create New Board</label>
+          <div className="flex space-x-3">
+            <input
+              type="text"
+              placeholder="e.g., Personal, Team Sprint"
+              value={newBoardName}
+              onChange={(e) => setNewBoardName(e.target.value)}
+              className="flex-1 rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+            />
+            <button
+              type="submit"
+              disabled={!newBoardName.trim()}
+              className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-4 rounded-lg text-sm transition disabled:opacity-50"
+            >
+              Create
+            </button>
+          </div>
+        </form>
+      </div>
+    </Modal>
+  );
+};
+
+
+// Component for reviewing a parsed import file and choosing how to apply it
+const ImportModal = ({ pendingImport, onClose, onConfirm, isDarkMode }) => {
+  const [mode, setMode] = useState('merge');
+
+  if (!pendingImport) return null;
+  const { fileName, error, result } = pendingImport;
+
+  return (
+    <Modal
+      isOpen={!!pendingImport}
+      onClose={onClose}
+      title={`Import "${fileName}"`}
+      size="max-w-2xl"
+      isDarkMode={isDarkMode}
+    >
+      <div className="space-y-4 text-left">
+        {error ? (
+          <p className="text-red-500 text-sm font-medium p-2 bg-red-100 dark:bg-red-900 rounded-lg border border-red-300 dark:border-red-700">{error}</p>
+        ) : (
+          <>
+            <p className="text-sm text-gray-700 dark:text-gray-300">
+              Found <span className="font-semibold">{result.taskCount}</span> valid tasks in <span className="font-semibold">{result.boards.length}</span> boards.
+            </p>
+
+            {/* Records that failed validation and will be skipped */}
+            {result.problems.length > 0 && (
+              <div className="p-3 bg-yellow-50 dark:bg-yellow-900 border border-yellow-300 dark:border-yellow-700 rounded-lg">
+                <p className="text-sm font-semibold text-yellow-800 dark:text-yellow-200 mb-2">
+                  {result.problems.length} records could not be read and will be skipped:
+                </p>
+                <ul className="list-disc list-inside text-xs text-yellow-800 dark:text-yellow-200 space-y-1 max-h-40 overflow-y-auto custom-scrollbar">
+                  {result.problems.map((problem, index) => <li key={index}>{problem}</li>)}
+                </ul>
+              </div>
+            )}
+
+            {/* Merge vs Replace */}
+            <div className="space-y-2 text-sm text-gray-700 dark:text-gray-300">
+              <label className="flex items-start space-x-2">
+                <input type="radio" name="importMode" value="merge" checked={mode === 'merge'} onChange={() => setMode('merge')} className="mt-1" />
+                <span><span className="font-semibold">Merge</span> &mdash; update tasks with matching ids, add new tasks and boards, keep everything else.</span>
+              </label>
+              <label className="flex items-start space-x-2">
+                <input type="radio" name="importMode" value="replace" checked={mode === 'replace'} onChange={() => setMode('replace')} className="mt-1" />
+                <span><span className="font-semibold">Replace</span> &mdash; discard all current boards and tasks and use the file's contents instead.</span>
+              </label>
+            </div>
+          </>
+        )}
+
+        <div className="flex justify-end space-x-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600 transition"
+          >
+            Cancel
+          </button>
+          {!error && (
+            <button
+              type="button"
+              onClick={() => onConfirm(mode)}
+              className={`px-4 py-2 text-sm rounded-lg text-white transition ${mode === 'replace' ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'}`}
+            >
+              {mode === 'replace' ? 'Replace Everything' : 'Merge Into Boards'}
+            </button>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+
+// Notice listing saved records that were repaired or set aside while loading
+const DataRepairNotice = ({ report, onDismiss }) => {
+  const [showDetails, setShowDetails] = useState(false);
+
+  // Download everything that has been quarantined so far so it can be fixed by hand
+  const handleDownloadQuarantine = useCallback(() => {
+    const quarantined = localStorage.getItem(QUARANTINE_KEY) || '[]';
+    downloadFile(`task-board-quarantine-${todayString()}.json`, quarantined, 'application/json');
+  }, []);
+
+  return (
+    <div className="mb-6 p-4 rounded-xl shadow-lg bg-yellow-50 dark:bg-yellow-900 border border-yellow-300 dark:border-yellow-700 text-left">
+      <div className="flex flex-col sm:flex-row justify-between sm:items-center gap-3">
+        <p className="text-sm font-semibold text-yellow-800 dark:text-yellow-200">
+          Some saved data needed attention: {report.repaired.length - report.quarantined.length} issues were repaired
+          {report.quarantined.length > 0 && ` and ${report.quarantined.length} unreadable tasks were set aside`}.
+        </p>
+        <div className="flex space-x-2 text-sm">
+          <button
+            onClick={() => setShowDetails(prev => !prev)}
+            className="px-3 py-1 rounded-lg border border-yellow-400 dark:border-yellow-600 text-yellow-800 dark:text-yellow-200 hover:bg-yellow-100 dark:hover:bg-yellow-800 transition"
+          >
+            {showDetails ? 'Hide Details' : 'Show Details'}
+          </button>
+          {report.quarantined.length > 0 && (
+            <button
+              onClick={handleDownloadQuarantine}
+              className="px-3 py-1 rounded-lg border border-yellow-400 dark:border-yellow-600 text-yellow-800 dark:text-yellow-200 hover:bg-yellow-100 dark:hover:bg-yellow-800 transition"
+            >
+              Download Set-Aside Records
+            </button>
+          )}
+          <button
+            onClick={onDismiss}
+            className="px-3 py-1 rounded-lg bg-yellow-600 hover:bg-yellow-700 text-white transition"
+          >
+            Dismiss
+          </button>
+        </div>
+      </div>
+      {showDetails && (
+        <ul className="mt-3 list-disc list-inside text-xs text-yellow-800 dark:text-yellow-200 space-y-1 max-h-40 overflow-y-auto custom-scrollbar">
+          {report.repaired.map((message, index) => <li key={index}>{message}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+
+// Labels and colors for each cloud sync connection state
+const SYNC_STATUS_DISPLAY = {
+  disconnected: { label: 'Off', className: 'bg-gray-400' },
+  connecting: { label: 'Connecting', className: 'bg-yellow-500' },
+  synced: { label: 'Synced', className: 'bg-green-500' },
+  offline: { label: 'Offline', className: 'bg-orange-500' },
+  error: { label: 'Error', className: 'bg-red-500' },
+};
+
+// Settings panel for connecting the boards to Firestore (or the local Firebase emulator)
+const CloudSyncModal = ({ isOpen, onClose, settings, status, onConnect, onDisconnect, isDarkMode }) => {
+  const [configText, setConfigText] = useState(settings.firebaseConfig ? JSON.stringify(settings.firebaseConfig, null, 2) : '');
+  const [workspaceId, setWorkspaceId] = useState(settings.workspaceId || generateId());
+  const [useEmulator, setUseEmulator] = useState(settings.useEmulator);
+  const [emulatorHost, setEmulatorHost] = useState(settings.emulatorHost);
+  const [emulatorPort, setEmulatorPort] = useState(settings.emulatorPort);
+  const [error, setError] = useState(null);
+
+  const statusDisplay = SYNC_STATUS_DISPLAY[status.state] || SYNC_STATUS_DISPLAY.disconnected;
+
+  const handleConnect = useCallback((e) => {
+    e.preventDefault();
+    try {
+      const firebaseConfig = parseFirebaseConfig(configText);
+      if (!workspaceId.trim()) throw new Error('Enter a workspace id.');
+      setError(null);
+      onConnect({
+        enabled: true,
+        firebaseConfig,
+        workspaceId: workspaceId.trim(),
+        useEmulator,
+        emulatorHost: emulatorHost.trim() || 'localhost',
+        emulatorPort: parseInt(emulatorPort, 10) || 8080,
+      });
+    } catch (validationError) {
+      setError(validationError.message);
+    }
+  }, [configText, workspaceId, useEmulator, emulatorHost, emulatorPort, onConnect]);
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Cloud Sync"
+      size="max-w-2xl"
+      isDarkMode={isDarkMode}
+    >
+      <form onSubmit={handleConnect} className="space-y-4 text-left">
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Mirror all boards to a Firestore database so they can be shared between machines. The board keeps working offline;
+          changes made offline are sent when the connection returns, and when the same task was changed in two places the most recent change wins.
+        </p>
+
+        {/* Current Status */}
+        <div className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+          <span className={`w-3 h-3 rounded-full ${statusDisplay.className}`}></span>
+          <span className="font-semibold">{statusDisplay.label}</span>
+          {status.lastSyncedAt && <span className="text-gray-500 dark:text-gray-400">&middot; last synced {new Date(status.lastSyncedAt).toLocaleTimeString()}</span>}
+          {status.message && <span className="text-gray-500 dark:text-gray-400">&middot; {status.message}</span>}
+        </div>
+
+        {error && (
+          <p className="text-red-500 text-sm font-medium p-2 bg-red-100 dark:bg-red-900 rounded-lg border border-red-300 dark:border-red-700">{error}</p>
+        )}
+
+        <div>
+          <label htmlFor="firebaseConfig" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Firebase Config</label>
+          <textarea
+            id="firebaseConfig"
+            value={configText}
+            onChange={(e) => setConfigText(e.target.value)}
+            rows="6"
+            disabled={settings.enabled}
+            className="mt-1 block w-full rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 font-mono text-xs bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 disabled:opacity-60"
+            placeholder={'{ "apiKey": "...", "authDomain": "...", "projectId": "..." }\n\nFor the local emulator, { "projectId": "demo-kanban" } is enough.'}
+          />
+        </div>
+
+        <div>
+          <label htmlFor="workspaceId" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Workspace Id</label>
+          <input
+            type="text"
+            id="workspaceId"
+            value={workspaceId}
+            onChange={(e) => setWorkspaceId(e.target.value)}
+            disabled={settings.enabled}
+            className="mt-1 block w-full rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 font-mono text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 disabled:opacity-60"
+          />
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Use the same workspace id on every machine that should share these boards.</p>
+        </div>
+
+        {/* Emulator Options */}
+        <div className="p-3 bg-gray-100 dark:bg-gray-800 rounded-lg space-y-3">
+          <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+            <input type="checkbox" checked={useEmulator} onChange={(e) => setUseEmulator(e.target.checked)} disabled={settings.enabled} />
+            <span>Use the local Firestore emulator (no live Firebase project needed)</span>
+          </label>
+          {useEmulator && (
+            <div className="flex space-x-3">
+              <input
+                type="text"
+                value={emulatorHost}
+                onChange={(e) => setEmulatorHost(e.target.value)}
+                disabled={settings.enabled}
+                className="flex-1 rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-2 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 disabled:opacity-60"
+                aria-label="Emulator host"
+              />
+              <input
+                type="number"
+                value={emulatorPort}
+                onChange={(e) => setEmulatorPort(e.target.value)}
+                disabled={settings.enabled}
+                className="w-28 rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-2 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 disabled:opacity-60"
+                aria-label="Emulator port"
+              />
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          {settings.enabled ? (
+            <button
+              type="button"
+              onClick={onDisconnect}
+              className="px-4 py-2 text-sm rounded-lg bg-red-600 hover:bg-red-700 text-white transition"
+            >
+              Disconnect
+            </button>
+          ) : (
+            <button
+              type="submit"
+              className="px-4 py-2 text-sm rounded-lg bg-green-600 hover:bg-green-700 text-white transition"
+            >
+              Connect
+            </button>
+          )}
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+// Settings for due-soon highlighting and browser notification reminders
+const ReminderSettingsModal = ({ isOpen, onClose, settings, onSave, isDarkMode }) => {
+  const [dueSoonDays, setDueSoonDays] = useState(String(settings.dueSoonDays));
+  const [notificationsEnabled, setNotificationsEnabled] = useState(settings.notificationsEnabled);
+  const [notifyDaysBefore, setNotifyDaysBefore] = useState(String(settings.notifyDaysBefore));
+  const [error, setError] = useState('');
+
+  const notificationsSupported = typeof window !== 'undefined' && 'Notification' in window;
+
+  // Start from the saved settings each time the dialog opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setDueSoonDays(String(settings.dueSoonDays));
+    setNotificationsEnabled(settings.notificationsEnabled);
+    setNotifyDaysBefore(String(settings.notifyDaysBefore));
+    setError('');
+  }, [isOpen, settings]);
+
+  // Ask for permission as soon as notifications are switched on, so the answer is known before saving
+  const handleToggleNotifications = useCallback((checked) => {
+    setError('');
+    if (!checked) {
+      setNotificationsEnabled(false);
+      return;
+    }
+    if (Notification.permission === 'granted') {
+      setNotificationsEnabled(true);
+      return;
+    }
+    Promise.resolve(Notification.requestPermission()).then(permission => {
+      if (permission === 'granted') {
+        setNotificationsEnabled(true);
+      } else {
+        setError('Notifications are blocked for this site. Allow them in the browser\'s site settings to get reminders.');
+      }
+    });
+  }, []);
+
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+    const soon = Number(dueSoonDays);
+    const before = Number(notifyDaysBefore);
+    if (!Number.isInteger(soon) || soon < 0 || soon > MAX_REMINDER_DAYS || !Number.isInteger(before) || before < 0 || before > MAX_REMINDER_DAYS) {
+      setError(`Days must be whole numbers from 0 to ${MAX_REMINDER_DAYS}.`);
+      return;
+    }
+    onSave({ dueSoonDays: soon, notificationsEnabled, notifyDaysBefore: before });
+    onClose();
+  }, [dueSoonDays, notifyDaysBefore, notificationsEnabled, onSave, onClose]);
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Reminders"
+      isDarkMode={isDarkMode}
+    >
+      <form onSubmit={handleSubmit} className="space-y-4 text-left">
+        {error && (
+          <p className="text-red-500 text-sm font-medium p-2 bg-red-100 dark:bg-red-900 rounded-lg border border-red-300 dark:border-red-700">{error}</p>
+        )}
+
+        <div>
+          <label htmlFor="dueSoonDays" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Flag items as due soon within (days)</label>
+          <input
+            type="number"
+            id="dueSoonDays"
+            min="0"
+            max={MAX_REMINDER_DAYS}
+            value={dueSoonDays}
+            onChange={(e) => setDueSoonDays(e.target.value)}
+            className="mt-1 block w-full rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-3 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+          />
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">0 flags only items due today. Overdue items are always flagged.</p>
+        </div>
+
+        {/* Browser Notifications */}
+        <div className="p-3 bg-gray-100 dark:bg-gray-800 rounded-lg space-y-3">
+          <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={notificationsEnabled}
+              onChange={(e) => handleToggleNotifications(e.target.checked)}
+              disabled={!notificationsSupported}
+            />
+            <span>{notificationsSupported ? 'Show a browser notification while the app is open' : 'This browser doesn\'t support notifications'}</span>
+          </label>
+          {notificationsEnabled && (
+            <div>
+              <label htmlFor="notifyDaysBefore" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Days before the due date</label>
+              <input
+                type="number"
+                id="notifyDaysBefore"
+                min="0"
+                max={MAX_REMINDER_DAYS}
+                value={notifyDaysBefore}
+                onChange={(e) => setNotifyDaysBefore(e.target.value)}
+                className="mt-1 block w-full rounded-lg border-gray-300 dark:border-gray-600 shadow-sm p-2 text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+              />
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Each task and subtask is reminded about once; 0 reminds on the due day.</p>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600 transition"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="px-4 py-2 text-sm rounded-lg bg-blue-600 hover:bg-blue-700 text-white transition"
+          >
+            Save
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+
+// --- Reports Charts ---
+// Charts are drawn as plain SVG so they can be exported without any chart service
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 260;
+const CHART_PADDING = { top: 16, right: 16, bottom: 36, left: 44 };
+
+// Colors used inside chart SVGs (attributes rather than Tailwind classes, so exports keep them)
+const getChartTheme = (isDarkMode) => ({
+  background: isDarkMode ? '#111827' : '#ffffff',
+  grid: isDarkMode ? '#374151' : '#e5e7eb',
+  text: isDarkMode ? '#9ca3af' : '#6b7280',
+});
+
+// Round a maximum up to a tidy axis limit (1, 2 or 5 times a power of ten)
+const niceAxisMax = (value) => {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find(multiple => multiple * magnitude >= value);
+  return step * magnitude;
+};
+
+// Serialize a rendered chart to standalone SVG text
+const serializeSvg = (svgElement) => {
+  const copy = svgElement.cloneNode(true);
+  copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  copy.setAttribute('width', CHART_WIDTH);
+  copy.setAttribute('height', CHART_HEIGHT);
+  return new XMLSerializer().serializeToString(copy);
+};
+
+// Download a chart as SVG, or rasterize it through a canvas and download it as PNG
+const exportChart = (svgElement, filename, format) => {
+  const svgText = serializeSvg(svgElement);
+  if (format === 'svg') {
+    downloadFile(`${filename}.svg`, svgText, 'image/svg+xml');
+    return;
+  }
+
+  const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml' }));
+  const image = new Image();
+  image.onload = () => {
+    const scale = 2; // Sharper on high-density screens
+    const canvas = document.createElement('canvas');
+    canvas.width = CHART_WIDTH * scale;
+    canvas.height = CHART_HEIGHT * scale;
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, CHART_WIDTH, CHART_HEIGHT);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => downloadFile(`${filename}.png`, blob, 'image/png'), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    console.error('Error rendering chart to PNG');
+  };
+  image.src = url;
+};
+
+// Title, legend and export buttons around a chart
+const ChartCard = ({ title, legend = [], filename, svgRef, children }) => (
+  <div className="p-4 bg-gray-100 dark:bg-gray-800 rounded-lg">
+    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-2">
+      <h4 className="font-bold text-gray-800 dark:text-gray-100">{title}</h4>
+      <div className="flex items-center space-x-3 text-xs">
+        {legend.map(item => (
+          <span key={item.label} className="flex items-center text-gray-600 dark:text-gray-400">
+            <span className="w-3 h-3 rounded-sm mr-1" style={{ backgroundColor: item.color }}></span>
+            {item.label}
+          </span>
+        ))}
+        {['png', 'svg'].map(format => (
+          <button
+            key={format}
+            type="button"
+            onClick={() => svgRef.current && exportChart(svgRef.current, filename, format)}
+            className="px-2 py-1 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700 transition uppercase"
+            title={`Download this chart as ${format.toUpperCase()}`}
+          >
+            {format}
+          </button>
+        ))}
+      </div>
+    </div>
+    {children}
+  </div>
+);
+
+// Shared axes: horizontal gridlines with y values, and up to `maxLabels` x labels
+const ChartAxes = ({ labels, yMax, theme, unit, xPosition, maxLabels = 8 }) => {
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const labelEvery = Math.max(1, Math.ceil(labels.length / maxLabels));
+  return (
+    <g fontSize="11" fill={theme.text}>
+      {[0, 0.25, 0.5, 0.75, 1].map(fraction => {
+        const y = CHART_PADDING.top + plotHeight * (1 - fraction);
+        return (
+          <g key={fraction}>
+            <line x1={CHART_PADDING.left} x2={CHART_PADDING.left + plotWidth} y1={y} y2={y} stroke={theme.grid} />
+            <text x={CHART_PADDING.left - 6} y={y + 4} textAnchor="end">{Math.round(yMax * fraction * 10) / 10}</text>
+          </g>
+        );
+      })}
+      {labels.map((label, index) => (index % labelEvery === 0 ? (
+        <text key={index} x={xPosition(index)} y={CHART_HEIGHT - CHART_PADDING.bottom + 16} textAnchor="middle">{label}</text>
+      ) : null))}
+      <text x={12} y={CHART_PADDING.top + plotHeight / 2} textAnchor="middle" transform={`rotate(-90 12 ${CHART_PADDING.top + plotHeight / 2})`}>{unit}</text>
+    </g>
+  );
+};
+
+// Line chart of one or more series sharing the same x labels
+const LineChart = ({ title, filename, labels, series, unit, isDarkMode }) => {
+  const svgRef = useRef(null);
+  const theme = getChartTheme(isDarkMode);
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const yMax = niceAxisMax(Math.max(0, ...series.flatMap(line => line.values)));
+  const xPosition = (index) => CHART_PADDING.left + (labels.length > 1 ? (plotWidth * index) / (labels.length - 1) : plotWidth / 2);
+  const yPosition = (value) => CHART_PADDING.top + plotHeight * (1 - value / yMax);
+
+  return (
+    <ChartCard title={title} legend={series} filename={filename} svgRef={svgRef}>
+      <svg ref={svgRef} viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto" role="img" aria-label={title}>
+        <rect width={CHART_WIDTH} height={CHART_HEIGHT} fill={theme.background} rx="8" />
+        <ChartAxes labels={labels} yMax={yMax} theme={theme} unit={unit} xPosition={xPosition} />
+        {series.map(line => (
+          <polyline
+            key={line.label}
+            fill="none"
+            stroke={line.color}
+            strokeWidth="2.5"
+            strokeDasharray={line.dashed ? '6 4' : undefined}
+            points={line.values.map((value, index) => `${xPosition(index)},${yPosition(value)}`).join(' ')}
+          />
+        ))}
+      </svg>
+    </ChartCard>
+  );
+};
+
+// Bar chart with one bar per x label
+const BarChart = ({ title, filename, labels, values, color, unit, isDarkMode }) => {
+  const svgRef = useRef(null);
+  const theme = getChartTheme(isDarkMode);
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const yMax = niceAxisMax(Math.max(0, ...values));
+  const slot = plotWidth / Math.max(1, labels.length);
+  const xPosition = (index) => CHART_PADDING.left + slot * (index + 0.5);
+
+  return (
+    <ChartCard title={title} filename={filename} svgRef={svgRef}>
+      <svg ref={svgRef} viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto" role="img" aria-label={title}>
+        <rect width={CHART_WIDTH} height={CHART_HEIGHT} fill={theme.background} rx="8" />
+        <ChartAxes labels={labels} yMax={yMax} theme={theme} unit={unit} xPosition={xPosition} />
+        {values.map((value, index) => {
+          const height = plotHeight * (value / yMax);
+          return (
+            <rect
+              key={index}
+              x={xPosition(index) - slot * 0.35}
+              y={CHART_PADDING.top + plotHeight - height}
+              width={slot * 0.7}
+              height={height}
+              fill={color}
+              rx="2"
+            >
+              <title>{`${labels[index]}: ${Math.round(value * 10) / 10} ${unit}`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+    </ChartCard>
+  );
+};
+
+// Date string (YYYY-MM-DD) for a number of days from today
+const dateStringFromToday = (days) => timestampToDateString(Date.now() + days * DAY_MS);
+
+// Longest date range a report covers (one chart point per day)
+const MAX_REPORT_DAYS = 3 * 366;
+
+// Format a day count for the summary cards
+const formatDays = (days) => (days === null ? 'N/A' : `${Math.round(days * 10) / 10} days`);
+
+// Reports view: burndown, throughput, cycle time and estimate accuracy for the board
+const ReportsModal = ({ isOpen, onClose, tasks, boardName, isDarkMode }) => {
+  const [fromDate, setFromDate] = useState(() => dateStringFromToday(-56));
+  const [toDate, setToDate] = useState(() => dateStringFromToday(14));
+
+  const report = useMemo(() => {
+    if (!isOpen) return null;
+    const from = dateStringToTimestamp(fromDate);
+    const to = dateStringToTimestamp(toDate);
+    if (!from || !to || from > to || to - from > MAX_REPORT_DAYS * DAY_MS) return null;
+    return {
+      burndown: buildBurndown(tasks, from, to),
+      throughput: buildWeeklyThroughput(tasks, from, to),
+      cycleTimes: buildCycleTimes(tasks, from, to),
+      accuracy: buildEstimateAccuracy(tasks, from, to),
+    };
+  }, [isOpen, tasks, fromDate, toDate]);
+
+  const filePrefix = `${boardName.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${fromDate}-to-${toDate}`;
+
+  const summary = report && [
+    { label: 'Points Completed', value: report.throughput.reduce((sum, week) => sum + week.points, 0) },
+    { label: 'Average Cycle Time', value: formatDays(report.cycleTimes.averageDays) },
+    { label: 'Median Cycle Time', value: formatDays(report.cycleTimes.medianDays) },
+    {
+      label: 'Completed On Time',
+      value: report.accuracy.onTimeRate === null ? 'N/A' : `${Math.round(report.accuracy.onTimeRate * 100)}% (${report.accuracy.onTimeCount}/${report.accuracy.dueCount})`,
+    },
+  ];
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={`Reports: ${boardName}`}
+      size="max-w-5xl"
+      isDarkMode={isDarkMode}
+    >
+      <div className="space-y-4 text-left">
+        {/* Date Range */}
+        <div className="p-3 bg-gray-100 dark:bg-gray-800 rounded-lg flex flex-col sm:flex-row sm:items-center gap-3 text-sm">
+          <label className="flex items-center space-x-2 text-gray-700 dark:text-gray-300">
+            <span className="whitespace-nowrap">From:</span>
+            <input
+              type="date"
+              value={fromDate}
+              onChange={(e) => setFromDate(e.target.value)}
+              className="rounded-lg border-gray-300 dark:border-gray-600 shadow-sm py-2 px-3 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+            />
+          </label>
+          <label className="flex items-center space-x-2 text-gray-700 dark:text-gray-300">
+            <span className="whitespace-nowrap">To:</span>
+            <input
+              type="date"
+              value={toDate}
+              onChange={(e) => setToDate(e.target.value)}
+              className="rounded-lg border-gray-300 dark:border-gray-600 shadow-sm py-2 px-3 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+            />
+          </label>
+          <span className="text-gray-500 dark:text-gray-400 italic">Includes archived tasks.</span>
+        </div>
+
+        {!report ? (
+          <p className="text-center text-gray-500 dark:text-gray-400 p-8 italic">Choose a start date on or before the end date, at most three years apart.</p>
+        ) : (
+          <>
+            {/* Summary Figures */}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              {summary.map(item => (
+                <div key={item.label} className="p-3 bg-gray-100 dark:bg-gray-800 rounded-lg">
+                  <p className="text-xs text-gray-500 dark:text-gray-400">{item.label}</p>
+                  <p className="text-lg font-extrabold text-gray-900 dark:text-gray-100">{item.value}</p>
+                </div>
+              ))}
+            </div>
+
+            <LineChart
+              title="Burndown"
+              filename={`${filePrefix}-burndown`}
+              labels={report.burndown.map(day => day.label)}
+              series={[
+                { label: 'Remaining', color: '#3b82f6', values: report.burndown.map(day => day.remaining) },
+                { label: 'Planned (by due date)', color: '#9ca3af', dashed: true, values: report.burndown.map(day => day.planned) },
+              ]}
+              unit="Points"
+              isDarkMode={isDarkMode}
+            />
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+              <BarChart
+                title="Weekly Throughput"
+                filename={`${filePrefix}-throughput`}
+                labels={report.throughput.map(week => week.label)}
+                values={report.throughput.map(week => week.points)}
+                color="#10b981"
+                unit="Points"
+                isDarkMode={isDarkMode}
+              />
+              <BarChart
+                title="Average Cycle Time by Week Completed"
+                filename={`${filePrefix}-cycle-time`}
+                labels={report.cycleTimes.weeks.map(week => week.label)}
+                values={report.cycleTimes.weeks.map(week => week.averageDays)}
+                color="#8b5cf6"
+                unit="Days"
+                isDarkMode={isDarkMode}
+              />
+            </div>
+
+            {/* Estimate Accuracy */}
+            {report.accuracy.sizes.length > 0 ? (
+              <BarChart
+                title="Estimate Accuracy: Average Cycle Time by Points Estimate"
+                filename={`${filePrefix}-estimate-accuracy`}
+                labels={report.accuracy.sizes.map(size => size.label)}
+                values={report.accuracy.sizes.map(size => size.averageDays)}
+                color="#f59e0b"
+                unit="Days"
+                isDarkMode={isDarkMode}
+              />
+            ) : (
+              <p className="text-center text-gray-500 dark:text-gray-400 p-4 italic">No tasks were completed in this range.</p>
+            )}
+            {report.accuracy.sizes.length > 0 && (
+              <table className="w-full text-sm text-gray-700 dark:text-gray-300">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 dark:text-gray-400">
+                    <th className="py-1">Estimate</th>
+                    <th className="py-1">Tasks</th>
+                    <th className="py-1">Avg. Cycle Time</th>
+                    <th className="py-1">Days per Point</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.accuracy.sizes.map(size => (
+                    <tr key={size.eta} className="border-t border-gray-200 dark:border-gray-700">
+                      <td className="py-1">{size.label}</td>
+                      <td className="py-1">{size.count}</td>
+                      <td className="py-1">{formatDays(size.averageDays)}</td>
+                      <td className="py-1">{size.daysPerPoint === null ? 'N/A' : Math.round(size.daysPerPoint * 10) / 10}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+
+// --- Calendar View ---
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Local midnight of the given date plus a number of days
+const addCalendarDays = (timestamp, days) => {
+  const date = new Date(timestamp);
+  date.setDate(date.getDate() + days);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+// Days shown for the month (whole Monday-to-Sunday weeks) or week containing `anchor`
+const getCalendarDays = (anchor, mode) => {
+  let first = startOfWeek(anchor);
+  let count = 7;
+  if (mode === 'month') {
+    const date = new Date(anchor);
+    const monthStart = new Date(date.getFullYear(), date.getMonth(), 1).getTime();
+    const monthEnd = new Date(date.getFullYear(), date.getMonth() + 1, 0).getTime();
+    first = startOfWeek(monthStart);
+    count = Math.round((startOfWeek(monthEnd) - first) / DAY_MS) + 7;
+  }
+  return Array.from({ length: count }, (_, index) => addCalendarDays(first, index));
+};
+
+// Month/week calendar placing tasks and subtasks on their due dates. Items are colored by
+// their task's column; dropping an item on another day moves its due date there.
+const CalendarView = ({ tasks, columns, onChangeDueDate, onEditTask }) => {
+  const [mode, setMode] = useState('month');
+  const [anchor, setAnchor] = useState(() => startOfDay(Date.now()));
+  const [dragOverDay, setDragOverDay] = useState(null);
+
+  const days = useMemo(() => getCalendarDays(anchor, mode), [anchor, mode]);
+  const today = startOfDay(Date.now());
+  const anchorMonth = new Date(anchor).getMonth();
+
+  const columnColors = useMemo(() => Object.fromEntries(columns.map(col => [col.name, col.color])), [columns]);
+
+  // Calendar items keyed by local date string
+  const { itemsByDay, undatedCount } = useMemo(() => {
+    const byDay = {};
+    let undated = 0;
+    const add = (timestamp, item) => {
+      const key = timestampToDateString(timestamp);
+      (byDay[key] = byDay[key] || []).push(item);
+    };
+    tasks.forEach(task => {
+      if (task.dueDate) add(task.dueDate, { key: task.id, task, subtask: null });
+      else undated += 1;
+      (task.subtasks || []).forEach(subtask => {
+        if (subtask.dueDate) add(subtask.dueDate, { key: `${task.id}-${subtask.id}`, task, subtask });
+      });
+    });
+    return { itemsByDay: byDay, undatedCount: undated };
+  }, [tasks]);
+
+  const title = mode === 'month'
+    ? new Date(anchor).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+    : `${formatDate(days[0])} – ${formatDate(days[days.length - 1])}`;
+
+  const handleStep = useCallback((direction) => {
+    setAnchor(prev => {
+      if (mode === 'week') return addCalendarDays(prev, direction * 7);
+      const date = new Date(prev);
+      return new Date(date.getFullYear(), date.getMonth() + direction, 1).getTime();
+    });
+  }, [mode]);
+
+  const handleDrop = useCallback((e, day) => {
+    e.preventDefault();
+    setDragOverDay(null);
+    const data = safeJsonParse(e.dataTransfer.getData('calendarItem'), null);
+    if (data && data.taskId) onChangeDueDate(data.taskId, data.subtaskId || null, day);
+  }, [onChangeDueDate]);
+
+  return (
+    <div className="bg-white dark:bg-gray-900 rounded-xl shadow-lg p-4">
+      {/* Calendar Controls */}
+      <div className="flex flex-col sm:flex-row justify-between items-center gap-3 mb-4">
+        <div className="flex items-center space-x-2">
+          <button onClick={() => handleStep(-1)} className="px-3 py-1 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 transition" title={`Previous ${mode}`}>&lsaquo;</button>
+          <button onClick={() => setAnchor(startOfDay(Date.now()))} className="px-3 py-1 rounded-lg border border-gray-300 dark:border-gray-600 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 transition">Today</button>
+          <button onClick={() => handleStep(1)} className="px-3 py-1 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 transition" title={`Next ${mode}`}>&rsaquo;</button>
+          <h2 className="text-xl font-bold text-gray-900 dark:text-gray-100 ml-2">{title}</h2>
+        </div>
+        <div className="flex items-center space-x-3 text-sm">
+          {undatedCount > 0 && <span className="text-gray-500 dark:text-gray-400 italic">{undatedCount} tasks have no due date</span>}
+          <div className="flex rounded-lg overflow-hidden border border-gray-300 dark:border-gray-600">
+            {['month', 'week'].map(option => (
+              <button
+                key={option}
+                onClick={() => setMode(option)}
+                className={`px-3 py-1 capitalize transition ${mode === option ? 'bg-blue-600 text-white' : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Day Grid */}
+      <div className="grid grid-cols-7 gap-1 text-xs">
+        {WEEKDAY_LABELS.map(label => (
+          <div key={label} className="text-center font-semibold text-gray-500 dark:text-gray-400 pb-1">{label}</div>
+        ))}
+        {days.map(day => {
+          const items = itemsByDay[timestampToDateString(day)] || [];
+          const isOutsideMonth = mode === 'month' && new Date(day).getMonth() !== anchorMonth;
+          return (
+            <div
+              key={day}
+              onDragOver={(e) => { e.preventDefault(); setDragOverDay(day); }}
+              onDragLeave={() => setDragOverDay(prev => (prev === day ? null : prev))}
+              onDrop={(e) => handleDrop(e, day)}
+              className={`rounded-lg p-1 border transition ${mode === 'week' ? 'min-h-[60vh]' : 'min-h-[7rem]'} ${dragOverDay === day ? 'ring-4 ring-indigo-300 dark:ring-indigo-500' : ''} ${day === today ? 'border-blue-500' : 'border-gray-200 dark:border-gray-800'} ${isOutsideMonth ? 'bg-gray-50 dark:bg-gray-950 opacity-60' : 'bg-gray-50 dark:bg-gray-900'}`}
+            >
+              <div className={`text-right mb-1 ${day === today ? 'text-blue-600 dark:text-blue-400 font-bold' : 'text-gray-500 dark:text-gray-400'}`}>
+                {new Date(day).getDate()}
+              </div>
+              <div className="space-y-1">
+                {items.map(({ key, task, subtask }) => {
+                  const colorClasses = getColumnColor(columnColors[task.status]);
+                  return (
+                    <div
+                      key={key}
+                      draggable="true"
+                      onDragStart={(e) => e.dataTransfer.setData('calendarItem', JSON.stringify({ taskId: task.id, subtaskId: subtask?.id }))}
+                      onClick={() => onEditTask(task)}
+                      className={`px-1.5 py-0.5 rounded cursor-grab truncate ${subtask
+                        ? `border-l-4 ${colorClasses.card} ${subtask.completed ? 'line-through opacity-70' : ''}`
+                        : `${colorClasses.header} text-white font-semibold`}`}
+                      title={subtask ? `${subtask.title} (subtask of "${task.title}") · ${task.status}` : `${task.title} · ${task.status} · ${task.eta} Pts`}
+                    >
+                      {subtask ? `↳ ${subtask.title}` : task.title}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+
+// --- Timeline View ---
+const TIMELINE_ROW_HEIGHT = 36;
+const TIMELINE_BAR_HEIGHT = 20;
+const TIMELINE_HEADER_HEIGHT = 28;
+const TIMELINE_ZOOMS = [
+  { id: 'day', label: 'Days', dayWidth: 40 },
+  { id: 'week', label: 'Weeks', dayWidth: 16 },
+  { id: 'month', label: 'Months', dayWidth: 5 },
+];
+
+// Gantt-style chart of tasks with a due date, each bar running from the task's start date
+// (or creation date) to the end of its due day. Arrows lead from each blocker to the tasks
+// it blocks; an arrow turns red when a task is scheduled to start before its blocker is due.
+const TimelineView = ({ tasks, columns, onEditTask }) => {
+  const [zoomId, setZoomId] = useState('week');
+  const dayWidth = (TIMELINE_ZOOMS.find(zoom => zoom.id === zoomId) || TIMELINE_ZOOMS[1]).dayWidth;
+  const today = startOfDay(Date.now());
+
+  const columnColors = useMemo(() => Object.fromEntries(columns.map(col => [col.name, col.color])), [columns]);
+
+  // Rows in start order, plus the first and last day the chart covers
+  const { rows, rangeStart, dayCount, undatedCount } = useMemo(() => {
+    const dated = tasks
+      .filter(task => task.dueDate)
+      .map(task => {
+        const end = addCalendarDays(task.dueDate, 1);
+        const start = Math.min(startOfDay(task.startDate || task.createdAt || task.dueDate), end - DAY_MS);
+        return { task, start, end };
+      })
+      .sort((a, b) => a.start - b.start || a.end - b.end);
+    const first = startOfWeek(Math.min(today, ...dated.map(row => row.start)));
+    const last = addCalendarDays(Math.max(today, ...dated.map(row => row.end)), 7);
+    return {
+      rows: dated,
+      rangeStart: first,
+      dayCount: Math.round((last - first) / DAY_MS),
+      undatedCount: tasks.length - dated.length,
+    };
+  }, [tasks, today]);
+
+  const xFor = useCallback((timestamp) => Math.round((timestamp - rangeStart) / DAY_MS) * dayWidth, [rangeStart, dayWidth]);
+  const width = dayCount * dayWidth;
+  const height = TIMELINE_HEADER_HEIGHT + rows.length * TIMELINE_ROW_HEIGHT;
+  const rowCenter = (index) => TIMELINE_HEADER_HEIGHT + index * TIMELINE_ROW_HEIGHT + TIMELINE_ROW_HEIGHT / 2;
+
+  // Axis ticks: every day, every Monday or the first of every month depending on zoom
+  const ticks = useMemo(() => {
+    const result = [];
+    for (let index = 0; index < dayCount; index += 1) {
+      const day = addCalendarDays(rangeStart, index);
+      const date = new Date(day);
+      const isTick = zoomId === 'day' || (zoomId === 'week' ? date.getDay() === 1 : date.getDate() === 1);
+      if (!isTick) continue;
+      result.push({
+        day,
+        label: zoomId === 'month'
+          ? date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
+          : date.toLocaleDateString('en-US', zoomId === 'day' ? { day: 'numeric' } : { month: 'short', day: 'numeric' }),
+      });
+    }
+    return result;
+  }, [rangeStart, dayCount, zoomId]);
+
+  // Dependency arrows between tasks that are both on the chart
+  const arrows = useMemo(() => {
+    const rowIndex = new Map(rows.map((row, index) => [row.task.id, index]));
+    const result = [];
+    rows.forEach((row, index) => {
+      (row.task.blockedBy || []).forEach(blockerId => {
+        if (!rowIndex.has(blockerId)) return;
+        const blockerRow = rows[rowIndex.get(blockerId)];
+        result.push({
+          key: `${blockerId}-${row.task.id}`,
+          from: { x: xFor(blockerRow.end), y: rowCenter(rowIndex.get(blockerId)) },
+          to: { x: xFor(row.start), y: rowCenter(index) },
+          isConflict: row.start < blockerRow.end,
+        });
+      });
+    });
+    return result;
+  }, [rows, xFor]);
+
+  return (
+    <div className="bg-white dark:bg-gray-900 rounded-xl shadow-lg p-4">
+      {/* Timeline Controls */}
+      <div className="flex flex-col sm:flex-row justify-between items-center gap-3 mb-4">
+        <h2 className="text-xl font-bold text-gray-900 dark:text-gray-100">Timeline</h2>
+        <div className="flex items-center space-x-3 text-sm">
+          {undatedCount > 0 && <span className="text-gray-500 dark:text-gray-400 italic">{undatedCount} tasks have no due date</span>}
+          <div className="flex rounded-lg overflow-hidden border border-gray-300 dark:border-gray-600">
+            {TIMELINE_ZOOMS.map(zoom => (
+              <button
+                key={zoom.id}
+                onClick={() => setZoomId(zoom.id)}
+                className={`px-3 py-1 transition ${zoomId === zoom.id ? 'bg-blue-600 text-white' : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+              >
+                {zoom.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-center italic text-gray-500 dark:text-gray-400 py-8">No tasks with a due date to plot.</p>
+      ) : (
+        <div className="flex text-xs">
+          {/* Task Names */}
+          <div className="w-48 flex-shrink-0 border-r border-gray-200 dark:border-gray-700" style={{ paddingTop: TIMELINE_HEADER_HEIGHT }}>
+            {rows.map(({ task }) => (
+              <button
+                key={task.id}
+                onClick={() => onEditTask(task)}
+                className="block w-full text-left truncate px-2 text-gray-800 dark:text-gray-200 hover:text-blue-600 dark:hover:text-blue-400"
+                style={{ height: TIMELINE_ROW_HEIGHT }}
+                title={task.title}
+              >
+                {task.title}
+              </button>
+            ))}
+          </div>
+
+          {/* Chart */}
+          <div className="flex-1 overflow-x-auto custom-scrollbar">
+            <div className="relative" style={{ width, height }}>
+              {ticks.map(tick => (
+                <div key={tick.day} className="absolute top-0 bottom-0 border-l border-gray-200 dark:border-gray-800" style={{ left: xFor(tick.day) }}>
+                  <span className="absolute top-1 left-1 whitespace-nowrap text-gray-500 dark:text-gray-400">{tick.label}</span>
+                </div>
+              ))}
+              <div className="absolute top-0 bottom-0 border-l-2 border-red-500" style={{ left: xFor(today) }} title="Today"></div>
+
+              {rows.map(({ task, start, end }, index) => (
+                <button
+                  key={task.id}
+                  onClick={() => onEditTask(task)}
+                  className={`absolute rounded text-white font-semibold truncate px-1 text-left shadow ${getColumnColor(columnColors[task.status]).header}`}
+                  style={{
+                    left: xFor(start),
+                    width: Math.max(xFor(end) - xFor(start), dayWidth),
+                    top: rowCenter(index) - TIMELINE_BAR_HEIGHT / 2,
+                    height: TIMELINE_BAR_HEIGHT,
+                  }}
+                  title={`${task.title} · ${task.status} · ${formatDate(start)} – ${formatDate(task.dueDate)}`}
+                >
+                  {task.title}
+                </button>
+              ))}
+
+              {/* Dependency Arrows */}
+              <svg className="absolute inset-0 pointer-events-none" width={width} height={height} xmlns="http://www.w3.org/2000/svg">
+                <defs>
+                  <marker id="timeline-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                    <path d="M0 0L10 5L0 10z" className="fill-gray-500 dark:fill-gray-400" />
+                  </marker>
+                  <marker id="timeline-arrow-conflict" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                    <path d="M0 0L10 5L0 10z" className="fill-red-500" />
+                  </marker>
+                </defs>
+                {arrows.map(({ key, from, to, isConflict }) => (
+                  <path
+                    key={key}
+                    d={`M${from.x} ${from.y}H${from.x + 8}V${to.y}H${to.x}`}
+                    fill="none"
+                    strokeWidth="1.5"
+                    className={isConflict ? 'stroke-red-500' : 'stroke-gray-500 dark:stroke-gray-400'}
+                    markerEnd={`url(#${isConflict ? 'timeline-arrow-conflict' : 'timeline-arrow'})`}
+                  />
+                ))}
+              </svg>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+
+// --- Bulk Actions ---
+// Toolbar for the selected tasks, shared by the board and the table. Each action is a single
+// update in App, so one undo reverts it; deleting asks for confirmation once for the whole batch.
+const BulkActionBar = ({ count, statuses, boardLabels = [], onMove, onArchive, onDelete, onShiftDueDates, onChangeLabel, onClear }) => {
+  const [bulkStatus, setBulkStatus] = useState('');
+  const [shiftDays, setShiftDays] = useState('7');
+  const [bulkLabel, setBulkLabel] = useState('');
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  const shiftDaysValue = Number(shiftDays);
+  const canShift = Number.isInteger(shiftDaysValue) && shiftDaysValue !== 0;
+
+  const handleMove = useCallback(() => {
+    if (!bulkStatus) return;
+    onMove(bulkStatus);
+    setBulkStatus('');
+  }, [bulkStatus, onMove]);
+
+  const handleDelete = useCallback(() => {
+    setConfirmDelete(false);
+    onDelete();
+  }, [onDelete]);
+
+  const buttonClass = 'px-3 py-2 rounded-lg font-semibold transition disabled:opacity-50';
+  const fieldClass = 'rounded-lg border border-gray-300 dark:border-gray-600 p-2 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100';
+
+  return (
+    <>
+      <span className="font-semibold text-gray-800 dark:text-gray-200">{count} selected</span>
+      <select
+        value={bulkStatus}
+        onChange={(e) => setBulkStatus(e.target.value)}
+        aria-label="Move selected tasks to"
+        className={fieldClass}
+      >
+        <option value="">Move to...</option>
+        {statuses.map(status => <option key={status} value={status}>{status}</option>)}
+      </select>
+      <button onClick={handleMove} disabled={!bulkStatus} className={`${buttonClass} bg-blue-600 hover:bg-blue-700 text-white`}>Move</button>
+      <button onClick={onArchive} className={`${buttonClass} bg-green-700 hover:bg-green-800 text-white`}>Archive</button>
+
+      {/* Due Date Shift (negative days move them earlier) */}
+      <span className="flex items-center gap-2">
+        <input
+          type="number"
+          value={shiftDays}
+          onChange={(e) => setShiftDays(e.target.value)}
+          aria-label="Days to shift due dates by"
+          className={`${fieldClass} w-20`}
+        />
+        <button
+          onClick={() => onShiftDueDates(shiftDaysValue)}
+          disabled={!canShift}
+          className={`${buttonClass} border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800`}
+          title="Move due dates (and start and subtask due dates) by this many days"
+        >
+          Shift Due Dates
+        </button>
+      </span>
+
+      {/* Labels */}
+      {boardLabels.length > 0 && (
+        <span className="flex items-center gap-2">
+          <select
+            value={bulkLabel}
+            onChange={(e) => setBulkLabel(e.target.value)}
+            aria-label="Label for selected tasks"
+            className={fieldClass}
+          >
+            <option value="">Label...</option>
+            {boardLabels.map(label => <option key={label.name} value={label.name}>{label.name}</option>)}
+          </select>
+          <button onClick={() => onChangeLabel(bulkLabel, true)} disabled={!bulkLabel} className={`${buttonClass} border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800`}>Add Label</button>
+          <button onClick={() => onChangeLabel(bulkLabel, false)} disabled={!bulkLabel} className={`${buttonClass} border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800`}>Remove Label</button>
+        </span>
+      )}
+
+      {confirmDelete ? (
+        <span className="flex items-center gap-2 text-red-700 dark:text-red-300">
+          Move {count} tasks to the trash?
+          <button onClick={handleDelete} className={`${buttonClass} bg-red-600 hover:bg-red-700 text-white`}>Confirm Delete</button>
+          <button onClick={() => setConfirmDelete(false)} className={`${buttonClass} border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800`}>Cancel</button>
+        </span>
+      ) : (
+        <button onClick={() => setConfirmDelete(true)} className={`${buttonClass} bg-red-500 hover:bg-red-600 text-white`}>Delete</button>
+      )}
+      <button onClick={onClear} className="text-gray-500 dark:text-gray-400 hover:underline">Clear selection</button>
+    </>
+  );
+};
+
+
+// --- Table View ---
+const TABLE_COLUMNS = [
+  { id: 'title', label: 'Title', width: 280 },
+  { id: 'status', label: 'Status', width: 150 },
+  { id: 'eta', label: 'Points ETA', width: 110 },
+  { id: 'dueDate', label: 'Due Date', width: 150 },
+  { id: 'subtasks', label: 'Subtasks', width: 120 },
+  { id: 'labels', label: 'Labels', width: 220 },
+];
+const MIN_TABLE_COLUMN_WIDTH = 70;
+
+// Comma-separated label text as a clean list (trimmed, no blanks or repeats)
+const parseLabelList = (text) => [...new Set(text.split(',').map(label => label.trim()).filter(Boolean))];
+
+// Spreadsheet-style list of tasks. Headers sort (click again to reverse, a third time to
+// return to the board's order) and can be dragged wider or narrower; clicking a title, ETA,
+// due date or labels cell edits it in place (Enter or leaving the cell saves, Escape cancels).
+// Rows can be selected (shift-click selects a range) for bulk actions.
+const TableView = ({ tasks, statuses, labelColors = {}, boardLabels = [], onUpdateTask, onStatusChange, onBulkStatusChange, onBulkArchive, onBulkDelete, onBulkShiftDueDates, onBulkChangeLabel, onEditTask }) => {
+  const [sort, setSort] = useState(null); // { columnId, direction: 1 | -1 }
+  const [columnWidths, setColumnWidths] = useState(() => Object.fromEntries(TABLE_COLUMNS.map(col => [col.id, col.width])));
+  const [editing, setEditing] = useState(null); // { taskId, columnId, value, error }
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const lastSelectedIdRef = useRef(null);
+
+  const sortValue = useCallback((task, columnId) => {
+    switch (columnId) {
+      case 'title': return task.title.toLowerCase();
+      case 'status': return statuses.indexOf(task.status);
+      case 'eta': return task.eta || 0;
+      case 'dueDate': return task.dueDate || Infinity;
+      case 'subtasks': {
+        const total = task.subtasks?.length || 0;
+        return total > 0 ? task.subtasks.filter(sub => sub.completed).length / total : -1;
+      }
+      case 'labels': return (task.labels || []).join(', ').toLowerCase();
+      default: return 0;
+    }
+  }, [statuses]);
+
+  const rows = useMemo(() => {
+    if (!sort) return tasks;
+    return [...tasks].sort((a, b) => {
+      const valueA = sortValue(a, sort.columnId);
+      const valueB = sortValue(b, sort.columnId);
+      if (valueA === valueB) return 0;
+      return (valueA < valueB ? -1 : 1) * sort.direction;
+    });
+  }, [tasks, sort, sortValue]);
+
+  // Selected tasks that are still shown (filters may have hidden some since)
+  const selectedRows = useMemo(() => rows.filter(task => selectedIds.has(task.id)), [rows, selectedIds]);
+  const allSelected = rows.length > 0 && selectedRows.length === rows.length;
+
+  const handleSort = useCallback((columnId) => {
+    setSort(prev => {
+      if (!prev || prev.columnId !== columnId) return { columnId, direction: 1 };
+      return prev.direction === 1 ? { columnId, direction: -1 } : null;
+    });
+  }, []);
+
+  // Drag a header's right edge to resize its column
+  const handleResizeStart = useCallback((e, columnId) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const startWidth = columnWidths[columnId];
+    const handleMove = (moveEvent) => {
+      const width = Math.max(MIN_TABLE_COLUMN_WIDTH, startWidth + moveEvent.clientX - startX);
+      setColumnWidths(prev => ({ ...prev, [columnId]: width }));
+    };
+    const handleUp = () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  }, [columnWidths]);
+
+  const handleToggleRow = useCallback((e, taskId) => {
+    const anchorIndex = rows.findIndex(task => task.id === lastSelectedIdRef.current);
+    const index = rows.findIndex(task => task.id === taskId);
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      const select = !prev.has(taskId);
+      // Shift-click applies the same choice to every row between the last clicked one and this one
+      const range = e.shiftKey && anchorIndex !== -1
+        ? rows.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+        : [rows[index]];
+      range.forEach(task => (select ? next.add(task.id) : next.delete(task.id)));
+      return next;
+    });
+    lastSelectedIdRef.current = taskId;
+  }, [rows]);
+
+  const handleToggleAll = useCallback(() => {
+    setSelectedIds(allSelected ? new Set() : new Set(rows.map(task => task.id)));
+  }, [allSelected, rows]);
+
+  const clearSelection = useCallback(() => {
+    setSelectedIds(new Set());
+  }, []);
+
+  // Moves, archiving and deleting end the selection; shifting dates and labels keep it for further changes
+  const selectedTaskIds = useMemo(() => selectedRows.map(task => task.id), [selectedRows]);
+  const handleBulkMove = useCallback((status) => {
+    onBulkStatusChange(selectedTaskIds, status);
+    clearSelection();
+  }, [selectedTaskIds, onBulkStatusChange, clearSelection]);
+
+  const handleBulkArchive = useCallback(() => {
+    onBulkArchive(selectedTaskIds);
+    clearSelection();
+  }, [selectedTaskIds, onBulkArchive, clearSelection]);
+
+  const handleBulkDelete = useCallback(() => {
+    onBulkDelete(selectedTaskIds);
+    clearSelection();
+  }, [selectedTaskIds, onBulkDelete, clearSelection]);
+
+  // --- Inline Editing ---
+  const startEditing = useCallback((task, columnId) => {
+    const value = columnId === 'dueDate' ? (task.dueDate ? timestampToDateString(task.dueDate) : '')
+      : columnId === 'labels' ? (task.labels || []).join(', ')
+      : String(task[columnId] ?? '');
+    setEditing({ taskId: task.id, columnId, value, error: null });
+  }, []);
+
+  // Validate the edited value like the task form does; keeps the cell open on an error
+  const commitEditing = useCallback(() => {
+    if (!editing) return;
+    const task = tasks.find(t => t.id === editing.taskId);
+    if (!task) {
+      setEditing(null);
+      return;
+    }
+    const { columnId, value } = editing;
+    let changes = null;
+    let error = null;
+    if (columnId === 'title') {
+      if (!value.trim()) error = 'A title is required.';
+      else changes = { title: value.trim() };
+    } else if (columnId === 'eta') {
+      const eta = parseInt(value, 10);
+      const subtaskEta = (task.subtasks || []).reduce((sum, sub) => sum + (sub.eta || 0), 0);
+      if (!(eta >= 1)) error = 'Points ETA must be at least 1.';
+      else if (eta < subtaskEta) error = `Subtasks already add up to ${subtaskEta} points.`;
+      else changes = { eta };
+    } else if (columnId === 'dueDate') {
+      if (!value) error = 'A due date is required.';
+      else changes = { dueDate: dateStringToTimestamp(value) };
+    } else if (columnId === 'labels') {
+      changes = { labels: parseLabelList(value) };
+    }
+    if (error) {
+      setEditing(prev => ({ ...prev, error }));
+      return;
+    }
+    if (changes) onUpdateTask(task.id, changes);
+    setEditing(null);
+  }, [editing, tasks, onUpdateTask]);
+
+  const handleEditKeyDown = useCallback((e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      commitEditing();
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      setEditing(null);
+    }
+  }, [commitEditing]);
+
+  const renderCell = (task, columnId) => {
+    if (editing && editing.taskId === task.id && editing.columnId === columnId) {
+      return (
+        <input
+          type={columnId === 'eta' ? 'number' : columnId === 'dueDate' ? 'date' : 'text'}
+          min={columnId === 'eta' ? 1 : undefined}
+          autoFocus
+          value={editing.value}
+          onChange={(e) => setEditing(prev => ({ ...prev, value: e.target.value, error: null }))}
+          onBlur={commitEditing}
+          onKeyDown={handleEditKeyDown}
+          placeholder={columnId === 'labels' ? 'bug, frontend' : undefined}
+          title={editing.error || undefined}
+          aria-invalid={!!editing.error}
+          className={`w-full rounded border p-1 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 ${editing.error ? 'border-red-500' : 'border-blue-500'}`}
+        />
+      );
+    }
+
+    switch (columnId) {
+      case 'status':
+        return (
+          <select
+            value={task.status}
+            onChange={(e) => onStatusChange(task.id, e.target.value)}
+            aria-label={`Status of ${task.title}`}
+            className="w-full rounded border border-gray-300 dark:border-gray-600 p-1 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+          >
+            {statuses.map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+        );
+      case 'subtasks': {
+        const total = task.subtasks?.length || 0;
+        const done = task.subtasks?.filter(sub => sub.completed).length || 0;
+        return total > 0
+          ? <span className={done === total ? 'text-green-700 dark:text-green-300' : 'text-yellow-700 dark:text-yellow-300'}>{done}/{total}</span>
+          : <span className="text-gray-400">N/A</span>;
+      }
+      case 'labels':
+        return (task.labels || []).length > 0
+          ? <span className="flex flex-wrap gap-1">{task.labels.map(name => <LabelChip key={name} name={name} color={labelColors[name]} />)}</span>
+          : <span className="text-gray-400 italic">Add labels</span>;
+      case 'dueDate':
+        return formatDate(task.dueDate);
+      default:
+        return task[columnId];
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-900 rounded-xl shadow-lg p-4">
+      {/* Bulk Actions */}
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm min-h-[2.5rem]">
+        {selectedRows.length > 0 ? (
+          <BulkActionBar
+            count={selectedRows.length}
+            statuses={statuses}
+            boardLabels={boardLabels}
+            onMove={handleBulkMove}
+            onArchive={handleBulkArchive}
+            onDelete={handleBulkDelete}
+            onShiftDueDates={(days) => onBulkShiftDueDates(selectedTaskIds, days)}
+            onChangeLabel={(name, add) => onBulkChangeLabel(selectedTaskIds, name, add)}
+            onClear={clearSelection}
+          />
+        ) : (
+          <span className="text-gray-500 dark:text-gray-400 italic">{rows.length} tasks · select rows for bulk actions, click a cell to edit it</span>
+        )}
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-center italic text-gray-500 dark:text-gray-400 py-8">No tasks matching the current filters.</p>
+      ) : (
+        <div className="overflow-x-auto custom-scrollbar">
+          <table className="table-fixed text-sm text-left text-gray-800 dark:text-gray-200" style={{ width: 40 + TABLE_COLUMNS.reduce((sum, col) => sum + columnWidths[col.id], 0) + 48 }}>
+            <colgroup>
+              <col style={{ width: 40 }} />
+              {TABLE_COLUMNS.map(col => <col key={col.id} style={{ width: columnWidths[col.id] }} />)}
+              <col style={{ width: 48 }} />
+            </colgroup>
+            <thead>
+              <tr className="border-b-2 border-gray-300 dark:border-gray-700">
+                <th className="p-2">
+                  <input type="checkbox" checked={allSelected} onChange={handleToggleAll} aria-label="Select all tasks" />
+                </th>
+                {TABLE_COLUMNS.map(col => (
+                  <th key={col.id} className="relative p-2 font-semibold select-none">
+                    <button onClick={() => handleSort(col.id)} className="w-full text-left truncate hover:text-blue-600 dark:hover:text-blue-400">
+                      {col.label}{sort?.columnId === col.id ? (sort.direction === 1 ? ' ▲' : ' ▼') : ''}
+                    </button>
+                    <span
+                      onMouseDown={(e) => handleResizeStart(e, col.id)}
+                      className="absolute top-0 right-0 h-full w-2 cursor-col-resize hover:bg-blue-400"
+                      title="Drag to resize"
+                    ></span>
+                  </th>
+                ))}
+                <th className="p-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(task => (
+                <tr key={task.id} className={`border-b border-gray-200 dark:border-gray-800 ${selectedIds.has(task.id) ? 'bg-blue-50 dark:bg-blue-950' : 'hover:bg-gray-50 dark:hover:bg-gray-800'}`}>
+                  <td className="p-2">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.has(task.id)}
+                      readOnly
+                      onClick={(e) => handleToggleRow(e, task.id)}
+                      aria-label={`Select ${task.title}`}
+                    />
+                  </td>
+                  {TABLE_COLUMNS.map(col => {
+                    const isEditable = ['title', 'eta', 'dueDate', 'labels'].includes(col.id);
+                    const isEditing = editing?.taskId === task.id && editing.columnId === col.id;
+                    return (
+                      <td
+                        key={col.id}
+                        onClick={isEditable && !isEditing ? () => startEditing(task, col.id) : undefined}
+                        className={`p-2 truncate ${isEditable ? 'cursor-text' : ''}`}
+                      >
+                        {renderCell(task, col.id)}
+                        {isEditing && editing.error && <span className="block text-xs text-red-500 whitespace-normal">{editing.error}</span>}
+                      </td>
+                    );
+                  })}
+                  <td className="p-2">
+                    <button
+                      onClick={() => onEditTask(task)}
+                      className="p-1 text-gray-500 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 transition"
+                      title="Edit Task Details"
+                    >
+                      {/* Pencil icon SVG */}
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-7-9l5 5m-5-5l-5 5m5-5l-5 5m5-5l5 5M17 5l-5 5"></path></svg>
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+
+// Main Application Component
+export default function App() {
+  const [boards, setBoards] = useState(() => [createBoard(DEFAULT_BOARD_NAME)]);
+  const [activeBoardId, setActiveBoardId] = useState(null);
+  const [isNewTaskModalOpen, setIsNewTaskModalOpen] = useState(false);
+  const [isArchivedModalOpen, setIsArchivedModalOpen] = useState(false);
+  const [isTrashOpen, setIsTrashOpen] = useState(false);
+  const [isColumnSettingsOpen, setIsColumnSettingsOpen] = useState(false);
+  const [isBoardsModalOpen, setIsBoardsModalOpen] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null); // Parsed import file awaiting confirmation
+  const importInputRef = useRef(null);
+  const [taskToEdit, setTaskToEdit] = useState(null); // State to hold the task being edited
+  const [isLoading, setIsLoading] = useState(true);
+  
+  // Theme State
+  const [isDarkMode, setIsDarkMode] = useState(() => {
+    try {
+      const storedTheme = localStorage.getItem(THEME_KEY);
+      // Default to true (dark) if not explicitly light
+      return storedTheme === 'dark' || storedTheme === null;
+    } catch {
+      return true; // Default to dark mode on error or no preference
+    }
+  });
+
+  const [archiveMessage, setArchiveMessage] = useState(null); // State for archive feedback
+  const [toastKind, setToastKind] = useState('success'); // 'success' or 'error', sets the feedback toast's colour
+  const [toastCanUndo, setToastCanUndo] = useState(false); // Whether the feedback toast offers "Undo"
+  const toastTimerRef = useRef(null);
+  const [dataRepairReport, setDataRepairReport] = useState(null); // What was fixed or set aside while loading
+  const [storageError, setStorageError] = useState(null); // Shown while saved data is out of date
+  const [syncSettings, setSyncSettings] = useState(loadSyncSettings);
+  const [syncStatus, setSyncStatus] = useState({ state: 'disconnected' });
+  const [isCloudSyncOpen, setIsCloudSyncOpen] = useState(false);
+  const [reminderSettings, setReminderSettings] = useState(loadReminderSettings);
+  const [isReminderSettingsOpen, setIsReminderSettingsOpen] = useState(false);
+  const [clock, setClock] = useState(() => Date.now()); // Ticks every minute for due date flags and reminders
+  const [isReportsOpen, setIsReportsOpen] = useState(false);
+  const [isSprintsOpen, setIsSprintsOpen] = useState(false);
+  const [isLabelsOpen, setIsLabelsOpen] = useState(false);
+  const [isSavedViewsOpen, setIsSavedViewsOpen] = useState(false);
+  const [pendingBlockedMove, setPendingBlockedMove] = useState(null); // { task, newStatus, blockers } awaiting confirmation
+  const [selectedTaskIds, setSelectedTaskIds] = useState(() => new Set()); // Cards selected on the board for bulk actions
+  const [isArchiveRulesOpen, setIsArchiveRulesOpen] = useState(false);
+  const lastSelectedTaskIdRef = useRef(null); // Anchor for shift-click range selection
+  const cloudSyncRef = useRef(null); // Running sync engine, if connected
+  const tabChannelRef = useRef(null); // Channel to other open tabs
+  const tabSyncBaselineRef = useRef(null); // Boards as last shared with other tabs
+  const historyBaselineRef = useRef(null); // Boards as of the last recorded history step, plus changes that aren't recorded
+  const undoStackRef = useRef([]);
+  const redoStackRef = useRef([]);
+
+  // Persistence: IndexedDB where available, with a one-time move from localStorage
+  const storage = useMemo(() => createStorageAdapter({ key: LOCAL_STORAGE_KEY, legacyKeys: [LEGACY_COLUMNS_KEY] }), []);
+  const lastSavedDataRef = useRef(null); // Last data handed to storage, used to write only changes
+  const canSaveRef = useRef(false); // Stays false if loading failed, so stored data is never overwritten
+
+  // The board currently shown; everything below operates on it
+  const activeBoard = boards.find(board => board.id === activeBoardId) || boards[0];
+  const { tasks, columns, sprints, labels } = activeBoard;
+
+  // Apply an update to the active board only
+  const updateActiveBoard = useCallback((updater) => {
+    setBoards(prevBoards => prevBoards.map(board =>
+      board.id === activeBoard.id ? updater(board) : board
+    ));
+  }, [activeBoard.id]);
+
+  // Setters scoped to the active board, accepting a value or an updater function like useState's.
+  // Every task the update creates or modifies gets a fresh updatedAt.
+  const setTasks = useCallback((update) => {
+    updateActiveBoard(board => {
+      const nextTasks = typeof update === 'function' ? update(board.tasks) : update;
+      return { ...board, tasks: stampModifiedTasks(board.tasks, nextTasks) };
+    });
+  }, [updateActiveBoard]);
+
+  // Change the tasks and the trash in one update: `update(tasks, trash)` returns { tasks, trash }
+  const setTasksAndTrash = useCallback((update) => {
+    updateActiveBoard(board => {
+      const next = update(board.tasks, board.trash || []);
+      return { ...board, tasks: stampModifiedTasks(board.tasks, next.tasks), trash: next.trash };
+    });
+  }, [updateActiveBoard]);
+
+  const setColumns = useCallback((update) => {
+    updateActiveBoard(board => ({ ...board, columns: typeof update === 'function' ? update(board.columns) : update }));
+  }, [updateActiveBoard]);
+
+  const setSprints = useCallback((update) => {
+    updateActiveBoard(board => ({ ...board, sprints: typeof update === 'function' ? update(board.sprints) : update }));
+  }, [updateActiveBoard]);
+
+  const setLabels = useCallback((update) => {
+    updateActiveBoard(board => ({ ...board, labels: typeof update === 'function' ? update(board.labels) : update }));
+  }, [updateActiveBoard]);
+
+  const setFilterPresets = useCallback((update) => {
+    updateActiveBoard(board => ({ ...board, filterPresets: typeof update === 'function' ? update(board.filterPresets || []) : update }));
+  }, [updateActiveBoard]);
+
+  // Main Board Filters & Sorting (saved per board)
+  const { sortBy: mainBoardSortBy, searchQuery: mainSearchQuery, dueByDate, sprintId: sprintFilter, labels: labelFilter, labelMode } = activeBoard.filters;
+  const boardView = BOARD_VIEWS.some(view => view.id === activeBoard.filters.view) ? activeBoard.filters.view : 'board';
+
+  const setBoardFilter = useCallback((key, value) => {
+    updateActiveBoard(board => ({ ...board, filters: { ...board.filters, [key]: value } }));
+  }, [updateActiveBoard]);
+
+  const setMainBoardSortBy = useCallback((value) => setBoardFilter('sortBy', value), [setBoardFilter]);
+  const setMainSearchQuery = useCallback((value) => setBoardFilter('searchQuery', value), [setBoardFilter]);
+  const setDueByDate = useCallback((value) => setBoardFilter('dueByDate', value), [setBoardFilter]); // Date string for filtering
+  const setSprintFilter = useCallback((value) => setBoardFilter('sprintId', value), [setBoardFilter]); // '', BACKLOG_FILTER or a sprint id
+  const setLabelFilter = useCallback((value) => setBoardFilter('labels', value), [setBoardFilter]); // Label names; empty shows all
+  const setLabelMode = useCallback((value) => setBoardFilter('labelMode', value), [setBoardFilter]); // 'any' or 'all'
+  const setBoardView = useCallback((value) => setBoardFilter('view', value), [setBoardFilter]);
+
+  // --- Saved Views ---
+  const filterPresets = useMemo(() => activeBoard.filterPresets || [], [activeBoard.filterPresets]);
+  // The saved view matching the current filters exactly, if any
+  const activePresetId = useMemo(() => {
+    const current = JSON.stringify(sanitizeFilters(activeBoard.filters));
+    return filterPresets.find(preset => JSON.stringify(preset.filters) === current)?.id || '';
+  }, [filterPresets, activeBoard.filters]);
+
+  // Saving under an existing name replaces that view
+  const handleSavePreset = useCallback((name) => {
+    const filters = sanitizeFilters(activeBoard.filters);
+    setFilterPresets(prevPresets => (prevPresets.some(preset => preset.name === name)
+      ? prevPresets.map(preset => (preset.name === name ? { ...preset, filters } : preset))
+      : [...prevPresets, { id: generateId(), name, filters }]));
+  }, [activeBoard.filters, setFilterPresets]);
+
+  const handleApplyPreset = useCallback((presetId) => {
+    const preset = filterPresets.find(p => p.id === presetId);
+    if (preset) updateActiveBoard(board => ({ ...board, filters: sanitizeFilters(preset.filters) }));
+  }, [filterPresets, updateActiveBoard]);
+
+  const handleUpdatePreset = useCallback((presetId) => {
+    const filters = sanitizeFilters(activeBoard.filters);
+    setFilterPresets(prevPresets => prevPresets.map(preset => (preset.id === presetId ? { ...preset, filters } : preset)));
+  }, [activeBoard.filters, setFilterPresets]);
+
+  const handleDeletePreset = useCallback((presetId) => {
+    setFilterPresets(prevPresets => prevPresets.filter(preset => preset.id !== presetId));
+  }, [setFilterPresets]);
+
+  // --- Task Templates ---
+  const templates = useMemo(() => activeBoard.templates || [], [activeBoard.templates]);
+
+  const setTemplates = useCallback((update) => {
+    updateActiveBoard(board => ({ ...board, templates: update(board.templates || []) }));
+  }, [updateActiveBoard]);
+
+  // Saving under an existing name replaces that template
+  const handleSaveTemplate = useCallback((name, task) => {
+    const template = createTemplateFromTask(name, task);
+    setTemplates(prevTemplates => (prevTemplates.some(t => t.name === name)
+      ? prevTemplates.map(t => (t.name === name ? { ...template, id: t.id } : t))
+      : [...prevTemplates, template]));
+  }, [setTemplates]);
+
+  const handleDeleteTemplate = useCallback((templateId) => {
+    setTemplates(prevTemplates => prevTemplates.filter(template => template.id !== templateId));
+  }, [setTemplates]);
+
+  // Column names in board order; the last one is the "done" column
+  const statuses = useMemo(() => columns.map(col => col.name), [columns]);
+  const doneStatus = statuses[statuses.length - 1];
+
+  // 1. Initial Load through the storage adapter
+  useEffect(() => {
+    let cancelled = false;
+    loadStoredData(storage)
+      .then(({ boards: storedBoards, activeBoardId: storedActiveId, report, needsFullSave }) => {
+        if (cancelled) return;
+        setBoards(storedBoards);
+        setActiveBoardId(storedActiveId);
+        if (report.repaired.length > 0) setDataRepairReport(report);
+        // Unchanged data is already stored as-is; anything migrated or repaired gets rewritten
+        lastSavedDataRef.current = needsFullSave ? null : { schemaVersion: SCHEMA_VERSION, activeBoardId: storedActiveId, boards: storedBoards };
+        canSaveRef.current = true;
+      })
+      .catch(error => {
+        if (cancelled) return;
+        // Leave storage untouched so nothing is overwritten with an empty board
+        console.error("Error loading tasks:", error);
+        setStorageError(`Saved tasks could not be loaded (${error.message}). Changes made now will not be saved.`);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [storage]); // Run only once on mount
+
+  // Open the view described by the URL hash: once the saved boards are loaded, and again
+  // whenever the hash is changed by hand or by following a link
+  const viewHashAppliedRef = useRef(false);
+  useEffect(() => {
+    if (isLoading) return;
+    const applyViewHash = () => {
+      const view = parseViewHash(window.location.hash);
+      if (!view) return;
+      // Links to a board that isn't here (e.g. shared from another browser) filter the current one
+      const targetId = boards.some(board => board.id === view.boardId) ? view.boardId : activeBoard.id;
+      setBoards(prevBoards => prevBoards.map(board => (board.id === targetId ? { ...board, filters: view.filters } : board)));
+      setActiveBoardId(targetId);
+    };
+    if (!viewHashAppliedRef.current) {
+      viewHashAppliedRef.current = true;
+      applyViewHash();
+    }
+    window.addEventListener('hashchange', applyViewHash);
+    return () => window.removeEventListener('hashchange', applyViewHash);
+  }, [isLoading, boards, activeBoard.id]);
+
+  // Keep the hash in step with the active board's filters. replaceState keeps the page path
+  // (e.g. the GitHub Pages project folder), doesn't add history entries and doesn't fire hashchange.
+  const viewHash = buildViewHash(activeBoard.id, activeBoard.filters);
+  useEffect(() => {
+    if (isLoading || !viewHashAppliedRef.current || window.location.hash === viewHash) return;
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${viewHash}`);
+  }, [isLoading, viewHash]);
+
+  // Write the current boards, passing the last saved version so only changes are written
+  const saveBoards = useCallback((data) => {
+    const previous = lastSavedDataRef.current;
+    lastSavedDataRef.current = data;
+    storage.save(data, previous)
+      .then(() => setStorageError(null))
+      .catch(error => {
+        console.error("Error saving tasks:", error);
+        lastSavedDataRef.current = null; // Rewrite everything on the next save
+        setStorageError(describeStorageError(error));
+      });
+  }, [storage]);
+
+  // 2. Save boards whenever state changes
+  useEffect(() => {
+    if (!isLoading && canSaveRef.current) {
+      saveBoards({ schemaVersion: SCHEMA_VERSION, activeBoardId: activeBoard.id, boards });
+    }
+  }, [boards, activeBoard.id, isLoading, saveBoards]);
+
+  // Retry a failed save by rewriting everything
+  const handleRetrySave = useCallback(() => {
+    lastSavedDataRef.current = null;
+    saveBoards({ schemaVersion: SCHEMA_VERSION, activeBoardId: activeBoard.id, boards });
+  }, [boards, activeBoard.id, saveBoards]);
+  
+  // 3. Save theme preference
+  useEffect(() => {
+    localStorage.setItem(THEME_KEY, isDarkMode ? 'dark' : 'light');
+  }, [isDarkMode]);
+
+  // Keep the change from `before` to `after` out of the undo history: it goes into the history
+  // baseline, so only other changes made in the same render get recorded. Trash entries it
+  // purges are taken out of the recorded steps too, so they stay deleted.
+  const skipHistory = useCallback((before, after) => {
+    if (historyBaselineRef.current) historyBaselineRef.current = carryOverChanges(historyBaselineRef.current, before, after);
+    const purged = findPurgedEntries(before, after);
+    undoStackRef.current = forgetPurgedEntries(undoStackRef.current, purged);
+    redoStackRef.current = forgetPurgedEntries(redoStackRef.current, purged);
+  }, []);
+
+  // 4. Multi-tab sync: apply changes other tabs announce, and announce our own after they
+  // change, so tabs never overwrite each other's work with a stale copy
+  useEffect(() => {
+    if (isLoading || !canSaveRef.current) return undefined;
+    const channel = createTabChannel({
+      name: TAB_SYNC_CHANNEL,
+      onMessage: (changes) => {
+        setBoards(prevBoards => {
+          const merged = mergeRemoteChanges(prevBoards, changes);
+          skipHistory(prevBoards, merged);
+          // The other tab already has these; local changes made alongside still get announced
+          if (tabSyncBaselineRef.current) tabSyncBaselineRef.current = carryOverChanges(tabSyncBaselineRef.current, prevBoards, merged);
+          return merged;
+        });
+      },
+    });
+    tabChannelRef.current = channel;
+    return () => {
+      channel.close();
+      tabChannelRef.current = null;
+    };
+  }, [isLoading, skipHistory]);
+
+  useEffect(() => {
+    if (isLoading || !tabChannelRef.current) return;
+    const previous = tabSyncBaselineRef.current;
+    tabSyncBaselineRef.current = boards;
+    // Nothing to announce for the initial load; changes from other tabs are already in the baseline
+    if (!previous) return;
+    const changes = collectBoardChanges(previous, boards);
+    if (changes.boardDocs.length > 0 || changes.taskDocs.length > 0) {
+      tabChannelRef.current.post(changes);
+    }
+  }, [boards, isLoading]);
+
+  // Apply a change the user didn't make (cloud sync, the automatic archive and trash rules),
+  // so it stays out of the undo history
+  const applySystemUpdate = useCallback((update) => {
+    setBoards(prevBoards => {
+      const next = update(prevBoards);
+      skipHistory(prevBoards, next);
+      return next;
+    });
+  }, [skipHistory]);
+
+  // 5. Undo history: record every local change to tasks and columns. Changes from other
+  // tabs or devices, automatic archiving and trash purges, and the undo/redo steps
+  // themselves go through skipHistory and aren't recorded.
+  useEffect(() => {
+    if (isLoading) return;
+    const previous = historyBaselineRef.current;
+    historyBaselineRef.current = boards;
+    if (!previous) return;
+    const changes = collectHistoryChanges(previous, boards);
+    if (changes.length === 0) return;
+    undoStackRef.current = [...undoStackRef.current, changes].slice(-MAX_HISTORY);
+    redoStackRef.current = [];
+  }, [boards, isLoading]);
+
+  // Step back (or forward) through the history
+  const applyHistoryStep = useCallback((fromStack, toStack, side) => {
+    const changes = fromStack.current[fromStack.current.length - 1];
+    if (!changes) return false;
+    fromStack.current = fromStack.current.slice(0, -1);
+    toStack.current = [...toStack.current, changes];
+    setBoards(prevBoards => {
+      const next = applyHistoryChanges(prevBoards, changes, side);
+      skipHistory(prevBoards, next);
+      return next;
+    });
+    return true;
+  }, [skipHistory]);
+
+  const handleUndo = useCallback(() => applyHistoryStep(undoStackRef, redoStackRef, 'before'), [applyHistoryStep]);
+  const handleRedo = useCallback(() => applyHistoryStep(redoStackRef, undoStackRef, 'after'), [applyHistoryStep]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y); text fields keep their own undo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const target = e.target;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handleRedo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handleUndo, handleRedo]);
+
+  // Show the feedback toast for a few seconds: green for 'success', red for 'error', optionally
+  // with an "Undo" button
+  const showToast = useCallback((message, kind, canUndo = false) => {
+    clearTimeout(toastTimerRef.current);
+    setArchiveMessage(message);
+    setToastKind(kind);
+    setToastCanUndo(canUndo);
+    toastTimerRef.current = setTimeout(() => setArchiveMessage(null), 5000);
+  }, []);
+
+  const handleToastUndo = useCallback(() => {
+    clearTimeout(toastTimerRef.current);
+    setArchiveMessage(null);
+    handleUndo();
+  }, [handleUndo]);
+
+  // 6. Cloud sync: save the connection settings, and run the sync engine while it's enabled.
+  // Firebase is only loaded once sync is switched on.
+  useEffect(() => {
+    localStorage.setItem(SYNC_SETTINGS_KEY, JSON.stringify(syncSettings));
+  }, [syncSettings]);
+
+  useEffect(() => {
+    if (isLoading || !canSaveRef.current || !syncSettings.enabled) return undefined;
+    let cancelled = false;
+    setSyncStatus({ state: 'connecting' });
+    import('./cloudSync')
+      .then(({ startCloudSync }) => {
+        if (cancelled) return;
+        cloudSyncRef.current = startCloudSync({
+          settings: syncSettings,
+          onRemoteChanges: (changes) => applySystemUpdate(prevBoards => mergeRemoteChanges(prevBoards, changes)),
+          onStatus: setSyncStatus,
+        });
+      })
+      .catch(error => {
+        console.error("Error starting cloud sync:", error);
+        if (!cancelled) setSyncStatus({ state: 'error', message: error.message });
+      });
+    return () => {
+      cancelled = true;
+      cloudSyncRef.current?.stop();
+      cloudSyncRef.current = null;
+      setSyncStatus({ state: 'disconnected' });
+    };
+  }, [isLoading, syncSettings, applySystemUpdate]);
+
+  // Send local changes; also runs once the first remote snapshot has been merged
+  useEffect(() => {
+    cloudSyncRef.current?.push(boards);
+  }, [boards, syncStatus]);
+
+  const handleConnectSync = useCallback((settings) => {
+    setSyncSettings(settings);
+  }, []);
+
+  const handleDisconnectSync = useCallback(() => {
+    setSyncSettings(prevSettings => ({ ...prevSettings, enabled: false }));
+  }, []);
+
+  // 7. Due dates: flag overdue and due-soon items, and send browser reminders while the app is open
+  useEffect(() => {
+    localStorage.setItem(REMINDER_SETTINGS_KEY, JSON.stringify(reminderSettings));
+  }, [reminderSettings]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setClock(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const today = startOfDay(clock);
+  const overdueItemCount = useMemo(
+    () => getDueItems(tasks).filter(item => item.dueDate < today).length,
+    [tasks, today]
+  );
+
+  useEffect(() => {
+    if (isLoading || !reminderSettings.notificationsEnabled || !('Notification' in window) || Notification.permission !== 'granted') return;
+    const items = boards.flatMap(board => getDueItems(board.tasks).map(item => ({ ...item, boardName: board.name })));
+    const sent = new Set(safeJsonParse(localStorage.getItem(REMINDERS_SENT_KEY), []));
+    // An item is reminded about once per due date; changing the date reminds again
+    const reminderKey = (item) => `${item.key}@${item.dueDate}`;
+    const due = items.filter(item => !sent.has(reminderKey(item)) && clock >= addDays(item.dueDate, -reminderSettings.notifyDaysBefore));
+    if (due.length === 0) return;
+
+    const describe = (item) => `${item.taskTitle ? `${item.title} (${item.taskTitle})` : item.title}: ${item.dueDate < today ? 'overdue since' : 'due'} ${formatDate(item.dueDate)}`;
+    try {
+      // Several at once (e.g. right after switching reminders on) become a single notification
+      if (due.length > 3) {
+        new Notification(`${due.length} tasks need attention`, { body: due.slice(0, 5).map(describe).join('\n'), tag: 'task-reminders' });
+      } else {
+        due.forEach(item => new Notification(boards.length > 1 ? `Task reminder (${item.boardName})` : 'Task reminder', { body: describe(item), tag: reminderKey(item) }));
+      }
+    } catch (error) {
+      console.error('Error showing reminder notification:', error);
+    }
+    // Only remember keys of items that are still pending, so the list doesn't grow forever
+    const pending = new Set(items.map(reminderKey));
+    localStorage.setItem(REMINDERS_SENT_KEY, JSON.stringify([...sent, ...due.map(reminderKey)].filter(key => pending.has(key))));
+  }, [isLoading, boards, clock, today, reminderSettings]);
+
+  // 8. Automatic archiving: checked on load, every minute and whenever the boards change
+  useEffect(() => {
+    if (isLoading || !canSaveRef.current) return;
+    applySystemUpdate(prevBoards => applyAutoArchive(prevBoards));
+  }, [isLoading, boards, clock, applySystemUpdate]);
+
+  // 9. Emptying the trash: entries past their board's retention period are purged
+  useEffect(() => {
+    if (isLoading || !canSaveRef.current) return;
+    applySystemUpdate(prevBoards => applyTrashRetention(prevBoards));
+  }, [isLoading, boards, clock, applySystemUpdate]);
+
+  // Switch to another board, closing anything tied to the previous one
+  const handleSelectBoard = useCallback((boardId) => {
+    setActiveBoardId(boardId);
+    setTaskToEdit(null);
+    setIsNewTaskModalOpen(false);
+    setIsArchivedModalOpen(false);
+    setIsTrashOpen(false);
+    setSelectedTaskIds(new Set());
+  }, []);
+
+  const handleCreateBoard = useCallback((name) => {
+    const board = createBoard(name);
+    setBoards(prevBoards => [...prevBoards, board]);
+    handleSelectBoard(board.id);
+  }, [handleSelectBoard]);
+
+  const handleRenameBoard = useCallback((boardId, name) => {
+    setBoards(prevBoards => prevBoards.map(board => board.id === boardId ? { ...board, name } : board));
+  }, []);
+
+  // Copy a board as it is in the latest state; the copy's id is picked up front so it can be selected
+  const handleDuplicateBoard = useCallback((boardId) => {
+    const copyId = generateId();
+    setBoards(prevBoards => {
+      const source = prevBoards.find(board => board.id === boardId);
+      if (!source) return prevBoards;
+      return [...prevBoards, { ...duplicateBoard(source, `${source.name} (Copy)`), id: copyId }];
+    });
+    handleSelectBoard(copyId);
+  }, [handleSelectBoard]);
+
+  // Delete a board unless it is the last one. Deleting the active board clears the selection,
+  // so activeBoard falls back to the first board that remains.
+  const handleDeleteBoard = useCallback((boardId) => {
+    setBoards(prevBoards => {
+      const remaining = prevBoards.filter(board => board.id !== boardId);
+      return remaining.length > 0 ? remaining : prevBoards;
+    });
+    if (boardId === activeBoard.id) handleSelectBoard(null);
+  }, [activeBoard.id, handleSelectBoard]);
+
+  // Download every board (active and archived tasks) plus settings as a JSON backup
+  const handleExportJson = useCallback(() => {
+    const data = buildExportData(boards, activeBoard.id, { theme: isDarkMode ? 'dark' : 'light' });
+    downloadFile(`task-board-backup-${todayString()}.json`, JSON.stringify(data, null, 2), 'application/json');
+  }, [boards, activeBoard.id, isDarkMode]);
+
+  // Read and validate the chosen file, then show the import review modal
+  const handleImportFileChange = useCallback((e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow picking the same file again later
+    if (!file) return;
+
+    file.text().then(text => {
+      try {
+        setPendingImport({ fileName: file.name, result: parseImportFile(text) });
+      } catch (error) {
+        setPendingImport({ fileName: file.name, error: error.message });
+      }
+    });
+  }, []);
 
-  // 2. Save tasks to LocalStorage whenever state changes
-  useEffect(() => {
-    if (!isLoading) {
-      try {
-        localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(tasks));
-      } catch (error) {
-        console.error("Error saving tasks to localStorage:", error);
+  // Apply the reviewed import by either merging or replacing all boards
+  const handleConfirmImport = useCallback((mode) => {
+    const { result } = pendingImport;
+    if (mode === 'replace') {
+      setBoards(result.boards);
+      const nextActive = result.boards.find(board => board.id === result.activeBoardId) || result.boards[0];
+      handleSelectBoard(nextActive.id);
+      if (result.settings.theme === 'dark' || result.settings.theme === 'light') {
+        setIsDarkMode(result.settings.theme === 'dark');
       }
+    } else {
+      setBoards(prevBoards => mergeImportedBoards(prevBoards, result.boards));
     }
-  }, [tasks, isLoading]);
-  
-  // 3. Save theme preference
-  useEffect(() => {
-    localStorage.setItem(THEME_KEY, isDarkMode ? 'dark' : 'light');
-  }, [isDarkMode]);
+    setPendingImport(null);
+    showToast(`Successfully imported ${result.taskCount} tasks${result.problems.length > 0 ? ` (${result.problems.length} records skipped)` : ''}.`, 'success');
+  }, [pendingImport, handleSelectBoard, showToast]);
 
   // Toggle theme handler
   const toggleTheme = useCallback(() => {
@@ -765,17 +5213,25 @@ export default function App() {
   // Handler for saving/creating a task (used by TaskForm)
   const handleTaskSave = useCallback((taskData) => {
     if (taskToEdit) {
-      // Editing existing task
-      setTasks(prevTasks => prevTasks.map(task => 
-        task.id === taskData.id ? taskData : task
-      ));
+      // Editing existing task (re-added if it was deleted in another tab meanwhile)
+      const seriesId = taskToEdit.recurrence?.seriesId;
+      setTasksAndTrash((prevTasks, prevTrash) => {
+        const previous = prevTasks.find(task => task.id === taskData.id);
+        const nextTasks = previous
+          ? prevTasks.map(task => task.id === taskData.id ? taskData : task)
+          : [...prevTasks, taskData];
+        // Subtasks removed in the form go to the trash
+        const trash = trashRemovedSubtasks(previous, taskData, prevTrash);
+        if (!seriesId) return { tasks: nextTasks, trash };
+        return { tasks: applyRecurrenceToSeries(nextTasks, seriesId, taskData.recurrence), trash };
+      });
       setTaskToEdit(null); // Clear edit state
     } else {
       // Creating new task
       setTasks(prevTasks => [...prevTasks, taskData]);
     }
     setIsNewTaskModalOpen(false);
-  }, [taskToEdit]);
+  }, [taskToEdit, setTasks, setTasksAndTrash]);
 
   // Handler to close the task form modal and clear edit state
   const handleCloseTaskModal = useCallback(() => {
@@ -783,142 +5239,479 @@ export default function App() {
     setTaskToEdit(null); // Always clear edit state when closing
   }, []);
 
-  // Delete Task handler (used by both Kanban and Archived Modal)
+  // Delete Task handler (used by both Kanban and Archived Modal): the task moves to the trash
   const handleDeleteTask = useCallback((taskId) => {
-    setTasks(prevTasks => prevTasks.filter(task => task.id !== taskId));
-  }, []);
+    const task = tasks.find(t => t.id === taskId);
+    setTasksAndTrash((prevTasks, prevTrash) => trashTasks(prevTasks, prevTrash, [taskId]));
+    if (task) showToast(`Moved "${task.title}" to the trash.`, 'success', true);
+  }, [tasks, setTasksAndTrash, showToast]);
 
   // Handler to toggle subtask completion status
   const handleToggleSubtask = useCallback((taskId, subtaskId) => {
     setTasks(prevTasks => prevTasks.map(task => {
       if (task.id === taskId) {
-        const newSubtasks = task.subtasks.map(sub => 
+        const newSubtasks = (task.subtasks || []).map(sub => 
           sub.id === subtaskId ? { ...sub, completed: !sub.completed } : sub
         );
         return { ...task, subtasks: newSubtasks };
       }
       return task;
     }));
-  }, []);
+  }, [setTasks]);
 
   // Function to handle status change update in state and persistence
   const handleTaskStatusChange = useCallback((taskId, newStatus) => {
-    setTasks(prevTasks => prevTasks.map(task => {
+    setTasks(prevTasks => addNextOccurrences(prevTasks, prevTasks.map(task => {
       if (task.id === taskId) {
         let updatedTask = { ...task, status: newStatus };
 
-        // Set completedDate if moving to 'Completed'
-        if (newStatus === 'Completed') {
+        // Set completedDate if moving to the done column
+        if (newStatus === doneStatus) {
           updatedTask.completedDate = Date.now();
         } 
-        // Clear completedDate if moving out of 'Completed'
-        else if (newStatus !== 'Completed') {
+        // Clear completedDate if moving out of the done column
+        else if (newStatus !== doneStatus) {
           updatedTask.completedDate = null;
         }
         return updatedTask;
       }
       return task;
+    }), statuses[0], doneStatus));
+  }, [statuses, doneStatus, setTasks]);
+
+  // Apply field changes to one task (inline edits in the table view)
+  const handleUpdateTask = useCallback((taskId, changes) => {
+    setTasks(prevTasks => prevTasks.map(task => (task.id === taskId ? { ...task, ...changes } : task)));
+  }, [setTasks]);
+
+  // Bulk actions: each is a single update, so one undo reverts the whole batch
+  // Tasks already in the target column don't count as moved
+  const handleBulkStatusChange = useCallback((taskIds, newStatus) => {
+    const ids = new Set(taskIds);
+    const movedCount = tasks.filter(task => ids.has(task.id) && task.status !== newStatus).length;
+    setTasks(prevTasks => addNextOccurrences(prevTasks, prevTasks.map(task => {
+      if (!ids.has(task.id) || task.status === newStatus) return task;
+      return { ...task, status: newStatus, completedDate: newStatus === doneStatus ? Date.now() : null };
+    }), statuses[0], doneStatus));
+    showToast(`Moved ${movedCount} tasks to "${newStatus}".`, 'success', movedCount > 0);
+  }, [tasks, statuses, doneStatus, setTasks, showToast]);
+
+  // Only completed tasks are archived, the same as the archive rules; the rest are skipped
+  const handleBulkArchive = useCallback((taskIds) => {
+    const ids = new Set(taskIds);
+    const isSelectedAndDone = (task) => ids.has(task.id) && isArchivableBefore(task, doneStatus, Infinity);
+    const selectedCount = tasks.filter(task => ids.has(task.id)).length;
+    const archivedCount = tasks.filter(isSelectedAndDone).length;
+    const skippedCount = selectedCount - archivedCount;
+    const archivedAt = Date.now();
+    setTasks(prevTasks => prevTasks.map(task => (
+      isSelectedAndDone(task) ? { ...task, status: ARCHIVED_STATUS, archivedAt } : task
+    )));
+    const rule = `only completed tasks in "${doneStatus}" can be archived`;
+    if (archivedCount === 0) {
+      showToast(`No tasks were archived; ${rule}.`, 'error');
+    } else {
+      showToast(`Successfully archived ${archivedCount} tasks.${skippedCount > 0 ? ` Skipped ${skippedCount} unfinished tasks; ${rule}.` : ''}`, 'success', true);
+    }
+  }, [tasks, doneStatus, setTasks, showToast]);
+
+  const handleBulkDelete = useCallback((taskIds) => {
+    setTasksAndTrash((prevTasks, prevTrash) => trashTasks(prevTasks, prevTrash, taskIds));
+    showToast(`Moved ${new Set(taskIds).size} tasks to the trash.`, 'success', true);
+  }, [setTasksAndTrash, showToast]);
+
+  // Move due dates by whole days, taking start dates and subtask due dates along
+  const handleBulkShiftDueDates = useCallback((taskIds, days) => {
+    const ids = new Set(taskIds);
+    const shift = (timestamp) => (timestamp ? addDays(timestamp, days) : timestamp);
+    setTasks(prevTasks => prevTasks.map(task => (ids.has(task.id) ? {
+      ...task,
+      dueDate: shift(task.dueDate),
+      startDate: shift(task.startDate),
+      subtasks: (task.subtasks || []).map(sub => (sub.dueDate ? { ...sub, dueDate: shift(sub.dueDate) } : sub)),
+    } : task)));
+    showToast(`Moved the due dates of ${ids.size} tasks ${Math.abs(days)} day${Math.abs(days) === 1 ? '' : 's'} ${days > 0 ? 'later' : 'earlier'}.`, 'success', true);
+  }, [setTasks, showToast]);
+
+  // Add a label to, or remove it from, every given task
+  const handleBulkChangeLabel = useCallback((taskIds, name, add) => {
+    const ids = new Set(taskIds);
+    setTasks(prevTasks => prevTasks.map(task => {
+      if (!ids.has(task.id)) return task;
+      const labels = task.labels || [];
+      if (add) return labels.includes(name) ? task : { ...task, labels: [...labels, name] };
+      return labels.includes(name) ? { ...task, labels: labels.filter(label => label !== name) } : task;
     }));
-  }, []);
+    showToast(`${add ? 'Added' : 'Removed'} label "${name}" ${add ? 'to' : 'from'} ${ids.size} tasks.`, 'success', true);
+  }, [setTasks, showToast]);
+
+  // Unfinished blockers of each task, for card badges and the move warning
+  const openBlockersByTask = useMemo(() => getOpenBlockers(tasks, doneStatus), [tasks, doneStatus]);
+
+  // Moving a card towards the done column while its blockers are still open asks first
+  const handleRequestStatusChange = useCallback((taskId, newStatus) => {
+    const task = tasks.find(t => t.id === taskId);
+    const blockers = openBlockersByTask.get(taskId);
+    if (task && blockers && statuses.indexOf(newStatus) > statuses.indexOf(task.status)) {
+      setPendingBlockedMove({ task, newStatus, blockers });
+      return;
+    }
+    handleTaskStatusChange(taskId, newStatus);
+  }, [tasks, statuses, openBlockersByTask, handleTaskStatusChange]);
+
+  const handleConfirmBlockedMove = useCallback(() => {
+    handleTaskStatusChange(pendingBlockedMove.task.id, pendingBlockedMove.newStatus);
+    setPendingBlockedMove(null);
+  }, [pendingBlockedMove, handleTaskStatusChange]);
+
+  // Add a column, inserted just before the done column so it stays last
+  const handleAddColumn = useCallback((name, color) => {
+    setColumns(prevColumns => {
+      const newColumn = { id: generateId(), name, color };
+      return [...prevColumns.slice(0, -1), newColumn, ...prevColumns.slice(-1)];
+    });
+  }, [setColumns]);
+
+  // Update a column's name and/or color; renames carry the column's tasks along
+  const handleUpdateColumn = useCallback((columnId, updates) => {
+    const column = columns.find(col => col.id === columnId);
+    if (!column) return;
+
+    if (updates.name && updates.name !== column.name) {
+      setTasks(prevTasks => prevTasks.map(task =>
+        task.status === column.name ? { ...task, status: updates.name } : task
+      ));
+    }
+    setColumns(prevColumns => prevColumns.map(col =>
+      col.id === columnId ? { ...col, ...updates } : col
+    ));
+  }, [columns, setColumns, setTasks]);
+
+  // Move a column one position left (-1) or right (+1)
+  const handleMoveColumn = useCallback((columnId, direction) => {
+    const index = columns.findIndex(col => col.id === columnId);
+    const targetIndex = index + direction;
+    if (index === -1 || targetIndex < 0 || targetIndex >= columns.length) return;
+
+    const reordered = [...columns];
+    [reordered[index], reordered[targetIndex]] = [reordered[targetIndex], reordered[index]];
+    setColumns(reordered);
+  }, [columns, setColumns]);
+
+  // Delete a column, moving any of its tasks into the chosen target column
+  const handleDeleteColumn = useCallback((columnId, targetStatus) => {
+    const column = columns.find(col => col.id === columnId);
+    const remaining = columns.filter(col => col.id !== columnId);
+    if (!column || remaining.length === 0) return;
+
+    const fallbackStatus = remaining.some(col => col.name === targetStatus) ? targetStatus : remaining[0].name;
+    setColumns(remaining);
+    setTasks(prevTasks => moveColumnTasks(prevTasks, column.name, fallbackStatus, remaining[remaining.length - 1].name));
+  }, [columns, setColumns, setTasks]);
+
+
+  // --- Label Handlers ---
+  // Every label in use, its color and how many tasks (archived included) carry it
+  const boardLabels = useMemo(() => getBoardLabels(labels, tasks), [labels, tasks]);
+  const labelColors = useMemo(() => Object.fromEntries(boardLabels.map(label => [label.name, label.color])), [boardLabels]);
+  const labelCounts = useMemo(() => {
+    const counts = {};
+    tasks.forEach(task => (task.labels || []).forEach(name => { counts[name] = (counts[name] || 0) + 1; }));
+    return counts;
+  }, [tasks]);
+
+  const handleCreateLabel = useCallback((name, color) => {
+    setLabels(prevLabels => (prevLabels.some(label => label.name === name) ? prevLabels : [...prevLabels, { name, color }]));
+  }, [setLabels]);
+
+  // Labels only used by tasks get a definition the first time they're recolored
+  const handleUpdateLabelColor = useCallback((name, color) => {
+    setLabels(prevLabels => (prevLabels.some(label => label.name === name)
+      ? prevLabels.map(label => (label.name === name ? { ...label, color } : label))
+      : [...prevLabels, { name, color }]));
+  }, [setLabels]);
+
+  // Swap one label name for another (or drop it, when `replacement` is null) on every task,
+  // in the definitions and in the label filter
+  const replaceLabel = useCallback((name, replacement) => {
+    const swap = (names) => [...new Set(names.map(label => (label === name ? replacement : label)).filter(Boolean))];
+    setTasks(prevTasks => prevTasks.map(task => ((task.labels || []).includes(name) ? { ...task, labels: swap(task.labels) } : task)));
+    if (labelFilter.includes(name)) setLabelFilter(swap(labelFilter));
+  }, [labelFilter, setTasks, setLabelFilter]);
+
+  const handleRenameLabel = useCallback((name, newName) => {
+    replaceLabel(name, newName);
+    setLabels(prevLabels => (prevLabels.some(label => label.name === name)
+      ? prevLabels.map(label => (label.name === name ? { ...label, name: newName } : label))
+      : [...prevLabels, { name: newName, color: DEFAULT_LABEL_COLOR }]));
+  }, [replaceLabel, setLabels]);
+
+  const handleMergeLabel = useCallback((name, intoName) => {
+    replaceLabel(name, intoName);
+    setLabels(prevLabels => prevLabels.filter(label => label.name !== name));
+  }, [replaceLabel, setLabels]);
+
+  const handleDeleteLabel = useCallback((name) => {
+    replaceLabel(name, null);
+    setLabels(prevLabels => prevLabels.filter(label => label.name !== name));
+  }, [replaceLabel, setLabels]);
+
+  const handleToggleLabelFilter = useCallback((name) => {
+    setLabelFilter(labelFilter.includes(name) ? labelFilter.filter(label => label !== name) : [...labelFilter, name]);
+  }, [labelFilter, setLabelFilter]);
+
+
+  // --- Sprint Handlers ---
+  const handleCreateSprint = useCallback((sprint) => {
+    setSprints(prevSprints => [...prevSprints, { ...sprint, id: generateId(), closedAt: null }]);
+  }, [setSprints]);
 
+  const handleUpdateSprint = useCallback((sprintId, updates) => {
+    setSprints(prevSprints => prevSprints.map(sprint => sprint.id === sprintId ? { ...sprint, ...updates } : sprint));
+  }, [setSprints]);
+
+  // Delete a sprint; its tasks go back to the backlog
+  const handleDeleteSprint = useCallback((sprintId) => {
+    setSprints(prevSprints => prevSprints.filter(sprint => sprint.id !== sprintId));
+    setTasks(prevTasks => prevTasks.map(task => task.sprintId === sprintId ? { ...task, sprintId: null } : task));
+    if (sprintFilter === sprintId) setSprintFilter('');
+  }, [setSprints, setTasks, sprintFilter, setSprintFilter]);
+
+  // Close a sprint: archive its completed tasks and roll unfinished ones into the next sprint
+  const handleCloseSprint = useCallback((sprintId) => {
+    const sprint = sprints.find(s => s.id === sprintId);
+    if (!sprint) return;
+    const { sprint: nextSprint, isNew } = getRolloverSprint(sprints, sprint);
+    const sprintTasks = tasks.filter(task => task.sprintId === sprintId && task.status !== ARCHIVED_STATUS);
+    const completedCount = sprintTasks.filter(task => task.status === doneStatus).length;
+    const rolledCount = sprintTasks.length - completedCount;
+    const now = Date.now();
+
+    setSprints(prevSprints => [
+      ...prevSprints.map(s => s.id === sprintId ? { ...s, closedAt: now } : s),
+      ...(isNew ? [nextSprint] : []),
+    ]);
+    setTasks(prevTasks => prevTasks.map(task => {
+      if (task.sprintId !== sprintId || task.status === ARCHIVED_STATUS) return task;
+      if (task.status === doneStatus) return { ...task, status: ARCHIVED_STATUS, archivedAt: now };
+      return { ...task, sprintId: nextSprint.id };
+    }));
+    if (sprintFilter === sprintId) setSprintFilter(nextSprint.id);
+
+    showToast(`Successfully closed ${sprint.name}: archived ${completedCount} completed tasks and moved ${rolledCount} unfinished tasks to ${nextSprint.name}.`, 'success', true);
+  }, [sprints, tasks, doneStatus, setSprints, setTasks, sprintFilter, setSprintFilter, showToast]);
+
+  // Committed and completed points per sprint
+  const sprintStats = useMemo(() => getSprintStats(sprints, tasks, doneStatus), [sprints, tasks, doneStatus]);
+
+  // Open sprints shown above the board: just the filtered sprint, or every open one
+  const visibleSprints = useMemo(() => {
+    const open = sprints.filter(sprint => !sprint.closedAt).sort((a, b) => a.startDate - b.startDate);
+    if (sprintFilter === '') return open;
+    return sprints.filter(sprint => sprint.id === sprintFilter);
+  }, [sprints, sprintFilter]);
 
   // Bulk Archive Function
-  const handleArchiveCompletedTasks = useCallback(() => {
-    
-    // Calculate the start of the current week (7 days ago)
-    const oneWeekAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
-    
-    let archivedCount = 0;
+  const handleArchiveCompletedTasks = useCallback((cutoff) => {
+    const archivedCount = tasks.filter(task => isArchivableBefore(task, doneStatus, cutoff)).length;
+    if (archivedCount > 0) {
+      setTasks(prevTasks => archiveTasksBefore(prevTasks, doneStatus, cutoff));
+      showToast(`Successfully archived ${archivedCount} completed tasks${cutoff === Infinity ? '' : ` from before ${formatDate(cutoff)}`}.`, 'success', true);
+    } else {
+      showToast('No completed tasks to archive.', 'error');
+    }
+    setIsArchiveRulesOpen(false);
+  }, [tasks, doneStatus, setTasks, showToast]);
 
-    setTasks(prevTasks => {
-        const updatedTasks = prevTasks.map(task => {
-            
-            const isCompleted = task.status === 'Completed';
-            const completedWithinWeek = task.completedDate && Number(task.completedDate) >= oneWeekAgo;
-            
-            if (isCompleted && completedWithinWeek) {
-                archivedCount++;
-                return { 
-                    ...task, 
-                    status: 'Archived', 
-                    archivedAt: Date.now() 
-                };
-            }
-            return task;
-        });
+  const handleSetAutoArchiveDays = useCallback((days) => {
+    updateActiveBoard(board => ({ ...board, autoArchiveDays: days }));
+    showToast(days ? `Tasks on this board are now archived ${days} days after completion.` : 'Automatic archiving is off for this board.', 'success');
+  }, [updateActiveBoard, showToast]);
 
-        // Display feedback
-        if (archivedCount > 0) {
-            setArchiveMessage(`Successfully archived ${archivedCount} completed tasks from the last week!`);
-        } else {
-            setArchiveMessage("No tasks completed in the last week to archive.");
-        }
-        setTimeout(() => setArchiveMessage(null), 5000);
+  // Put an archived task back in a column. Going back to the done column counts as completing it
+  // again now, so an automatic archive rule doesn't archive it straight back.
+  const handleUnarchiveTask = useCallback((taskId, status) => {
+    const task = tasks.find(t => t.id === taskId);
+    setTasks(prevTasks => prevTasks.map(t => {
+      if (t.id !== taskId) return t;
+      const { archivedAt, ...rest } = t;
+      return { ...rest, status, completedDate: status === doneStatus ? Date.now() : null };
+    }));
+    if (task) showToast(`Restored "${task.title}" to ${status}.`, 'success', true);
+  }, [tasks, doneStatus, setTasks, showToast]);
 
-        return updatedTasks;
-    });
+  // --- Trash ---
+  const trash = useMemo(() => activeBoard.trash || [], [activeBoard.trash]);
 
-  }, []);
+  const handleRestoreTrashEntry = useCallback((entryId) => {
+    const entry = trash.find(e => e.id === entryId);
+    if (!entry) return;
+    setTasksAndTrash((prevTasks, prevTrash) => ({
+      tasks: restoreTrashEntry(prevTasks, entry, statuses, sprints),
+      trash: prevTrash.filter(e => e.id !== entryId),
+    }));
+    showToast(entry.type === 'task'
+      ? `Restored "${entry.task.title}".`
+      : `Restored subtask "${entry.subtask.title}" to "${entry.taskTitle}".`, 'success', true);
+  }, [trash, statuses, sprints, setTasksAndTrash, showToast]);
+
+  // Purging is permanent: it stays out of the undo history, like the automatic purges
+  const purgeActiveBoardTrash = useCallback((updateTrash) => {
+    applySystemUpdate(prevBoards => prevBoards.map(board => (
+      board.id === activeBoard.id ? { ...board, trash: updateTrash(board.trash || []) } : board
+    )));
+  }, [activeBoard.id, applySystemUpdate]);
+
+  const handlePurgeTrashEntry = useCallback((entryId) => {
+    const entry = trash.find(e => e.id === entryId);
+    if (!entry) return;
+    purgeActiveBoardTrash(prevTrash => purgeTrashEntries(prevTrash, [entryId]));
+    showToast(`Permanently deleted "${entry.type === 'task' ? entry.task.title : entry.subtask.title}".`, 'success');
+  }, [trash, purgeActiveBoardTrash, showToast]);
+
+  const handleEmptyTrash = useCallback(() => {
+    purgeActiveBoardTrash(() => []);
+    showToast(`Permanently deleted ${trash.length} items from the trash.`, 'success');
+  }, [trash.length, purgeActiveBoardTrash, showToast]);
+
+  const handleSetTrashRetentionDays = useCallback((days) => {
+    updateActiveBoard(board => ({ ...board, trashRetentionDays: days }));
+    showToast(`Items in this board's trash are now deleted permanently after ${days} days.`, 'success');
+  }, [updateActiveBoard, showToast]);
 
 
+  // What search queries need to know about the board (see taskQuery.js)
+  const queryContext = useMemo(() => ({
+    statuses,
+    labels: boardLabels.map(label => label.name),
+    priorities: PRIORITIES.map(priority => priority.id),
+    priorityOf: (task) => getPriority(task).id,
+    isOverdue: (task) => hasOverdueItem(task),
+    isBlocked: (task) => openBlockersByTask.has(task.id),
+  }), [statuses, boardLabels, openBlockersByTask]);
+
+  const boardQuery = useMemo(() => parseTaskQuery(mainSearchQuery, queryContext), [mainSearchQuery, queryContext]);
+
   // Group and sort tasks for display on the main board
   const { groupedTasks, archivedTasks, pointSummary } = useMemo(() => {
-    const groups = { 'Opened': [], 'In Progress': [], 'Completed': [] };
+    const groups = statuses.reduce((acc, status) => {
+      acc[status] = [];
+      return acc;
+    }, {});
     const archived = [];
     
     // Timestamp for Due By filtering
     // Convert date string to start-of-day timestamp
     const dueByTimestamp = dueByDate ? dateStringToTimestamp(dueByDate) : Infinity;
-    const searchLower = mainSearchQuery.toLowerCase();
+    const sprintIds = new Set(sprints.map(sprint => sprint.id));
 
     tasks.forEach(task => {
-      if (task.status === 'Archived') {
+      if (task.status === ARCHIVED_STATUS) {
         archived.push(task);
         return;
       }
       
       // 1. Filtering Logic (for non-archived tasks)
-      const matchesSearch = searchLower === '' || 
-                            task.title.toLowerCase().includes(searchLower) || 
-                            task.description.toLowerCase().includes(searchLower);
+      const matchesSearch = boardQuery.test(task);
       
       const matchesDueBy = dueByDate === '' || (task.dueDate && task.dueDate <= dueByTimestamp);
 
-      if (!matchesSearch || !matchesDueBy) {
+      // Tasks whose sprint no longer exists count as backlog
+      const taskSprintId = sprintIds.has(task.sprintId) ? task.sprintId : null;
+      const matchesSprint = sprintFilter === '' || (sprintFilter === BACKLOG_FILTER ? taskSprintId === null : taskSprintId === sprintFilter);
+
+      const matchesLabels = matchesLabelFilter(task, labelFilter, labelMode);
+
+      if (!matchesSearch || !matchesDueBy || !matchesSprint || !matchesLabels) {
           return;
       }
 
       // 2. Grouping Logic
-      if (ACTIVE_STATUSES.includes(task.status)) {
+      // Tasks whose status no longer matches a column fall back to the first column
+      if (statuses.includes(task.status)) {
         groups[task.status].push(task);
       } else {
-        groups['Opened'].push(task); 
+        groups[statuses[0]].push(task); 
       }
     });
 
     // 3. Sorting Logic
-    const sorter = (a, b) => {
-      if (mainBoardSortBy === 'dueDate') {
-        // Sort by Due Date (ascending: earlier due date first)
-        return (a.dueDate || Infinity) - (b.dueDate || Infinity);
-      } else if (mainBoardSortBy === 'eta') {
-        // Sort by Point Cost (descending: higher cost first)
-        return (b.eta || 0) - (a.eta || 0);
-      }
-      return 0;
-    };
+    const sorter = getTaskSorter(mainBoardSortBy);
 
-    groups['Opened'].sort(sorter);
-    groups['In Progress'].sort(sorter);
+    // The done column keeps completion order
+    statuses.forEach(status => {
+      if (status !== doneStatus) groups[status].sort(sorter);
+    });
 
     // Calculate total points ETA for each status
-    const summary = ACTIVE_STATUSES.reduce((acc, status) => {
+    const summary = statuses.reduce((acc, status) => {
       acc[status] = groups[status].reduce((sum, task) => sum + (task.eta || 0), 0);
       return acc;
     }, {});
 
     return { groupedTasks: groups, archivedTasks: archived, pointSummary: summary };
-  }, [tasks, mainBoardSortBy, mainSearchQuery, dueByDate]);
+  }, [tasks, sprints, statuses, doneStatus, mainBoardSortBy, boardQuery, dueByDate, sprintFilter, labelFilter, labelMode]);
+
+  // Number of active tasks in each column, ignoring filters (used by column settings)
+  const columnTaskCounts = useMemo(() => {
+    return tasks.reduce((acc, task) => {
+      if (task.status !== ARCHIVED_STATUS) acc[task.status] = (acc[task.status] || 0) + 1;
+      return acc;
+    }, {});
+  }, [tasks]);
+
+  // Active tasks passing the current filters, column by column in display order
+  const visibleTasks = useMemo(() => statuses.flatMap(status => groupedTasks[status] || []), [statuses, groupedTasks]);
+
+  // --- Board Selection ---
+  // Selected cards that are still shown (filters may have hidden some since)
+  const selectedVisibleIds = useMemo(() => visibleTasks.filter(task => selectedTaskIds.has(task.id)).map(task => task.id), [visibleTasks, selectedTaskIds]);
+
+  // Shift-click applies the same choice to every card between the last clicked one and this one, in board order
+  const handleToggleTaskSelection = useCallback((e, taskId) => {
+    const anchorIndex = visibleTasks.findIndex(task => task.id === lastSelectedTaskIdRef.current);
+    const index = visibleTasks.findIndex(task => task.id === taskId);
+    setSelectedTaskIds(prev => {
+      const next = new Set(prev);
+      const select = !prev.has(taskId);
+      const range = e.shiftKey && anchorIndex !== -1
+        ? visibleTasks.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+        : [visibleTasks[index]];
+      range.forEach(task => (select ? next.add(task.id) : next.delete(task.id)));
+      return next;
+    });
+    lastSelectedTaskIdRef.current = taskId;
+  }, [visibleTasks]);
+
+  // Select every card in a column, or clear them if they all are already
+  const handleToggleColumnSelection = useCallback((status) => {
+    const columnIds = (groupedTasks[status] || []).map(task => task.id);
+    setSelectedTaskIds(prev => {
+      const next = new Set(prev);
+      const allSelected = columnIds.every(id => prev.has(id));
+      columnIds.forEach(id => (allSelected ? next.delete(id) : next.add(id)));
+      return next;
+    });
+  }, [groupedTasks]);
+
+  const clearTaskSelection = useCallback(() => setSelectedTaskIds(new Set()), []);
+
+  // Export the board's visible tasks, column by column, honoring the current search, due-by and sort
+  const handleExportBoardCsv = useCallback((perSubtask) => {
+    downloadTasksCsv(visibleTasks, perSubtask, activeBoard.name, 'board');
+  }, [visibleTasks, activeBoard.name]);
+
+  // Move a task's (or one of its subtasks') due date, e.g. when dropped on a calendar day
+  const handleChangeDueDate = useCallback((taskId, subtaskId, dueDate) => {
+    setTasks(prevTasks => prevTasks.map(task => {
+      if (task.id !== taskId) return task;
+      if (!subtaskId) return task.dueDate === dueDate ? task : { ...task, dueDate };
+      return {
+        ...task,
+        subtasks: (task.subtasks || []).map(sub => (sub.id === subtaskId ? { ...sub, dueDate } : sub)),
+      };
+    }));
+  }, [setTasks]);
 
 
   if (isLoading) {
@@ -931,14 +5724,10 @@ export default function App() {
   }
 
   // Kanban Column Component
-  const KanbanColumn = ({ status, tasks, totalPoints, onStatusChange, onArchiveTasks }) => {
-    const statusClasses = {
-      'Opened': 'bg-blue-500',
-      'In Progress': 'bg-yellow-500',
-      'Completed': 'bg-green-500',
-    };
-    const headerColor = statusClasses[status] || 'bg-gray-500';
-    const isCompleted = status === 'Completed';
+  const KanbanColumn = ({ status, color, tasks, totalPoints, onStatusChange, onArchiveTasks }) => {
+    const headerColor = getColumnColor(color).header;
+    const isCompleted = status === doneStatus;
+    const allSelected = tasks.length > 0 && tasks.every(task => selectedTaskIds.has(task.id));
 
     // Drag and Drop Handlers
     const handleDragOver = (e) => {
@@ -970,7 +5759,18 @@ export default function App() {
       >
         {/* Column Header */}
         <div className={`p-4 ${headerColor} text-white font-bold text-lg flex justify-between items-center`}>
-          <span>{status} ({tasks.length})</span>
+          <span className="flex items-center">
+            <input
+              type="checkbox"
+              checked={allSelected}
+              onChange={() => handleToggleColumnSelection(status)}
+              disabled={tasks.length === 0}
+              className="mr-2 h-4 w-4"
+              aria-label={`Select all tasks in ${status}`}
+              title="Select all tasks in this column"
+            />
+            {status} ({tasks.length})
+          </span>
           <span className="text-sm px-2 py-1 rounded-full bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-200 font-extrabold">{totalPoints} Pts</span>
         </div>
         
@@ -980,10 +5780,11 @@ export default function App() {
             <button
               onClick={onArchiveTasks}
               className="w-full bg-green-700 hover:bg-green-800 text-white text-sm font-semibold py-2 px-3 rounded-lg transition duration-150 ease-in-out shadow-md flex items-center justify-center"
+              title={activeBoard.autoArchiveDays ? `Tasks are archived automatically ${activeBoard.autoArchiveDays} days after completion` : 'Archive completed tasks or set up automatic archiving'}
             >
               {/* Inline SVG for Archive Icon */}
               <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 6h-2m2 0h-2"></path></svg>
-              Archive This Week's ({tasks.filter(t => t.completedDate && Number(t.completedDate) >= Date.now() - (7 * 24 * 60 * 60 * 1000)).length})
+              Archive Completed...
             </button>
           </div>
         )}
@@ -995,6 +5796,14 @@ export default function App() {
               <TaskCard 
                 key={task.id} 
                 task={task} 
+                statuses={statuses}
+                color={color}
+                openBlockers={openBlockersByTask.get(task.id)}
+                labelColors={labelColors}
+                dueSoonDays={reminderSettings.dueSoonDays}
+                today={today}
+                isSelected={selectedTaskIds.has(task.id)}
+                onToggleSelect={handleToggleTaskSelection}
                 onStatusChange={onStatusChange} 
                 onDeleteTask={handleDeleteTask}
                 onToggleSubtask={handleToggleSubtask}
@@ -1033,27 +5842,91 @@ export default function App() {
 
       {/* Archive Feedback Message (New) */}
       {archiveMessage && (
-        <div className={`fixed top-4 right-4 p-4 rounded-xl shadow-2xl z-50 transition duration-300 transform ${archiveMessage.includes('Successfully') ? 'bg-green-500' : 'bg-red-500'} text-white font-semibold`}>
-          {archiveMessage}
+        <div className={`fixed top-4 right-4 p-4 rounded-xl shadow-2xl z-50 transition duration-300 transform ${toastKind === 'error' ? 'bg-red-500' : 'bg-green-500'} text-white font-semibold flex items-center space-x-4`}>
+          <span>{archiveMessage}</span>
+          {toastCanUndo && (
+            <button
+              onClick={handleToastUndo}
+              className="px-3 py-1 rounded-lg bg-white bg-opacity-20 hover:bg-opacity-30 text-white text-sm font-bold underline transition"
+              title="Undo (Ctrl+Z)"
+            >
+              Undo
+            </button>
+          )}
         </div>
       )}
 
       {/* Header and Controls */}
       <header className="mb-8 p-4 bg-white dark:bg-gray-900 rounded-xl shadow-lg border-b border-gray-200 dark:border-gray-800 flex flex-col space-y-4 md:space-y-0 md:flex-row justify-between items-center">
-        <h1 className="text-3xl font-extrabold text-gray-900 dark:text-gray-100">
-          Project Task Board
-        </h1>
+        <div className="flex flex-col sm:flex-row items-center space-y-2 sm:space-y-0 sm:space-x-4">
+          <h1 className="text-3xl font-extrabold text-gray-900 dark:text-gray-100">
+            Project Task Board
+          </h1>
+
+          {/* Board Switcher */}
+          <div className="flex items-center space-x-2 text-sm">
+            <select
+              value={activeBoard.id}
+              onChange={(e) => handleSelectBoard(e.target.value)}
+              className="rounded-lg border-gray-300 dark:border-gray-600 shadow-sm py-2 px-3 focus:ring-blue-500 focus:border-blue-500 font-semibold bg-gray-100 dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+              aria-label="Current board"
+            >
+              {boards.map(board => (
+                <option key={board.id} value={board.id}>{board.name}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => setIsBoardsModalOpen(true)}
+              className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition"
+              title="Create, rename, duplicate or delete boards"
+            >
+              Boards
+            </button>
+          </div>
+
+          {/* Overdue Counter */}
+          {overdueItemCount > 0 && (
+            <button
+              onClick={() => setBoardFilter('searchQuery', 'is:overdue')}
+              className="px-3 py-1 rounded-full text-sm font-bold bg-red-600 hover:bg-red-700 text-white shadow-md transition whitespace-nowrap"
+              title="Overdue tasks and subtasks on this board. Click to show the overdue tasks."
+            >
+              {overdueItemCount} overdue
+            </button>
+          )}
+        </div>
         
         <div className="flex flex-col sm:flex-row items-center space-y-3 sm:space-y-0 sm:space-x-4 w-full md:w-auto">
           {/* Main Board Filtering and Sorting */}
           <div className="flex flex-col space-y-2 md:space-y-0 md:flex-row md:items-center md:space-x-4 p-2 bg-gray-100 dark:bg-gray-800 rounded-lg w-full md:w-auto">
+            {/* Saved Views */}
+            <div className="flex items-center space-x-2 text-sm">
+              <select
+                value={activePresetId}
+                onChange={(e) => handleApplyPreset(e.target.value)}
+                aria-label="Saved views"
+                className="rounded-lg border-gray-300 dark:border-gray-600 shadow-sm py-2 px-3 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+              >
+                <option value="" disabled>{filterPresets.length > 0 ? 'Saved views...' : 'No saved views'}</option>
+                {filterPresets.map(preset => <option key={preset.id} value={preset.id}>{preset.name}</option>)}
+              </select>
+              <button
+                onClick={() => setIsSavedViewsOpen(true)}
+                className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition whitespace-nowrap"
+                title="Save the current filters and sort, or manage saved views"
+              >
+                Save View
+              </button>
+            </div>
+
             {/* Search Filter */}
-            <input
-              type="text"
-              placeholder="Search title/desc..."
+            <QueryInput
               value={mainSearchQuery}
-              onChange={(e) => setMainSearchQuery(e.target.value)}
-              className="rounded-lg border-gray-300 dark:border-gray-600 shadow-sm py-2 px-3 focus:ring-blue-500 focus:border-blue-500 text-sm w-full md:w-40 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+              onChange={setMainSearchQuery}
+              query={boardQuery}
+              context={queryContext}
+              placeholder="Search or filter..."
+              className="w-full md:w-56"
             />
 
             {/* Due By Date Filter */}
@@ -1075,9 +5948,79 @@ export default function App() {
                 onChange={(e) => setMainBoardSortBy(e.target.value)}
                 className="rounded-lg border-gray-300 dark:border-gray-600 shadow-sm py-2 px-3 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
               >
-                <option value="dueDate">Due Date</option>
-                <option value="eta">Point Cost</option>
+                {TASK_SORT_OPTIONS.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Sprint Filter */}
+            <div className="flex items-center space-x-2 text-sm">
+              <label className="text-gray-700 dark:text-gray-300 font-medium whitespace-nowrap">Sprint:</label>
+              <select
+                value={sprintFilter}
+                onChange={(e) => setSprintFilter(e.target.value)}
+                className="rounded-lg border-gray-300 dark:border-gray-600 shadow-sm py-2 px-3 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+              >
+                <option value="">All</option>
+                <option value={BACKLOG_FILTER}>Backlog</option>
+                {sprints.map(sprint => (
+                  <option key={sprint.id} value={sprint.id}>{sprint.name}{sprint.closedAt ? ' (closed)' : ''}</option>
+                ))}
               </select>
+              <button
+                onClick={() => setIsSprintsOpen(true)}
+                className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition"
+                title="Plan, close and manage sprints"
+              >
+                Sprints
+              </button>
+            </div>
+
+            {/* Label Filter */}
+            <div className="flex items-center space-x-2 text-sm">
+              <details className="relative">
+                <summary className="list-none cursor-pointer rounded-lg border border-gray-300 dark:border-gray-600 py-2 px-3 bg-white dark:bg-gray-900 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 whitespace-nowrap">
+                  Labels{labelFilter.length > 0 ? ` (${labelFilter.length})` : ''}
+                </summary>
+                <div className="absolute z-20 mt-1 w-56 p-3 rounded-lg shadow-xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 space-y-2">
+                  {boardLabels.length === 0 ? (
+                    <p className="text-gray-500 dark:text-gray-400 italic">No labels yet.</p>
+                  ) : (
+                    <>
+                      <div className="flex rounded-lg overflow-hidden border border-gray-300 dark:border-gray-600 text-xs">
+                        {[['any', 'Any selected'], ['all', 'All selected']].map(([mode, label]) => (
+                          <button
+                            key={mode}
+                            onClick={() => setLabelMode(mode)}
+                            className={`flex-1 py-1 transition ${labelMode === mode ? 'bg-blue-600 text-white' : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                      <div className="max-h-48 overflow-y-auto custom-scrollbar space-y-1">
+                        {boardLabels.map(label => (
+                          <label key={label.name} className="flex items-center space-x-2 cursor-pointer">
+                            <input type="checkbox" checked={labelFilter.includes(label.name)} onChange={() => handleToggleLabelFilter(label.name)} />
+                            <LabelChip name={label.name} color={label.color} />
+                          </label>
+                        ))}
+                      </div>
+                      {labelFilter.length > 0 && (
+                        <button onClick={() => setLabelFilter([])} className="text-xs text-blue-600 dark:text-blue-400 hover:underline">Clear label filter</button>
+                      )}
+                    </>
+                  )}
+                </div>
+              </details>
+              <button
+                onClick={() => setIsLabelsOpen(true)}
+                className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition"
+                title="Rename, recolor, merge and delete labels"
+              >
+                Manage Labels
+              </button>
             </div>
           </div>
           
@@ -1094,6 +6037,81 @@ export default function App() {
               Create
             </button>
             
+            {/* Export / Import Buttons */}
+            <button
+              onClick={handleExportJson}
+              className="flex items-center justify-center px-4 py-2 border border-transparent rounded-lg shadow-md text-sm font-medium text-white bg-teal-600 hover:bg-teal-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500 transition duration-150 ease-in-out flex-1"
+              title="Download all boards and tasks as a JSON backup"
+            >
+              {/* Inline SVG for Download Icon */}
+              <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"></path></svg>
+              Export
+            </button>
+            <button
+              onClick={() => importInputRef.current?.click()}
+              className="flex items-center justify-center px-4 py-2 border border-transparent rounded-lg shadow-md text-sm font-medium text-white bg-teal-600 hover:bg-teal-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500 transition duration-150 ease-in-out flex-1"
+              title="Restore or merge boards from a JSON backup"
+            >
+              {/* Inline SVG for Upload Icon */}
+              <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12"></path></svg>
+              Import
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImportFileChange}
+              className="hidden"
+            />
+
+            {/* CSV Export of the filtered, sorted board */}
+            <CsvExportButton
+              onExport={handleExportBoardCsv}
+              className="w-full flex items-center justify-center px-4 py-2 border border-transparent rounded-lg shadow-md text-sm font-medium text-white bg-teal-600 hover:bg-teal-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500 transition duration-150 ease-in-out"
+            />
+
+            {/* Reports Button */}
+            <button
+              onClick={() => setIsReportsOpen(true)}
+              className="flex items-center justify-center px-4 py-2 border border-transparent rounded-lg shadow-md text-sm font-medium text-white bg-indigo-500 hover:bg-indigo-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-400 transition duration-150 ease-in-out flex-1"
+              title="Burndown, throughput, cycle time and estimate accuracy"
+            >
+              {/* Inline SVG for Chart Icon */}
+              <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"></path></svg>
+              Reports
+            </button>
+
+            {/* Cloud Sync Button */}
+            <button
+              onClick={() => setIsCloudSyncOpen(true)}
+              className="flex items-center justify-center px-4 py-2 border border-transparent rounded-lg shadow-md text-sm font-medium text-white bg-indigo-500 hover:bg-indigo-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-400 transition duration-150 ease-in-out flex-1"
+              title={`Cloud sync: ${(SYNC_STATUS_DISPLAY[syncStatus.state] || SYNC_STATUS_DISPLAY.disconnected).label}`}
+            >
+              <span className={`w-2 h-2 mr-2 rounded-full ${(SYNC_STATUS_DISPLAY[syncStatus.state] || SYNC_STATUS_DISPLAY.disconnected).className}`}></span>
+              Sync
+            </button>
+
+            {/* Reminder Settings Button */}
+            <button
+              onClick={() => setIsReminderSettingsOpen(true)}
+              className="flex items-center justify-center px-4 py-2 border border-transparent rounded-lg shadow-md text-sm font-medium text-white bg-indigo-500 hover:bg-indigo-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-400 transition duration-150 ease-in-out flex-1"
+              title="Due-soon highlighting and browser reminders"
+            >
+              {/* Inline SVG for Bell Icon */}
+              <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"></path></svg>
+              Reminders
+            </button>
+
+            {/* Column Settings Button */}
+            <button
+              onClick={() => setIsColumnSettingsOpen(true)}
+              className="flex items-center justify-center px-4 py-2 border border-transparent rounded-lg shadow-md text-sm font-medium text-white bg-indigo-500 hover:bg-indigo-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-400 transition duration-150 ease-in-out flex-1"
+            >
+              {/* Inline SVG for Columns Icon */}
+              <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 17V7m0 10a2 2 0 01-2 2H5a2 2 0 01-2-2V7a2 2 0 012-2h2a2 2 0 012 2m0 10a2 2 0 002 2h2a2 2 0 002-2M9 7a2 2 0 012-2h2a2 2 0 012 2m0 10V7m0 10a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2h-2a2 2 0 00-2 2"></path></svg>
+              Columns
+            </button>
+
             {/* Show Archived Tasks Button */}
             <button
               onClick={() => setIsArchivedModalOpen(true)}
@@ -1103,12 +6121,45 @@ export default function App() {
               <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M20 7v10a2 2 0 01-2 2H6a2 2 0 01-2-2V7m16 0H4m16 0V5a2 2 0 00-2-2H6a2 2 0 00-2 2v2"></path></svg>
               Archive ({archivedTasks.length})
             </button>
+
+            {/* Trash Button */}
+            <button
+              onClick={() => setIsTrashOpen(true)}
+              className="flex items-center justify-center px-4 py-2 border border-transparent rounded-lg shadow-md text-sm font-medium text-white bg-gray-500 hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400 transition duration-150 ease-in-out flex-1"
+            >
+              {/* Inline SVG for Trash Icon */}
+              <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>
+              Trash ({trash.length})
+            </button>
           </div>
         </div>
 
       </header>
 
       <main className="container mx-auto">
+        {/* Storage Error Banner (stays until a save succeeds) */}
+        {storageError && (
+          <div className="mb-6 p-4 rounded-xl shadow-lg bg-red-50 dark:bg-red-900 border border-red-300 dark:border-red-700 flex flex-col sm:flex-row justify-between sm:items-center gap-3 text-left" role="alert">
+            <p className="text-sm font-semibold text-red-800 dark:text-red-200">{storageError}</p>
+            {canSaveRef.current && (
+              <button
+                onClick={handleRetrySave}
+                className="px-3 py-1 text-sm rounded-lg bg-red-600 hover:bg-red-700 text-white transition whitespace-nowrap"
+              >
+                Retry Save
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Notice shown when saved data needed repairs on load */}
+        {dataRepairReport && (
+          <DataRepairNotice
+            report={dataRepairReport}
+            onDismiss={() => setDataRepairReport(null)}
+          />
+        )}
+
         {/* Task Creation/Edit Form Modal */}
         <Modal 
           isOpen={isNewTaskModalOpen} 
@@ -1119,6 +6170,16 @@ export default function App() {
         >
           <TaskForm 
             initialTask={taskToEdit}
+            currentTask={taskToEdit ? tasks.find(task => task.id === taskToEdit.id) || null : undefined}
+            defaultStatus={statuses[0]}
+            sprints={sprints.filter(sprint => !sprint.closedAt || sprint.id === taskToEdit?.sprintId)}
+            defaultSprintId={sprints.some(sprint => sprint.id === sprintFilter && !sprint.closedAt) ? sprintFilter : null}
+            allTasks={tasks}
+            boardLabels={boardLabels}
+            templates={templates}
+            onCreateLabel={handleCreateLabel}
+            onSaveTemplate={handleSaveTemplate}
+            onDeleteTemplate={handleDeleteTemplate}
             onTaskSave={handleTaskSave}
             onTaskCreated={handleCloseTaskModal} 
           />
@@ -1129,26 +6190,293 @@ export default function App() {
           isOpen={isArchivedModalOpen}
           onClose={() => setIsArchivedModalOpen(false)}
           archivedTasks={archivedTasks} 
+          boardName={activeBoard.name}
+          statuses={statuses}
+          labelColors={labelColors}
+          queryContext={queryContext}
           onDeleteTask={handleDeleteTask}
+          onUnarchiveTask={handleUnarchiveTask}
           isDarkMode={isDarkMode}
         />
 
-        {/* Kanban Board */}
-        <div className="pb-4">
-          {/* Note: flex-col on mobile, md:flex-row on desktop to remove horizontal scroll */}
-          <div className="flex flex-col md:flex-row gap-6 p-2 justify-between">
-            {ACTIVE_STATUSES.map(status => (
-              <KanbanColumn
-                key={status}
-                status={status}
-                tasks={groupedTasks[status] || []}
-                totalPoints={pointSummary[status] || 0}
-                onStatusChange={handleTaskStatusChange}
-                onArchiveTasks={handleArchiveCompletedTasks}
-              />
+        {/* Trash Modal */}
+        <TrashModal
+          isOpen={isTrashOpen}
+          onClose={() => setIsTrashOpen(false)}
+          trash={trash}
+          taskIds={new Set(tasks.map(task => task.id))}
+          retentionDays={sanitizeTrashRetentionDays(activeBoard.trashRetentionDays)}
+          onRestore={handleRestoreTrashEntry}
+          onPurge={handlePurgeTrashEntry}
+          onEmpty={handleEmptyTrash}
+          onSetRetentionDays={handleSetTrashRetentionDays}
+          isDarkMode={isDarkMode}
+        />
+
+        {/* Archive Rules Modal */}
+        <ArchiveRulesModal
+          isOpen={isArchiveRulesOpen}
+          onClose={() => setIsArchiveRulesOpen(false)}
+          doneStatus={doneStatus}
+          completedTasks={tasks.filter(task => task.status === doneStatus && task.completedDate)}
+          autoArchiveDays={activeBoard.autoArchiveDays ?? null}
+          onArchiveBefore={handleArchiveCompletedTasks}
+          onSetAutoArchiveDays={handleSetAutoArchiveDays}
+          isDarkMode={isDarkMode}
+        />
+
+        {/* Boards Modal */}
+        <BoardsModal
+          isOpen={isBoardsModalOpen}
+          onClose={() => setIsBoardsModalOpen(false)}
+          boards={boards}
+          activeBoardId={activeBoard.id}
+          onSelectBoard={handleSelectBoard}
+          onCreateBoard={handleCreateBoard}
+          onRenameBoard={handleRenameBoard}
+          onDuplicateBoard={handleDuplicateBoard}
+          onDeleteBoard={handleDeleteBoard}
+          isDarkMode={isDarkMode}
+        />
+
+        {/* Import Review Modal */}
+        <ImportModal
+          pendingImport={pendingImport}
+          onClose={() => setPendingImport(null)}
+          onConfirm={handleConfirmImport}
+          isDarkMode={isDarkMode}
+        />
+
+        {/* Sprints Modal */}
+        <SprintsModal
+          isOpen={isSprintsOpen}
+          onClose={() => setIsSprintsOpen(false)}
+          sprints={sprints}
+          sprintStats={sprintStats}
+          onCreateSprint={handleCreateSprint}
+          onUpdateSprint={handleUpdateSprint}
+          onCloseSprint={handleCloseSprint}
+          onDeleteSprint={handleDeleteSprint}
+          isDarkMode={isDarkMode}
+        />
+
+        {/* Labels Modal */}
+        <LabelsModal
+          isOpen={isLabelsOpen}
+          onClose={() => setIsLabelsOpen(false)}
+          labels={boardLabels}
+          labelCounts={labelCounts}
+          onCreateLabel={handleCreateLabel}
+          onUpdateLabelColor={handleUpdateLabelColor}
+          onRenameLabel={handleRenameLabel}
+          onMergeLabel={handleMergeLabel}
+          onDeleteLabel={handleDeleteLabel}
+          isDarkMode={isDarkMode}
+        />
+
+        {/* Saved Views Modal */}
+        <SavedViewsModal
+          isOpen={isSavedViewsOpen}
+          onClose={() => setIsSavedViewsOpen(false)}
+          presets={filterPresets}
+          sprints={sprints}
+          activePresetId={activePresetId}
+          onSavePreset={handleSavePreset}
+          onApplyPreset={handleApplyPreset}
+          onUpdatePreset={handleUpdatePreset}
+          onDeletePreset={handleDeletePreset}
+          isDarkMode={isDarkMode}
+        />
+
+        {/* Blocked Move Warning */}
+        <Modal
+          isOpen={!!pendingBlockedMove}
+          onClose={() => setPendingBlockedMove(null)}
+          title="Task Is Still Blocked"
+          isDarkMode={isDarkMode}
+        >
+          {pendingBlockedMove && (
+            <div className="space-y-4 text-left">
+              <p className="text-sm text-gray-700 dark:text-gray-300">
+                "{pendingBlockedMove.task.title}" is waiting on {pendingBlockedMove.blockers.length === 1 ? 'a task that is' : 'tasks that are'} not finished yet:
+              </p>
+              <ul className="list-disc list-inside text-sm text-orange-800 dark:text-orange-200 space-y-1">
+                {pendingBlockedMove.blockers.map(blocker => (
+                  <li key={blocker.id}>{blocker.title} ({blocker.status})</li>
+                ))}
+              </ul>
+              <p className="text-sm text-gray-700 dark:text-gray-300">Move it to "{pendingBlockedMove.newStatus}" anyway?</p>
+              <div className="flex justify-end space-x-2">
+                <button
+                  onClick={() => setPendingBlockedMove(null)}
+                  className="px-4 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleConfirmBlockedMove}
+                  className="px-4 py-2 text-sm rounded-lg bg-orange-600 hover:bg-orange-700 text-white font-semibold transition"
+                >
+                  Move Anyway
+                </button>
+              </div>
+            </div>
+          )}
+        </Modal>
+
+        {/* Reports Modal */}
+        <ReportsModal
+          isOpen={isReportsOpen}
+          onClose={() => setIsReportsOpen(false)}
+          tasks={tasks}
+          boardName={activeBoard.name}
+          isDarkMode={isDarkMode}
+        />
+
+        {/* Cloud Sync Modal */}
+        <CloudSyncModal
+          isOpen={isCloudSyncOpen}
+          onClose={() => setIsCloudSyncOpen(false)}
+          settings={syncSettings}
+          status={syncStatus}
+          onConnect={handleConnectSync}
+          onDisconnect={handleDisconnectSync}
+          isDarkMode={isDarkMode}
+        />
+
+        {/* Reminder Settings Modal */}
+        <ReminderSettingsModal
+          isOpen={isReminderSettingsOpen}
+          onClose={() => setIsReminderSettingsOpen(false)}
+          settings={reminderSettings}
+          onSave={setReminderSettings}
+          isDarkMode={isDarkMode}
+        />
+
+        {/* Column Settings Modal */}
+        <ColumnSettingsModal
+          isOpen={isColumnSettingsOpen}
+          onClose={() => setIsColumnSettingsOpen(false)}
+          columns={columns}
+          taskCounts={columnTaskCounts}
+          onAddColumn={handleAddColumn}
+          onUpdateColumn={handleUpdateColumn}
+          onMoveColumn={handleMoveColumn}
+          onDeleteColumn={handleDeleteColumn}
+          isDarkMode={isDarkMode}
+        />
+
+        {/* View Switcher */}
+        <div className="mb-4 flex justify-end">
+          <div className="flex rounded-lg overflow-hidden border border-gray-300 dark:border-gray-600 text-sm shadow-sm">
+            {BOARD_VIEWS.map(view => (
+              <button
+                key={view.id}
+                onClick={() => setBoardView(view.id)}
+                className={`px-4 py-2 transition ${boardView === view.id ? 'bg-blue-600 text-white' : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+              >
+                {view.label}
+              </button>
             ))}
           </div>
         </div>
+
+        {/* Sprint Capacity Overview */}
+        {visibleSprints.length > 0 && (
+          <div className="mb-6 grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-3">
+            {visibleSprints.map(sprint => {
+              const stats = sprintStats[sprint.id] || { committed: 0, completed: 0 };
+              const isOver = stats.committed > sprint.capacity;
+              return (
+                <div key={sprint.id} className={`p-3 rounded-xl shadow bg-white dark:bg-gray-900 border ${isOver ? 'border-red-400 dark:border-red-600' : 'border-gray-200 dark:border-gray-800'}`}>
+                  <div className="flex justify-between items-center mb-2 text-sm">
+                    <button onClick={() => setSprintFilter(sprint.id)} className="font-bold text-gray-900 dark:text-gray-100 hover:underline" title="Show only this sprint">
+                      {sprint.name}
+                    </button>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                      {formatDate(sprint.startDate)} &ndash; {formatDate(sprint.endDate)} &middot; {getSprintState(sprint)}
+                    </span>
+                  </div>
+                  {isOver && (
+                    <p className="text-xs font-semibold text-red-600 dark:text-red-400 mb-1" role="alert">Over capacity: move some tasks to a later sprint or raise the capacity.</p>
+                  )}
+                  <SprintCapacityBar committed={stats.committed} completed={stats.completed} capacity={sprint.capacity} />
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Calendar View */}
+        {boardView === 'calendar' && (
+          <CalendarView
+            tasks={visibleTasks}
+            columns={columns}
+            onChangeDueDate={handleChangeDueDate}
+            onEditTask={handleEditTask}
+          />
+        )}
+
+        {boardView === 'table' && (
+          <TableView
+            tasks={visibleTasks}
+            statuses={statuses}
+            labelColors={labelColors}
+            boardLabels={boardLabels}
+            onUpdateTask={handleUpdateTask}
+            onStatusChange={handleRequestStatusChange}
+            onBulkStatusChange={handleBulkStatusChange}
+            onBulkArchive={handleBulkArchive}
+            onBulkDelete={handleBulkDelete}
+            onBulkShiftDueDates={handleBulkShiftDueDates}
+            onBulkChangeLabel={handleBulkChangeLabel}
+            onEditTask={handleEditTask}
+          />
+        )}
+
+        {boardView === 'timeline' && (
+          <TimelineView
+            tasks={visibleTasks}
+            columns={columns}
+            onEditTask={handleEditTask}
+          />
+        )}
+
+        {/* Kanban Board */}
+        {boardView === 'board' && (
+          <div className="pb-4">
+            {/* Bulk Actions for the selected cards */}
+            {selectedVisibleIds.length > 0 && (
+              <div className="flex flex-wrap items-center gap-3 mb-4 p-3 text-sm bg-white dark:bg-gray-900 rounded-xl shadow-lg">
+                <BulkActionBar
+                  count={selectedVisibleIds.length}
+                  statuses={statuses}
+                  boardLabels={boardLabels}
+                  onMove={(status) => { handleBulkStatusChange(selectedVisibleIds, status); clearTaskSelection(); }}
+                  onArchive={() => { handleBulkArchive(selectedVisibleIds); clearTaskSelection(); }}
+                  onDelete={() => { handleBulkDelete(selectedVisibleIds); clearTaskSelection(); }}
+                  onShiftDueDates={(days) => handleBulkShiftDueDates(selectedVisibleIds, days)}
+                  onChangeLabel={(name, add) => handleBulkChangeLabel(selectedVisibleIds, name, add)}
+                  onClear={clearTaskSelection}
+                />
+              </div>
+            )}
+            {/* Note: flex-col on mobile, md:flex-row on desktop; scrolls horizontally only when there are more columns than fit */}
+            <div className="flex flex-col md:flex-row gap-6 p-2 justify-between md:overflow-x-auto custom-scrollbar">
+              {columns.map(column => (
+                <KanbanColumn
+                  key={column.id}
+                  status={column.name}
+                  color={column.color}
+                  tasks={groupedTasks[column.name] || []}
+                  totalPoints={pointSummary[column.name] || 0}
+                  onStatusChange={handleRequestStatusChange}
+                  onArchiveTasks={() => setIsArchiveRulesOpen(true)}
+                />
+              ))}
+            </div>
+          </div>
+        )}
       </main>
     </div>
   );
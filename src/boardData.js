@@ -0,0 +1,314 @@
+// --- Board Data ---
+// The shape of boards and tasks as they are stored, exported and synced. Defaults for new
+// boards live here, with the sanitizers and validators that data coming from storage, an
+// import file, another tab or the cloud goes through before the app uses it.
+
+// Name of the board that pre-board data is migrated into
+export const DEFAULT_BOARD_NAME = 'Default';
+
+// Main board filter/sort state, saved per board
+export const DEFAULT_FILTERS = { searchQuery: '', dueByDate: '', sortBy: 'dueDate', sprintId: '', labels: [], labelMode: 'any', view: 'board' };
+
+// Status reserved for archived tasks, never usable as a column name
+export const ARCHIVED_STATUS = 'Archived';
+
+// Default Kanban board columns, used until the user defines their own.
+// A task's `status` holds the name of the column it sits in, and the last
+// column is treated as the "done" column (sets completedDate, enables archiving).
+const DEFAULT_COLUMNS = [
+  { id: 'opened', name: 'Opened', color: 'blue' },
+  { id: 'in-progress', name: 'In Progress', color: 'yellow' },
+  { id: 'completed', name: 'Completed', color: 'green' },
+];
+
+// Tailwind class sets for each selectable column color (kept as full literals so Tailwind picks them up)
+export const COLUMN_COLORS = {
+  blue: {
+    label: 'Blue',
+    header: 'bg-blue-500',
+    card: 'bg-blue-100 dark:bg-blue-900 border-blue-400 dark:border-blue-700 text-blue-800 dark:text-blue-200',
+  },
+  yellow: {
+    label: 'Yellow',
+    header: 'bg-yellow-500',
+    card: 'bg-yellow-100 dark:bg-yellow-900 border-yellow-400 dark:border-yellow-700 text-yellow-800 dark:text-yellow-200',
+  },
+  green: {
+    label: 'Green',
+    header: 'bg-green-500',
+    card: 'bg-green-100 dark:bg-green-900 border-green-400 dark:border-green-700 text-green-800 dark:text-green-200',
+  },
+  red: {
+    label: 'Red',
+    header: 'bg-red-500',
+    card: 'bg-red-100 dark:bg-red-900 border-red-400 dark:border-red-700 text-red-800 dark:text-red-200',
+  },
+  purple: {
+    label: 'Purple',
+    header: 'bg-purple-500',
+    card: 'bg-purple-100 dark:bg-purple-900 border-purple-400 dark:border-purple-700 text-purple-800 dark:text-purple-200',
+  },
+  pink: {
+    label: 'Pink',
+    header: 'bg-pink-500',
+    card: 'bg-pink-100 dark:bg-pink-900 border-pink-400 dark:border-pink-700 text-pink-800 dark:text-pink-200',
+  },
+  indigo: {
+    label: 'Indigo',
+    header: 'bg-indigo-500',
+    card: 'bg-indigo-100 dark:bg-indigo-900 border-indigo-400 dark:border-indigo-700 text-indigo-800 dark:text-indigo-200',
+  },
+  teal: {
+    label: 'Teal',
+    header: 'bg-teal-500',
+    card: 'bg-teal-100 dark:bg-teal-900 border-teal-400 dark:border-teal-700 text-teal-800 dark:text-teal-200',
+  },
+  orange: {
+    label: 'Orange',
+    header: 'bg-orange-500',
+    card: 'bg-orange-100 dark:bg-orange-900 border-orange-400 dark:border-orange-700 text-orange-800 dark:text-orange-200',
+  },
+  gray: {
+    label: 'Gray',
+    header: 'bg-gray-500',
+    card: 'bg-gray-100 dark:bg-gray-800 border-gray-400 dark:border-gray-600 text-gray-800 dark:text-gray-200',
+  },
+};
+
+// Utility to generate a unique ID
+export const generateId = () => crypto.randomUUID();
+
+// Validate stored column definitions, falling back to the defaults if anything looks wrong
+export const sanitizeColumns = (columns) => {
+  if (!Array.isArray(columns) || columns.length === 0) return DEFAULT_COLUMNS;
+  const seenNames = new Set();
+  const valid = columns.filter(col => {
+    if (!col || typeof col.name !== 'string' || !col.name.trim()) return false;
+    if (col.name === ARCHIVED_STATUS || seenNames.has(col.name)) return false;
+    seenNames.add(col.name);
+    return true;
+  });
+  if (valid.length === 0) return DEFAULT_COLUMNS;
+  return valid.map(col => ({
+    id: col.id || generateId(),
+    name: col.name,
+    color: COLUMN_COLORS[col.color] ? col.color : 'gray',
+  }));
+};
+
+// Create a new, empty board with the default columns
+export const createBoard = (name, overrides = {}) => ({
+  id: generateId(),
+  name,
+  columns: DEFAULT_COLUMNS,
+  tasks: [],
+  sprints: [],
+  labels: [],
+  filterPresets: [],
+  templates: [],
+  autoArchiveDays: null,
+  trash: [],
+  trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
+  filters: DEFAULT_FILTERS,
+  ...overrides,
+});
+
+// --- Sprints ---
+// Keep only well-formed sprint records
+export const sanitizeSprints = (sprints) => {
+  if (!Array.isArray(sprints)) return [];
+  return sprints.filter(sprint => (
+    sprint && typeof sprint === 'object' &&
+    typeof sprint.id === 'string' && sprint.id &&
+    typeof sprint.name === 'string' && sprint.name.trim() &&
+    typeof sprint.startDate === 'number' && typeof sprint.endDate === 'number' &&
+    typeof sprint.capacity === 'number' && sprint.capacity >= 0
+  ));
+};
+
+// --- Priorities ---
+// From most to least pressing. Tasks saved before priorities existed count as Medium.
+export const PRIORITIES = [
+  { id: 'urgent', label: 'Urgent', badge: 'bg-red-600 text-white' },
+  { id: 'high', label: 'High', badge: 'bg-orange-500 text-white' },
+  { id: 'medium', label: 'Medium', badge: 'bg-blue-500 text-white' },
+  { id: 'low', label: 'Low', badge: 'bg-gray-400 text-white dark:bg-gray-600' },
+];
+
+export const DEFAULT_PRIORITY = 'medium';
+
+// --- Labels ---
+// Label colors are COLUMN_COLORS keys
+export const DEFAULT_LABEL_COLOR = 'gray';
+
+// Keep only well-formed label definitions, one per name
+export const sanitizeLabels = (labels) => {
+  if (!Array.isArray(labels)) return [];
+  const names = new Set();
+  return labels
+    .filter(label => {
+      if (!label || typeof label !== 'object' || typeof label.name !== 'string' || !label.name.trim() || names.has(label.name)) return false;
+      names.add(label.name);
+      return true;
+    })
+    .map(label => ({ name: label.name, color: COLUMN_COLORS[label.color] ? label.color : DEFAULT_LABEL_COLOR }));
+};
+
+// --- Saved Views ---
+// Filters with every field present and of the right type
+export const sanitizeFilters = (filters) => {
+  const source = filters && typeof filters === 'object' ? filters : {};
+  const clean = { ...DEFAULT_FILTERS };
+  Object.keys(DEFAULT_FILTERS).forEach(key => {
+    if (key === 'labels') {
+      if (Array.isArray(source.labels)) clean.labels = source.labels.filter(label => typeof label === 'string');
+    } else if (typeof source[key] === 'string') {
+      clean[key] = source[key];
+    }
+  });
+  return clean;
+};
+
+// Keep only well-formed saved views
+export const sanitizeFilterPresets = (presets) => {
+  if (!Array.isArray(presets)) return [];
+  return presets
+    .filter(preset => preset && typeof preset === 'object' && typeof preset.id === 'string' && preset.id && typeof preset.name === 'string' && preset.name.trim())
+    .map(preset => ({ id: preset.id, name: preset.name, filters: sanitizeFilters(preset.filters) }));
+};
+
+// --- Task Templates ---
+// Keep only well-formed templates
+export const sanitizeTemplates = (templates) => {
+  if (!Array.isArray(templates)) return [];
+  return templates
+    .filter(template => template && typeof template === 'object' && typeof template.id === 'string' && template.id && typeof template.name === 'string' && template.name.trim())
+    .map(template => ({
+      id: template.id,
+      name: template.name,
+      description: typeof template.description === 'string' ? template.description : '',
+      eta: typeof template.eta === 'number' && template.eta >= 1 ? template.eta : 1,
+      labels: Array.isArray(template.labels) ? template.labels.filter(label => typeof label === 'string') : [],
+      subtasks: (Array.isArray(template.subtasks) ? template.subtasks : [])
+        .filter(sub => sub && typeof sub.title === 'string' && sub.title.trim())
+        .map(sub => ({
+          title: sub.title,
+          eta: typeof sub.eta === 'number' && sub.eta >= 0 ? sub.eta : 0,
+          dueOffset: Number.isInteger(sub.dueOffset) ? sub.dueOffset : null,
+        })),
+    }));
+};
+
+// --- Archive Rules ---
+// `autoArchiveDays` is null while automatic archiving is off
+export const MAX_AUTO_ARCHIVE_DAYS = 3650;
+
+export const sanitizeAutoArchiveDays = (days) => (
+  Number.isInteger(days) && days >= 1 && days <= MAX_AUTO_ARCHIVE_DAYS ? days : null
+);
+
+// --- Trash ---
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+export const MAX_TRASH_RETENTION_DAYS = 3650;
+
+export const sanitizeTrashRetentionDays = (days) => (
+  Number.isInteger(days) && days >= 1 && days <= MAX_TRASH_RETENTION_DAYS ? days : DEFAULT_TRASH_RETENTION_DAYS
+);
+
+// Keep only well-formed trash entries
+export const sanitizeTrash = (trash) => {
+  if (!Array.isArray(trash)) return [];
+  return trash.filter(entry => {
+    if (!entry || typeof entry !== 'object' || typeof entry.id !== 'string' || !entry.id || typeof entry.deletedAt !== 'number') return false;
+    if (entry.type === 'task') {
+      return validateTaskRecord(entry.task).length === 0 && Array.isArray(entry.blocking) && entry.blocking.every(id => typeof id === 'string');
+    }
+    return entry.type === 'subtask' && !!entry.subtask && typeof entry.subtask === 'object' &&
+      typeof entry.subtask.id === 'string' && typeof entry.subtask.title === 'string' &&
+      typeof entry.taskId === 'string' && typeof entry.taskTitle === 'string';
+  });
+};
+
+// --- Recurring Tasks ---
+export const RECURRENCE_FREQUENCIES = [
+  { id: 'daily', label: 'Daily' },
+  { id: 'weekly', label: 'Weekly' },
+  { id: 'monthly', label: 'Monthly' },
+  { id: 'interval', label: 'Every N days' },
+];
+
+export const MAX_RECURRENCE_INTERVAL = 365;
+
+// A well-formed rule, or null
+export const sanitizeRecurrence = (recurrence) => {
+  if (!recurrence || typeof recurrence !== 'object' || typeof recurrence.seriesId !== 'string' || !recurrence.seriesId) return null;
+  if (!RECURRENCE_FREQUENCIES.some(frequency => frequency.id === recurrence.frequency)) return null;
+  const interval = Number(recurrence.interval);
+  const monthDay = Number(recurrence.monthDay);
+  return {
+    seriesId: recurrence.seriesId,
+    frequency: recurrence.frequency,
+    interval: Number.isInteger(interval) && interval >= 1 && interval <= MAX_RECURRENCE_INTERVAL ? interval : 1,
+    weekdays: Array.isArray(recurrence.weekdays)
+      ? [...new Set(recurrence.weekdays.filter(day => Number.isInteger(day) && day >= 0 && day <= 6))].sort()
+      : [],
+    monthDay: Number.isInteger(monthDay) && monthDay >= 1 && monthDay <= 31 ? monthDay : 1,
+  };
+};
+
+// --- Task Records ---
+const isOptionalTimestamp = (value) => value === null || value === undefined || (typeof value === 'number' && Number.isFinite(value));
+
+// Returns a list of problems with a subtask record; empty when valid
+const validateSubtaskRecord = (subtask) => {
+  if (!subtask || typeof subtask !== 'object' || Array.isArray(subtask)) return ['is not an object'];
+  const problems = [];
+  if (typeof subtask.id !== 'string' || !subtask.id) problems.push('is missing an id');
+  if (typeof subtask.title !== 'string' || !subtask.title.trim()) problems.push('is missing a title');
+  if (typeof subtask.completed !== 'boolean') problems.push('has a non true/false "completed" value');
+  if (typeof subtask.eta !== 'number' || subtask.eta < 0) problems.push('has an invalid point ETA');
+  if (!isOptionalTimestamp(subtask.dueDate)) problems.push('has an invalid due date');
+  return problems;
+};
+
+// Returns a list of problems with a task record; empty when valid
+export const validateTaskRecord = (task) => {
+  if (!task || typeof task !== 'object' || Array.isArray(task)) return ['is not an object'];
+  const problems = [];
+  if (typeof task.id !== 'string' || !task.id) problems.push('is missing an id');
+  if (typeof task.title !== 'string' || !task.title.trim()) problems.push('is missing a title');
+  if (typeof task.description !== 'string') problems.push('has a non-text description');
+  if (typeof task.status !== 'string' || !task.status) problems.push('is missing a status');
+  if (typeof task.eta !== 'number' || task.eta < 0) problems.push('has an invalid point ETA');
+  if (!isOptionalTimestamp(task.dueDate)) problems.push('has an invalid due date');
+  if (!isOptionalTimestamp(task.completedDate)) problems.push('has an invalid completed date');
+  if (typeof task.createdAt !== 'number') problems.push('has an invalid created date');
+  if (!isOptionalTimestamp(task.updatedAt)) problems.push('has an invalid last-modified date');
+  if (task.sprintId !== undefined && task.sprintId !== null && typeof task.sprintId !== 'string') problems.push('has an invalid sprint');
+  if (!isOptionalTimestamp(task.startDate)) problems.push('has an invalid start date');
+  if (task.blockedBy !== undefined && (!Array.isArray(task.blockedBy) || task.blockedBy.some(id => typeof id !== 'string'))) {
+    problems.push('has an unreadable "blocked by" list');
+  }
+  if (task.priority !== undefined && task.priority !== null && !PRIORITIES.some(priority => priority.id === task.priority)) {
+    problems.push('has an unknown priority');
+  }
+  if (task.labels !== undefined && (!Array.isArray(task.labels) || task.labels.some(label => typeof label !== 'string'))) {
+    problems.push('has unreadable labels');
+  }
+  if (task.recurrence !== undefined && task.recurrence !== null && !sanitizeRecurrence(task.recurrence)) {
+    problems.push('has an unreadable repeat rule');
+  }
+  if (task.history !== undefined && (!Array.isArray(task.history) || task.history.some(entry => !entry || typeof entry.at !== 'number'))) {
+    problems.push('has an unreadable activity history');
+  }
+
+  if (task.subtasks !== undefined && !Array.isArray(task.subtasks)) {
+    problems.push('has subtasks that are not a list');
+  } else {
+    (task.subtasks || []).forEach((subtask, index) => {
+      validateSubtaskRecord(subtask).forEach(problem => problems.push(`subtask ${index + 1} ${problem}`));
+    });
+  }
+  return problems;
+};
@@ -0,0 +1,138 @@
+// --- Board Sync ---
+// Exchanging board changes with other tabs and devices: the changes between two versions of
+// the boards as board and task records, and merging such records back in.
+
+import {
+  createBoard,
+  sanitizeAutoArchiveDays,
+  sanitizeColumns,
+  sanitizeFilterPresets,
+  sanitizeLabels,
+  sanitizeSprints,
+  sanitizeTemplates,
+  sanitizeTrash,
+  sanitizeTrashRetentionDays,
+  validateTaskRecord,
+} from './boardData';
+
+// Merge board and task records that changed elsewhere (another device or tab) into the
+// local boards. Each task is resolved on its own: the copy with the newer updatedAt wins,
+// ties keep the local copy, and deletions arrive as tombstones ({ deleted: true }).
+export const mergeRemoteChanges = (boards, { boardDocs = [], taskDocs = [] }) => {
+  const merged = [...boards];
+  let changed = false;
+
+  boardDocs.forEach(({ updatedAt, deleted, ...meta }) => {
+    const index = merged.findIndex(board => board.id === meta.id);
+    if (deleted) {
+      // Never remove the last board
+      if (index !== -1 && merged.length > 1) {
+        merged.splice(index, 1);
+        changed = true;
+      }
+      return;
+    }
+    const base = index === -1 ? createBoard(meta.name || 'Untitled Board', { id: meta.id }) : merged[index];
+    const board = { ...base, ...meta, columns: sanitizeColumns(meta.columns), sprints: sanitizeSprints(meta.sprints), labels: sanitizeLabels(meta.labels), filterPresets: sanitizeFilterPresets(meta.filterPresets), templates: sanitizeTemplates(meta.templates), autoArchiveDays: sanitizeAutoArchiveDays(meta.autoArchiveDays), trash: sanitizeTrash(meta.trash), trashRetentionDays: sanitizeTrashRetentionDays(meta.trashRetentionDays) };
+    if (index === -1) merged.push(board);
+    else merged[index] = board;
+    changed = true;
+  });
+
+  taskDocs.forEach(({ boardId, ...remote }) => {
+    let boardIndex = merged.findIndex(board => board.id === boardId);
+    if (boardIndex === -1) {
+      if (remote.deleted) return;
+      // The task arrived before its board; the board's details follow separately
+      merged.push(createBoard('Untitled Board', { id: boardId }));
+      boardIndex = merged.length - 1;
+    }
+
+    const board = merged[boardIndex];
+    const local = board.tasks.find(task => task.id === remote.id);
+    if (local && (local.updatedAt || 0) >= (remote.updatedAt || 0)) return;
+
+    let nextTasks;
+    if (remote.deleted) {
+      if (!local) return;
+      nextTasks = board.tasks.filter(task => task.id !== remote.id);
+    } else {
+      if (validateTaskRecord(remote).length > 0) return;
+      nextTasks = local
+        ? board.tasks.map(task => (task.id === remote.id ? remote : task))
+        : [...board.tasks, remote];
+    }
+    merged[boardIndex] = { ...board, tasks: nextTasks };
+    changed = true;
+  });
+
+  return changed ? merged : boards;
+};
+
+// Changes between two versions of the boards, in the shape mergeRemoteChanges accepts.
+// Tasks are updated immutably, so a different object means the task changed; board
+// filters are left out since each tab keeps its own view.
+export const collectBoardChanges = (previousBoards, boards) => {
+  const boardDocs = [];
+  const taskDocs = [];
+  const now = Date.now();
+  const previousById = new Map(previousBoards.map(board => [board.id, board]));
+
+  boards.forEach(board => {
+    const previous = previousById.get(board.id);
+    previousById.delete(board.id);
+    if (previous === board) return;
+
+    const { tasks: boardTasks, filters, ...meta } = board;
+    if (!previous || JSON.stringify({ ...previous, tasks: null, filters: null }) !== JSON.stringify({ ...board, tasks: null, filters: null })) {
+      boardDocs.push(meta);
+    }
+
+    const previousTasks = new Map((previous?.tasks || []).map(task => [task.id, task]));
+    boardTasks.forEach(task => {
+      if (previousTasks.get(task.id) !== task) taskDocs.push({ ...task, boardId: board.id });
+      previousTasks.delete(task.id);
+    });
+    previousTasks.forEach(task => taskDocs.push({ id: task.id, boardId: board.id, deleted: true, updatedAt: now }));
+  });
+
+  previousById.forEach(board => boardDocs.push({ id: board.id, deleted: true }));
+  return { boardDocs, taskDocs };
+};
+
+// `baseline` with the changes from `before` to `after` carried over record by record: boards
+// and tasks added, removed or replaced, and changed board fields. Diffing the result against
+// the latest boards then leaves out those changes but keeps any others made in between.
+export const carryOverChanges = (baseline, before, after) => {
+  if (before === after) return baseline;
+  const beforeById = new Map(before.map(board => [board.id, board]));
+  const afterById = new Map(after.map(board => [board.id, board]));
+
+  const carried = baseline
+    .filter(board => !beforeById.has(board.id) || afterById.has(board.id))
+    .map(board => {
+      const previous = beforeById.get(board.id);
+      const next = afterById.get(board.id);
+      if (!previous) return next || board;
+      if (previous === next) return board;
+
+      const fields = {};
+      Object.keys({ ...previous, ...next }).forEach(key => {
+        if (key !== 'tasks' && previous[key] !== next[key]) fields[key] = next[key];
+      });
+      if (previous.tasks === next.tasks) return { ...board, ...fields };
+
+      const previousTasks = new Map(previous.tasks.map(task => [task.id, task]));
+      const nextTasks = new Map(next.tasks.map(task => [task.id, task]));
+      const boardTasks = board.tasks
+        .filter(task => !previousTasks.has(task.id) || nextTasks.has(task.id))
+        .map(task => (previousTasks.get(task.id) !== nextTasks.get(task.id) ? nextTasks.get(task.id) : task));
+      const baselineTaskIds = new Set(boardTasks.map(task => task.id));
+      const addedTasks = next.tasks.filter(task => !previousTasks.has(task.id) && !baselineTaskIds.has(task.id));
+      return { ...board, ...fields, tasks: [...boardTasks, ...addedTasks] };
+    });
+
+  const baselineIds = new Set(baseline.map(board => board.id));
+  const addedBoards = after.filter(board => !beforeById.has(board.id) && !baselineIds.has(board.id));
+  return [...carried, ...addedBoards];
+};
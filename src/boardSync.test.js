@@ -0,0 +1,95 @@
+import { mergeRemoteChanges, collectBoardChanges, carryOverChanges } from './boardSync';
+
+if (!global.crypto) global.crypto = {};
+if (!global.crypto.randomUUID) global.crypto.randomUUID = () => Math.random().toString(36).slice(2);
+
+const COLUMNS = [
+  { id: 'todo', name: 'To Do', color: 'blue' },
+  { id: 'done', name: 'Done', color: 'green' },
+];
+
+const task = (id, overrides = {}) => ({
+  id,
+  title: `Task ${id}`,
+  description: '',
+  status: 'To Do',
+  eta: 1,
+  dueDate: null,
+  completedDate: null,
+  createdAt: 1000,
+  updatedAt: 1000,
+  subtasks: [],
+  ...overrides,
+});
+
+const board = (id, tasks, overrides = {}) => ({ id, name: `Board ${id}`, columns: COLUMNS, labels: [], tasks, ...overrides });
+
+// A copy of the boards with one task replaced
+const withTask = (boards, boardId, next) => boards.map(b => (
+  b.id === boardId ? { ...b, tasks: b.tasks.map(t => (t.id === next.id ? next : t)) } : b
+));
+
+describe('mergeRemoteChanges', () => {
+  test('takes the newer copy of each task and applies tombstones', () => {
+    const boards = [board('b', [task('a', { updatedAt: 5 }), task('c'), task('d')])];
+    const merged = mergeRemoteChanges(boards, { taskDocs: [
+      { ...task('a', { title: 'Older', updatedAt: 4 }), boardId: 'b' },
+      { ...task('c', { title: 'Newer', updatedAt: 2000 }), boardId: 'b' },
+      { id: 'd', boardId: 'b', deleted: true, updatedAt: 2000 },
+      { ...task('e'), boardId: 'b' },
+    ] });
+    expect(merged[0].tasks.map(t => t.title)).toEqual(['Task a', 'Newer', 'Task e']);
+  });
+
+  test('returns the same boards when nothing applies', () => {
+    const boards = [board('b', [task('a', { updatedAt: 5 })])];
+    expect(mergeRemoteChanges(boards, { taskDocs: [{ ...task('a', { updatedAt: 5 }), boardId: 'b' }] })).toBe(boards);
+  });
+});
+
+describe('collectBoardChanges', () => {
+  test('lists changed tasks, deleted tasks and changed board settings', () => {
+    const previous = [board('b', [task('a'), task('c')])];
+    const next = [{ ...previous[0], name: 'Renamed', tasks: [previous[0].tasks[0], task('e')] }];
+    const { boardDocs, taskDocs } = collectBoardChanges(previous, next);
+    expect(boardDocs.map(doc => doc.name)).toEqual(['Renamed']);
+    expect(taskDocs.map(doc => [doc.id, !!doc.deleted])).toEqual([['e', false], ['c', true]]);
+  });
+});
+
+describe('carryOverChanges', () => {
+  test('leaves out changes merged from elsewhere but keeps local ones made in between', () => {
+    const baseline = [board('b', [task('a'), task('c')])];
+    // A local edit lands first, then a remote change to another task in the same render
+    const local = withTask(baseline, 'b', task('a', { title: 'Local edit', updatedAt: 2000 }));
+    const merged = mergeRemoteChanges(local, { taskDocs: [{ ...task('c', { title: 'Remote edit', updatedAt: 3000 }), boardId: 'b' }] });
+
+    const carried = carryOverChanges(baseline, local, merged);
+    expect(carried[0].tasks.map(t => t.title)).toEqual(['Task a', 'Remote edit']);
+    const { taskDocs } = collectBoardChanges(carried, merged);
+    expect(taskDocs.map(doc => doc.title)).toEqual(['Local edit']);
+  });
+
+  test('carries over added and removed tasks and boards, and changed board fields', () => {
+    const baseline = [board('b', [task('a'), task('c')]), board('gone', [])];
+    const before = [...baseline, board('local', [])];
+    const after = [
+      { ...before[0], columns: [COLUMNS[0]], tasks: [before[0].tasks[0], task('e')] },
+      before[2],
+      board('remote', [task('f')]),
+    ];
+
+    const carried = carryOverChanges(baseline, before, after);
+    expect(carried.map(b => b.id)).toEqual(['b', 'remote']);
+    expect(carried[0].columns).toEqual([COLUMNS[0]]);
+    expect(carried[0].tasks.map(t => t.id)).toEqual(['a', 'e']);
+    // Only the board added locally is left to announce
+    expect(collectBoardChanges(carried, after)).toEqual({ boardDocs: [expect.objectContaining({ id: 'local' })], taskDocs: [] });
+  });
+
+  test('returns the baseline as it is when nothing changed', () => {
+    const baseline = [board('b', [])];
+    const boards = [board('b', [task('a')])];
+    expect(carryOverChanges(baseline, boards, boards)).toBe(baseline);
+  });
+});
@@ -0,0 +1,183 @@
+// --- Cloud Sync (Firestore) ---
+// Optional mirror of every board to Firestore. Local storage stays the source of truth:
+// the app keeps working offline, Firestore queues writes in its own offline cache, and
+// remote changes are handed back to the app to merge task by task.
+//
+// Firestore layout, under one shared workspace id:
+//   workspaces/{workspaceId}/boards/{boardId}            board name, columns, ... (no tasks)
+//   workspaces/{workspaceId}/tasks/{boardId}_{taskId}    one task plus its boardId
+// Deleted boards and tasks are kept as tombstones ({ deleted: true, updatedAt }) so the
+// deletion reaches other devices instead of the record being re-uploaded.
+import { initializeApp, deleteApp } from 'firebase/app';
+import {
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  memoryLocalCache,
+  connectFirestoreEmulator,
+  collection,
+  doc,
+  onSnapshot,
+  writeBatch,
+  terminate,
+} from 'firebase/firestore';
+
+// Firestore allows at most 500 writes per batch
+const MAX_BATCH_WRITES = 500;
+
+let appCounter = 0;
+
+// Firestore rejects `undefined` field values, so round-trip records through JSON
+const toFirestoreData = (value) => JSON.parse(JSON.stringify(value));
+
+// Ids may themselves contain `_`, so the doc id is never split back apart: every task doc
+// carries its `boardId` and `id` as fields, and those are what gets read
+const taskDocId = (boardId, taskId) => `${boardId}_${taskId}`;
+
+// JSON with object keys sorted, so records read back from Firestore (which doesn't
+// keep key order) compare equal to the local objects they were written from
+const stableStringify = (value) => JSON.stringify(value, (key, val) => (
+  val && typeof val === 'object' && !Array.isArray(val)
+    ? Object.keys(val).sort().reduce((sorted, k) => ({ ...sorted, [k]: val[k] }), {})
+    : val
+));
+
+// Board fields that are synced: everything except the tasks (synced separately),
+// the filters (a per-device view preference) and the sync bookkeeping fields
+const toBoardMeta = ({ tasks, filters, updatedAt, deleted, ...meta }) => meta;
+
+// Start syncing. Returns { push(boards), stop() }.
+//   settings         { firebaseConfig, workspaceId, useEmulator, emulatorHost, emulatorPort }
+//   onRemoteChanges  called with { boardDocs, taskDocs } for changes made elsewhere
+//   onStatus         called with { state, message?, lastSyncedAt? } as the connection changes
+export const startCloudSync = ({ settings, onRemoteChanges, onStatus }) => {
+  const app = initializeApp(settings.firebaseConfig, `kanban-sync-${++appCounter}`);
+
+  let db;
+  try {
+    db = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+  } catch {
+    // No IndexedDB for Firestore's offline cache; pending writes then only survive while the tab is open
+    db = initializeFirestore(app, { localCache: memoryLocalCache() });
+  }
+  if (settings.useEmulator) {
+    connectFirestoreEmulator(db, settings.emulatorHost || 'localhost', Number(settings.emulatorPort) || 8080);
+  }
+
+  const workspacePath = ['workspaces', settings.workspaceId];
+  const boardsCollection = collection(db, ...workspacePath, 'boards');
+  const tasksCollection = collection(db, ...workspacePath, 'tasks');
+
+  // What Firestore is known to hold, from our own writes or received snapshots
+  const knownBoards = new Map(); // boardId -> { json, deleted }
+  const knownTasks = new Map(); // docId -> { boardId, taskId, updatedAt, deleted }
+  const initialSnapshots = { boards: false, tasks: false };
+  let isReady = false;
+  let isStopped = false;
+
+  const reportError = (error) => {
+    console.error('Cloud sync error:', error);
+    if (!isStopped) onStatus({ state: 'error', message: error.message });
+  };
+
+  // Buffer the first snapshot of each collection so the app merges boards and tasks together
+  const pendingInitial = { boardDocs: [], taskDocs: [] };
+
+  const handleSnapshot = (kind) => (snapshot) => {
+    const docs = [];
+    snapshot.docChanges().forEach(change => {
+      // Skip the local echo of our own not-yet-acknowledged writes
+      if (change.type === 'removed' || change.doc.metadata.hasPendingWrites) return;
+      const data = change.doc.data();
+
+      if (kind === 'boards') {
+        knownBoards.set(change.doc.id, { json: stableStringify(toBoardMeta(data)), deleted: !!data.deleted });
+      } else {
+        const known = knownTasks.get(change.doc.id);
+        if (known && known.updatedAt > (data.updatedAt || 0)) return; // We already hold something newer
+        knownTasks.set(change.doc.id, { boardId: data.boardId, taskId: data.id, updatedAt: data.updatedAt || 0, deleted: !!data.deleted });
+      }
+      docs.push(data);
+    });
+
+    if (!isReady) {
+      pendingInitial[kind === 'boards' ? 'boardDocs' : 'taskDocs'].push(...docs);
+      initialSnapshots[kind] = true;
+      if (!initialSnapshots.boards || !initialSnapshots.tasks) return;
+      isReady = true;
+      onRemoteChanges(pendingInitial);
+    } else if (docs.length > 0) {
+      onRemoteChanges(kind === 'boards' ? { boardDocs: docs, taskDocs: [] } : { boardDocs: [], taskDocs: docs });
+    }
+
+    onStatus(snapshot.metadata.fromCache
+      ? { state: 'offline', message: 'Working offline; changes will sync when the connection returns.' }
+      : { state: 'synced', lastSyncedAt: Date.now() });
+  };
+
+  const unsubscribers = [
+    onSnapshot(boardsCollection, { includeMetadataChanges: true }, handleSnapshot('boards'), reportError),
+    onSnapshot(tasksCollection, { includeMetadataChanges: true }, handleSnapshot('tasks'), reportError),
+  ];
+
+  // Write everything that changed locally since Firestore last saw it
+  const push = (boards) => {
+    if (!isReady || isStopped) return;
+
+    const writes = [];
+    const now = Date.now();
+    const localBoardIds = new Set();
+    const localTaskIds = new Set();
+
+    boards.forEach(board => {
+      localBoardIds.add(board.id);
+      const meta = toBoardMeta(board);
+      const json = stableStringify(meta);
+      const known = knownBoards.get(board.id);
+      if (!known || known.deleted || known.json !== json) {
+        writes.push([doc(boardsCollection, board.id), toFirestoreData({ ...meta, updatedAt: now })]);
+        knownBoards.set(board.id, { json, deleted: false });
+      }
+
+      board.tasks.forEach(task => {
+        const docId = taskDocId(board.id, task.id);
+        localTaskIds.add(docId);
+        const updatedAt = task.updatedAt || 0;
+        const knownTask = knownTasks.get(docId);
+        if (!knownTask || knownTask.deleted || updatedAt > knownTask.updatedAt) {
+          writes.push([doc(tasksCollection, docId), toFirestoreData({ ...task, boardId: board.id, updatedAt })]);
+          knownTasks.set(docId, { boardId: board.id, taskId: task.id, updatedAt, deleted: false });
+        }
+      });
+    });
+
+    // Anything Firestore holds that no longer exists locally was deleted here
+    knownBoards.forEach((known, boardId) => {
+      if (!known.deleted && !localBoardIds.has(boardId)) {
+        writes.push([doc(boardsCollection, boardId), { id: boardId, deleted: true, updatedAt: now }]);
+        knownBoards.set(boardId, { json: null, deleted: true });
+      }
+    });
+    knownTasks.forEach((known, docId) => {
+      if (!known.deleted && !localTaskIds.has(docId)) {
+        writes.push([doc(tasksCollection, docId), { id: known.taskId, boardId: known.boardId, deleted: true, updatedAt: now }]);
+        knownTasks.set(docId, { ...known, updatedAt: now, deleted: true });
+      }
+    });
+
+    for (let start = 0; start < writes.length; start += MAX_BATCH_WRITES) {
+      const batch = writeBatch(db);
+      writes.slice(start, start + MAX_BATCH_WRITES).forEach(([ref, data]) => batch.set(ref, data));
+      // Resolves once the server acknowledges; while offline the writes wait in Firestore's cache
+      batch.commit().catch(reportError);
+    }
+  };
+
+  const stop = () => {
+    isStopped = true;
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    terminate(db).then(() => deleteApp(app)).catch(error => console.error('Error closing cloud sync:', error));
+  };
+
+  return { push, stop };
+};
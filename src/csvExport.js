@@ -0,0 +1,54 @@
+// --- CSV Export ---
+// Tasks as spreadsheet rows, for the board and archive CSV downloads.
+
+import { timestampToDateString } from './dates';
+
+// Text that spreadsheets would read as a formula when the file is opened
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a CSV field when it contains a delimiter, quote or line break. Text starting like a
+// formula gets a leading apostrophe so a spreadsheet shows it instead of evaluating it;
+// numbers are left alone so negative values stay numeric.
+export const csvEscape = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const TASK_CSV_HEADERS = ['Title', 'Description', 'Status', 'Points ETA', 'Due Date', 'Completed Date', 'Created At', 'Subtasks Completed', 'Subtasks Total', 'Subtask Points', 'Labels'];
+const SUBTASK_CSV_HEADERS = ['Subtask Title', 'Subtask Completed', 'Subtask Points', 'Subtask Due Date'];
+
+// Flatten tasks into CSV text, optionally emitting one row per subtask
+// (tasks without subtasks still get a single row with blank subtask fields)
+export const buildTasksCsv = (tasks, perSubtask = false) => {
+  const rows = [perSubtask ? [...TASK_CSV_HEADERS, ...SUBTASK_CSV_HEADERS] : TASK_CSV_HEADERS];
+
+  tasks.forEach(task => {
+    const subtasks = task.subtasks || [];
+    const taskFields = [
+      task.title,
+      task.description,
+      task.status,
+      task.eta,
+      timestampToDateString(task.dueDate),
+      timestampToDateString(task.completedDate),
+      timestampToDateString(task.createdAt),
+      subtasks.filter(sub => sub.completed).length,
+      subtasks.length,
+      subtasks.reduce((sum, sub) => sum + (sub.eta || 0), 0),
+      (task.labels || []).join(', '),
+    ];
+
+    if (!perSubtask) {
+      rows.push(taskFields);
+    } else if (subtasks.length === 0) {
+      rows.push([...taskFields, '', '', '', '']);
+    } else {
+      subtasks.forEach(sub => {
+        rows.push([...taskFields, sub.title, sub.completed ? 'Yes' : 'No', sub.eta, timestampToDateString(sub.dueDate)]);
+      });
+    }
+  });
+
+  return rows.map(row => row.map(csvEscape).join(',')).join('\r\n');
+};
@@ -0,0 +1,56 @@
+import { csvEscape, buildTasksCsv } from './csvExport';
+
+describe('csvEscape', () => {
+  test('quotes fields with delimiters, quotes or line breaks', () => {
+    expect(csvEscape('plain')).toBe('plain');
+    expect(csvEscape('a, b')).toBe('"a, b"');
+    expect(csvEscape('say "hi"')).toBe('"say ""hi"""');
+    expect(csvEscape('two\nlines')).toBe('"two\nlines"');
+    expect(csvEscape(null)).toBe('');
+    expect(csvEscape(undefined)).toBe('');
+  });
+
+  test('keeps text that starts like a formula from being evaluated', () => {
+    expect(csvEscape('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)");
+    expect(csvEscape('+1 555 0100')).toBe("'+1 555 0100");
+    expect(csvEscape('-5 points')).toBe("'-5 points");
+    expect(csvEscape('@mention')).toBe("'@mention");
+    expect(csvEscape('\tindented')).toBe("'\tindented");
+    expect(csvEscape('\rreturn')).toBe('"\'\rreturn"');
+    expect(csvEscape('=HYPERLINK("http://x", "y")')).toBe('"\'=HYPERLINK(""http://x"", ""y"")"');
+  });
+
+  test('leaves numbers and text with a formula character later on alone', () => {
+    expect(csvEscape(-3)).toBe('-3');
+    expect(csvEscape(5)).toBe('5');
+    expect(csvEscape('a=b')).toBe('a=b');
+  });
+});
+
+describe('buildTasksCsv', () => {
+  const task = {
+    title: '=1+1',
+    description: 'Has, comma',
+    status: 'To Do',
+    eta: 2,
+    dueDate: null,
+    completedDate: null,
+    createdAt: new Date(2026, 0, 5).getTime(),
+    subtasks: [{ title: '@someone', completed: true, eta: 1, dueDate: null }, { title: 'Two', completed: false, eta: 3 }],
+    labels: ['bug', 'ui'],
+  };
+
+  test('writes one row per task', () => {
+    const [header, row] = buildTasksCsv([task]).split('\r\n');
+    expect(header).toBe('Title,Description,Status,Points ETA,Due Date,Completed Date,Created At,Subtasks Completed,Subtasks Total,Subtask Points,Labels');
+    expect(row).toBe("'=1+1,\"Has, comma\",To Do,2,,,2026-01-05,1,2,4,\"bug, ui\"");
+  });
+
+  test('writes one row per subtask when asked', () => {
+    const rows = buildTasksCsv([task, { ...task, title: 'Empty', subtasks: [] }], true).split('\r\n');
+    expect(rows).toHaveLength(4);
+    expect(rows[1].endsWith(",'@someone,Yes,1,")).toBe(true);
+    expect(rows[2].endsWith(',Two,No,3,')).toBe(true);
+    expect(rows[3].endsWith(',,,,')).toBe(true);
+  });
+});
@@ -0,0 +1,35 @@
+// --- Calendar Dates ---
+// Day arithmetic in local time. Days are not all DAY_MS long: around a daylight saving
+// change one is an hour shorter or longer, so stepping by whole days goes through addDays.
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local midnight at the start of the given time's day
+export const startOfDay = (timestamp) => {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+// Local midnight on the Monday of the given time's week
+export const startOfWeek = (timestamp) => {
+  const date = new Date(startOfDay(timestamp));
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date.getTime();
+};
+
+// The same time of day `days` calendar days later (earlier when negative)
+export const addDays = (timestamp, days) => {
+  const date = new Date(timestamp);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+};
+
+// Local-time YYYY-MM-DD for a timestamp, blank when unset
+export const timestampToDateString = (timestamp) => {
+  if (!timestamp) return '';
+  const date = new Date(Number(timestamp));
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
@@ -0,0 +1,35 @@
+import { DAY_MS, startOfDay, startOfWeek, addDays, timestampToDateString } from './dates';
+
+// Tests run in America/New_York (see globalTestSetup.js), where the clocks go forward
+// on 2026-03-08 and back on 2026-11-01
+
+// Local time on a day, e.g. at('2026-03-08', 23, 30)
+const at = (date, hours = 0, minutes = 0) => {
+  const [year, month, dayOfMonth] = date.split('-').map(Number);
+  return new Date(year, month - 1, dayOfMonth, hours, minutes).getTime();
+};
+
+describe('calendar day helpers', () => {
+  test('startOfDay and startOfWeek give local midnights', () => {
+    expect(startOfDay(at('2026-03-08', 15, 45))).toBe(at('2026-03-08'));
+    // 2026-03-11 is a Wednesday; weeks start on Monday
+    expect(startOfWeek(at('2026-03-11', 9))).toBe(at('2026-03-09'));
+    expect(startOfWeek(at('2026-03-15', 23))).toBe(at('2026-03-09'));
+  });
+
+  test('addDays lands on midnight across daylight saving changes', () => {
+    expect(addDays(at('2026-03-07'), 2)).toBe(at('2026-03-09'));
+    expect(at('2026-03-09') - at('2026-03-08')).toBe(DAY_MS - 60 * 60 * 1000);
+    expect(addDays(at('2026-10-31'), 1)).toBe(at('2026-11-01'));
+    expect(addDays(at('2026-11-01'), 1)).toBe(at('2026-11-02'));
+    expect(addDays(at('2026-11-03'), -7)).toBe(at('2026-10-27'));
+  });
+});
+
+describe('timestampToDateString', () => {
+  test('gives the local calendar date, blank when unset', () => {
+    expect(timestampToDateString(at('2026-03-08', 23, 30))).toBe('2026-03-08');
+    expect(timestampToDateString(at('2026-01-05'))).toBe('2026-01-05');
+    expect(timestampToDateString(null)).toBe('');
+  });
+});
@@ -0,0 +1,5 @@
+// Run tests in a time zone with daylight saving changes, so date math that assumes
+// every day is 24 hours long fails everywhere, not just on machines in such a zone.
+module.exports = async () => {
+  process.env.TZ = 'America/New_York';
+};
@@ -0,0 +1,171 @@
+// --- Export / Import ---
+// Backups of every board as one JSON document, and reading them back in. Imported records go
+// through the same validation as stored data; anything unusable is skipped and listed.
+
+import {
+  generateId,
+  sanitizeAutoArchiveDays,
+  sanitizeColumns,
+  sanitizeFilterPresets,
+  sanitizeFilters,
+  sanitizeLabels,
+  sanitizeSprints,
+  sanitizeTemplates,
+  sanitizeTrash,
+  sanitizeTrashRetentionDays,
+  validateTaskRecord,
+} from './boardData';
+
+// Identifies our export files and the version of their layout
+const EXPORT_FORMAT = 'kanban-board-export';
+const EXPORT_VERSION = 1;
+
+// Build the versioned export document for all boards plus app settings
+export const buildExportData = (boards, activeBoardId, settings) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: Date.now(),
+  activeBoardId,
+  settings,
+  boards,
+});
+
+// Parse and validate an import file. Throws for files that can't be used at all;
+// otherwise returns the valid boards plus a readable list of records that were skipped.
+export const parseImportFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  // A bare task array (the pre-board storage format) is imported as a single board
+  if (Array.isArray(data)) {
+    data = { format: EXPORT_FORMAT, version: EXPORT_VERSION, boards: [{ name: 'Imported', tasks: data }] };
+  }
+  if (!data || data.format !== EXPORT_FORMAT) {
+    throw new Error('This does not look like a task board export file.');
+  }
+  if (typeof data.version !== 'number' || data.version > EXPORT_VERSION) {
+    throw new Error(`Unsupported export version "${data.version}". This app reads version ${EXPORT_VERSION} or older.`);
+  }
+  if (!Array.isArray(data.boards) || data.boards.length === 0) {
+    throw new Error('The file does not contain any boards.');
+  }
+
+  const problems = [];
+  let taskCount = 0;
+  const boards = data.boards.map((board, boardIndex) => {
+    const boardName = typeof board?.name === 'string' && board.name.trim() ? board.name.trim() : `Imported Board ${boardIndex + 1}`;
+    const rawTasks = Array.isArray(board?.tasks) ? board.tasks : [];
+    if (!Array.isArray(board?.tasks)) problems.push(`Board "${boardName}" has no task list.`);
+
+    // Tasks are stored by board and id, so a later task reusing an id would overwrite the
+    // first one; it is skipped instead
+    const seenIds = new Set();
+    const tasks = rawTasks.filter((task, taskIndex) => {
+      const taskProblems = validateTaskRecord(task);
+      if (taskProblems.length === 0 && seenIds.has(task.id)) taskProblems.push(`has the same id as an earlier task ("${task.id}")`);
+      if (taskProblems.length > 0) {
+        const label = typeof task?.title === 'string' && task.title ? `"${task.title}"` : `#${taskIndex + 1}`;
+        problems.push(`Board "${boardName}", task ${label} ${taskProblems.join(', ')}.`);
+        return false;
+      }
+      seenIds.add(task.id);
+      return true;
+    });
+    taskCount += tasks.length;
+
+    return {
+      id: typeof board?.id === 'string' && board.id ? board.id : generateId(),
+      name: boardName,
+      columns: sanitizeColumns(board?.columns),
+      sprints: sanitizeSprints(board?.sprints),
+      labels: sanitizeLabels(board?.labels),
+      filterPresets: sanitizeFilterPresets(board?.filterPresets),
+      templates: sanitizeTemplates(board?.templates),
+      autoArchiveDays: sanitizeAutoArchiveDays(board?.autoArchiveDays),
+      trash: sanitizeTrash(board?.trash),
+      trashRetentionDays: sanitizeTrashRetentionDays(board?.trashRetentionDays),
+      tasks,
+      filters: sanitizeFilters(board?.filters),
+    };
+  });
+
+  return {
+    boards,
+    activeBoardId: data.activeBoardId,
+    settings: data.settings && typeof data.settings === 'object' ? data.settings : {},
+    taskCount,
+    problems,
+  };
+};
+
+// Merge imported boards into the current ones: boards are matched by id and
+// tasks by id (imported copies win); anything unmatched is added.
+export const mergeImportedBoards = (currentBoards, importedBoards) => {
+  const merged = currentBoards.map(board => {
+    const incoming = importedBoards.find(imported => imported.id === board.id);
+    if (!incoming) return board;
+
+    const incomingById = new Map(incoming.tasks.map(task => [task.id, task]));
+    const existingIds = new Set(board.tasks.map(task => task.id));
+    const tasks = [
+      ...board.tasks.map(task => incomingById.get(task.id) || task),
+      ...incoming.tasks.filter(task => !existingIds.has(task.id)),
+    ];
+
+    // Add imported columns that don't exist yet, keeping the current done column last
+    const columnNames = new Set(board.columns.map(col => col.name));
+    const newColumns = incoming.columns.filter(col => !columnNames.has(col.name));
+    const columns = [...board.columns.slice(0, -1), ...newColumns, ...board.columns.slice(-1)];
+
+    // Imported sprints replace current ones with the same id
+    const incomingSprints = new Map(incoming.sprints.map(sprint => [sprint.id, sprint]));
+    const currentSprintIds = new Set((board.sprints || []).map(sprint => sprint.id));
+    const sprints = [
+      ...(board.sprints || []).map(sprint => incomingSprints.get(sprint.id) || sprint),
+      ...incoming.sprints.filter(sprint => !currentSprintIds.has(sprint.id)),
+    ];
+
+    // Imported label definitions replace current ones with the same name
+    const incomingLabels = new Map(incoming.labels.map(label => [label.name, label]));
+    const currentLabelNames = new Set((board.labels || []).map(label => label.name));
+    const labels = [
+      ...(board.labels || []).map(label => incomingLabels.get(label.name) || label),
+      ...incoming.labels.filter(label => !currentLabelNames.has(label.name)),
+    ];
+
+    // Imported saved views replace current ones with the same id
+    const incomingPresets = new Map(incoming.filterPresets.map(preset => [preset.id, preset]));
+    const currentPresetIds = new Set((board.filterPresets || []).map(preset => preset.id));
+    const filterPresets = [
+      ...(board.filterPresets || []).map(preset => incomingPresets.get(preset.id) || preset),
+      ...incoming.filterPresets.filter(preset => !currentPresetIds.has(preset.id)),
+    ];
+
+    // Templates likewise
+    const incomingTemplates = new Map(incoming.templates.map(template => [template.id, template]));
+    const currentTemplateIds = new Set((board.templates || []).map(template => template.id));
+    const templates = [
+      ...(board.templates || []).map(template => incomingTemplates.get(template.id) || template),
+      ...incoming.templates.filter(template => !currentTemplateIds.has(template.id)),
+    ];
+
+    // Trash entries likewise
+    const incomingTrash = new Map(incoming.trash.map(entry => [entry.id, entry]));
+    const currentTrashIds = new Set((board.trash || []).map(entry => entry.id));
+    const trash = [
+      ...(board.trash || []).map(entry => incomingTrash.get(entry.id) || entry),
+      ...incoming.trash.filter(entry => !currentTrashIds.has(entry.id)),
+    ];
+
+    return { ...board, tasks, columns, sprints, labels, filterPresets, templates, trash };
+  });
+
+  importedBoards.forEach(imported => {
+    if (!currentBoards.some(board => board.id === imported.id)) merged.push(imported);
+  });
+  return merged;
+};
@@ -0,0 +1,94 @@
+import { buildExportData, parseImportFile, mergeImportedBoards } from './importExport';
+
+if (!global.crypto) global.crypto = {};
+if (!global.crypto.randomUUID) global.crypto.randomUUID = () => Math.random().toString(36).slice(2);
+
+const COLUMNS = [
+  { id: 'todo', name: 'To Do', color: 'blue' },
+  { id: 'done', name: 'Done', color: 'green' },
+];
+
+const task = (id, overrides = {}) => ({
+  id,
+  title: `Task ${id}`,
+  description: '',
+  status: 'To Do',
+  eta: 1,
+  dueDate: null,
+  completedDate: null,
+  createdAt: 1000,
+  subtasks: [],
+  ...overrides,
+});
+
+const board = (id, tasks, overrides = {}) => ({ id, name: `Board ${id}`, columns: COLUMNS, tasks, ...overrides });
+
+const exportFile = (boards) => JSON.stringify(buildExportData(boards, boards[0]?.id, { theme: 'dark' }));
+
+describe('parseImportFile', () => {
+  test('reads back an export', () => {
+    const result = parseImportFile(exportFile([board('b', [task('a'), task('c')])]));
+    expect(result).toMatchObject({ activeBoardId: 'b', settings: { theme: 'dark' }, taskCount: 2, problems: [] });
+    expect(result.boards[0]).toMatchObject({ id: 'b', name: 'Board b', columns: COLUMNS, sprints: [], trash: [] });
+    expect(result.boards[0].tasks.map(t => t.id)).toEqual(['a', 'c']);
+  });
+
+  test('imports a bare task array as one board', () => {
+    const result = parseImportFile(JSON.stringify([task('a')]));
+    expect(result.boards.map(b => b.name)).toEqual(['Imported']);
+    expect(result.taskCount).toBe(1);
+  });
+
+  test('skips unreadable tasks, lists each one and imports the rest', () => {
+    const result = parseImportFile(exportFile([
+      board('b', [task('a'), task('bad', { eta: 'lots' }), { description: 'no id or title' }, task('c')]),
+      board('e', 'not a list'),
+    ]));
+    expect(result.boards[0].tasks.map(t => t.id)).toEqual(['a', 'c']);
+    expect(result.boards[1].tasks).toEqual([]);
+    expect(result.taskCount).toBe(2);
+    expect(result.problems).toEqual([
+      'Board "Board b", task "Task bad" has an invalid point ETA.',
+      expect.stringMatching(/^Board "Board b", task #3 is missing an id, is missing a title/),
+      'Board "Board e" has no task list.',
+    ]);
+  });
+
+  test('keeps the first of several tasks sharing an id and lists the others', () => {
+    const result = parseImportFile(exportFile([
+      board('b', [task('a'), task('a', { title: 'Copy' }), task('c'), task('a', { title: 'Another copy' })]),
+      // Ids only need to be unique within a board
+      board('other', [task('a')]),
+    ]));
+    expect(result.boards[0].tasks.map(t => t.title)).toEqual(['Task a', 'Task c']);
+    expect(result.boards[1].tasks.map(t => t.id)).toEqual(['a']);
+    expect(result.taskCount).toBe(3);
+    expect(result.problems).toEqual([
+      'Board "Board b", task "Copy" has the same id as an earlier task ("a").',
+      'Board "Board b", task "Another copy" has the same id as an earlier task ("a").',
+    ]);
+  });
+
+  test('rejects files it cannot use at all', () => {
+    expect(() => parseImportFile('{ nope')).toThrow('The file is not valid JSON.');
+    expect(() => parseImportFile('{"boards": []}')).toThrow(/does not look like a task board export/);
+    expect(() => parseImportFile(JSON.stringify({ format: 'kanban-board-export', version: 99, boards: [] }))).toThrow(/Unsupported export version "99"/);
+    expect(() => parseImportFile(exportFile([]))).toThrow('The file does not contain any boards.');
+  });
+});
+
+describe('mergeImportedBoards', () => {
+  test('replaces tasks by id, adds new tasks, columns and boards', () => {
+    const current = [board('b', [task('a'), task('c')])];
+    const imported = parseImportFile(exportFile([
+      board('b', [task('a', { title: 'Imported a' }), task('d')], { columns: [{ id: 'x', name: 'Review', color: 'red' }, ...COLUMNS] }),
+      board('new', [task('e')]),
+    ])).boards;
+
+    const merged = mergeImportedBoards(current, imported);
+    expect(merged.map(b => b.id)).toEqual(['b', 'new']);
+    expect(merged[0].tasks.map(t => t.title)).toEqual(['Imported a', 'Task c', 'Task d']);
+    // The done column stays last
+    expect(merged[0].columns.map(col => col.name)).toEqual(['To Do', 'Review', 'Done']);
+  });
+});
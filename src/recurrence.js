@@ -0,0 +1,115 @@
+// --- Recurring Tasks ---
+// A recurring task carries `recurrence: { seriesId, frequency, interval, weekdays, monthDay }`.
+// Completing it adds the next instance of the series to the first column; every instance
+// shares the seriesId, so the rule can be changed or stopped for the whole series at once.
+
+import { DAY_MS, startOfDay, addDays } from './dates';
+import { ARCHIVED_STATUS, generateId, sanitizeRecurrence } from './boardData';
+
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Number of days in the given date's month
+const daysInMonth = (date) => new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+// e.g. "Weekly on Mon, Thu" or "Every 3 days"
+export const describeRecurrence = (recurrence) => {
+  switch (recurrence.frequency) {
+    case 'daily':
+      return 'Daily';
+    case 'weekly':
+      return recurrence.weekdays.length > 0 ? `Weekly on ${recurrence.weekdays.map(day => WEEKDAY_NAMES[day]).join(', ')}` : 'Weekly';
+    case 'monthly':
+      return `Monthly on day ${recurrence.monthDay}`;
+    default:
+      return recurrence.interval === 1 ? 'Every day' : `Every ${recurrence.interval} days`;
+  }
+};
+
+// The repeat rule saved from the task form. Weekly without chosen days repeats on the due
+// date's weekday, monthly on its day of the month. An edited rule keeps its month day and
+// weekdays unless the frequency changed or a monthly due date moved off the rule's day, so
+// editing the Feb 28 instance of a "monthly on the 31st" series leaves it on the 31st.
+export const buildRecurrence = (existing, { frequency, interval, weekdays, dueDate }) => {
+  const due = new Date(dueDate);
+  const keepDays = existing?.frequency === frequency
+    && (frequency !== 'monthly' || due.getDate() === Math.min(existing.monthDay, daysInMonth(due)));
+  const defaultWeekdays = keepDays && frequency !== 'weekly' ? existing.weekdays : [due.getDay()];
+  return sanitizeRecurrence({
+    seriesId: existing?.seriesId || generateId(),
+    frequency,
+    interval,
+    weekdays: weekdays.length > 0 ? weekdays : defaultWeekdays,
+    monthDay: keepDays ? existing.monthDay : due.getDate(),
+  });
+};
+
+// The repeat rule belongs to the whole series: change or stop it (null) on every instance
+export const applyRecurrenceToSeries = (tasks, seriesId, recurrence) => tasks.map(task => (
+  task.recurrence?.seriesId === seriesId && task.recurrence !== recurrence ? { ...task, recurrence } : task
+));
+
+// The occurrence after `dueDate` (a start-of-day timestamp)
+export const nextRecurrenceDate = (dueDate, recurrence) => {
+  switch (recurrence.frequency) {
+    case 'daily':
+      return addDays(dueDate, 1);
+    case 'weekly': {
+      const weekday = new Date(dueDate).getDay();
+      const weekdays = recurrence.weekdays.length > 0 ? recurrence.weekdays : [weekday];
+      const step = [1, 2, 3, 4, 5, 6, 7].find(days => weekdays.includes((weekday + days) % 7));
+      return addDays(dueDate, step);
+    }
+    case 'monthly': {
+      // Day 31 falls on the last day of shorter months, without drifting earlier afterwards
+      const date = new Date(dueDate);
+      date.setDate(1);
+      date.setMonth(date.getMonth() + 1);
+      date.setDate(Math.min(recurrence.monthDay, daysInMonth(date)));
+      return date.getTime();
+    }
+    default:
+      return addDays(dueDate, recurrence.interval);
+  }
+};
+
+// The next instance of a completed recurring task: same details, the due date moved on to the
+// next occurrence (missed ones are skipped so it doesn't start out overdue), subtasks unchecked
+// with their due dates shifted by the same number of days, and a fresh history.
+export const createNextOccurrence = (task, firstStatus, now = Date.now()) => {
+  const base = task.dueDate || startOfDay(now);
+  let dueDate = nextRecurrenceDate(base, task.recurrence);
+  while (dueDate < startOfDay(now)) dueDate = nextRecurrenceDate(dueDate, task.recurrence);
+  const shiftDays = Math.round((dueDate - base) / DAY_MS);
+  const shift = (timestamp) => (timestamp ? addDays(timestamp, shiftDays) : null);
+
+  const { history, archivedAt, ...details } = task;
+  return {
+    ...details,
+    id: generateId(),
+    status: firstStatus,
+    dueDate,
+    startDate: shift(task.startDate),
+    completedDate: null,
+    createdAt: now,
+    updatedAt: now,
+    blockedBy: [],
+    subtasks: (task.subtasks || []).map(sub => ({ ...sub, id: generateId(), completed: false, dueDate: shift(sub.dueDate) })),
+  };
+};
+
+// Add the next instance for every recurring task that `nextTasks` moves into the done column,
+// unless its series already has an unfinished instance (e.g. it was completed, reopened and completed again)
+export const addNextOccurrences = (prevTasks, nextTasks, firstStatus, doneStatus) => {
+  const previousById = new Map(prevTasks.map(task => [task.id, task]));
+  const added = [];
+  nextTasks.forEach(task => {
+    const previous = previousById.get(task.id);
+    if (!task.recurrence || task.status !== doneStatus || !previous || previous.status === doneStatus) return;
+    const { seriesId } = task.recurrence;
+    const hasOpenInstance = [...nextTasks, ...added].some(other => (
+      other.id !== task.id && other.recurrence?.seriesId === seriesId && !other.completedDate && other.status !== ARCHIVED_STATUS
+    ));
+    if (!hasOpenInstance) added.push(createNextOccurrence(task, firstStatus));
+  });
+  return added.length > 0 ? [...nextTasks, ...added] : nextTasks;
+};
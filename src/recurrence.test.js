@@ -0,0 +1,130 @@
+import { describeRecurrence, buildRecurrence, applyRecurrenceToSeries, nextRecurrenceDate, createNextOccurrence, addNextOccurrences } from './recurrence';
+
+if (!global.crypto) global.crypto = {};
+if (!global.crypto.randomUUID) global.crypto.randomUUID = () => Math.random().toString(36).slice(2);
+
+// Tests run in America/New_York (see globalTestSetup.js), where the clocks go forward on 2026-03-08
+
+// Local time on a day, e.g. at('2026-03-08', 23, 30)
+const at = (date, hours = 0, minutes = 0) => {
+  const [year, month, dayOfMonth] = date.split('-').map(Number);
+  return new Date(year, month - 1, dayOfMonth, hours, minutes).getTime();
+};
+
+const rule = (overrides = {}) => ({ seriesId: 's', frequency: 'monthly', interval: 1, weekdays: [], monthDay: 31, ...overrides });
+
+const task = (id, overrides = {}) => ({
+  id,
+  title: `Task ${id}`,
+  description: '',
+  status: 'To Do',
+  eta: 1,
+  dueDate: at('2026-01-31'),
+  completedDate: null,
+  createdAt: 1000,
+  subtasks: [],
+  recurrence: rule(),
+  ...overrides,
+});
+
+describe('nextRecurrenceDate', () => {
+  test('daily and every few days land on midnight across daylight saving changes', () => {
+    expect(nextRecurrenceDate(at('2026-03-07'), rule({ frequency: 'daily' }))).toBe(at('2026-03-08'));
+    expect(nextRecurrenceDate(at('2026-03-08'), rule({ frequency: 'daily' }))).toBe(at('2026-03-09'));
+    expect(nextRecurrenceDate(at('2026-03-06'), rule({ frequency: 'interval', interval: 3 }))).toBe(at('2026-03-09'));
+  });
+
+  test('weekly moves to the next chosen weekday, or a week on without any', () => {
+    const monThu = rule({ frequency: 'weekly', weekdays: [1, 4] });
+    // 2026-03-09 is a Monday
+    expect(nextRecurrenceDate(at('2026-03-09'), monThu)).toBe(at('2026-03-12'));
+    expect(nextRecurrenceDate(at('2026-03-12'), monThu)).toBe(at('2026-03-16'));
+    expect(nextRecurrenceDate(at('2026-03-09'), rule({ frequency: 'weekly' }))).toBe(at('2026-03-16'));
+  });
+
+  test('monthly on the 31st falls on the last day of shorter months and comes back', () => {
+    expect(nextRecurrenceDate(at('2026-01-31'), rule())).toBe(at('2026-02-28'));
+    expect(nextRecurrenceDate(at('2026-02-28'), rule())).toBe(at('2026-03-31'));
+    expect(nextRecurrenceDate(at('2026-03-31'), rule())).toBe(at('2026-04-30'));
+  });
+});
+
+describe('createNextOccurrence', () => {
+  test('moves the due date on, skipping missed occurrences, and resets the details', () => {
+    const completed = task('a', {
+      status: 'Done',
+      completedDate: at('2026-02-01'),
+      startDate: at('2026-01-29'),
+      blockedBy: ['x'],
+      history: [{ at: 1, type: 'created' }],
+      subtasks: [{ id: 'sub', title: 'Step', completed: true, eta: 1, dueDate: at('2026-01-30') }],
+    });
+    const next = createNextOccurrence(completed, 'To Do', at('2026-03-10', 9));
+
+    expect(next).toMatchObject({ status: 'To Do', dueDate: at('2026-03-31'), completedDate: null, blockedBy: [], recurrence: completed.recurrence });
+    expect(next.id).not.toBe('a');
+    expect(next.history).toBeUndefined();
+    // Start and subtask dates move by the same 59 days as the due date
+    expect(next.startDate).toBe(at('2026-03-29'));
+    expect(next.subtasks[0]).toMatchObject({ title: 'Step', completed: false, dueDate: at('2026-03-30') });
+    expect(next.subtasks[0].id).not.toBe('sub');
+  });
+});
+
+describe('addNextOccurrences', () => {
+  test('adds the next instance when a recurring task reaches the done column', () => {
+    const prevTasks = [task('a'), task('plain', { recurrence: null })];
+    const nextTasks = prevTasks.map(t => ({ ...t, status: 'Done', completedDate: at('2026-01-31') }));
+    const result = addNextOccurrences(prevTasks, nextTasks, 'To Do', 'Done');
+    expect(result).toHaveLength(3);
+    expect(result[2]).toMatchObject({ title: 'Task a', status: 'To Do', recurrence: { seriesId: 's' } });
+  });
+
+  test('skips series that still have an unfinished instance', () => {
+    const prevTasks = [task('a'), task('b')];
+    const nextTasks = [{ ...prevTasks[0], status: 'Done', completedDate: 1 }, prevTasks[1]];
+    expect(addNextOccurrences(prevTasks, nextTasks, 'To Do', 'Done')).toBe(nextTasks);
+  });
+});
+
+describe('buildRecurrence', () => {
+  const form = (overrides = {}) => ({ frequency: 'monthly', interval: 1, weekdays: [], dueDate: at('2026-02-28'), ...overrides });
+
+  test('takes a new rule\'s days from the due date', () => {
+    const created = buildRecurrence(undefined, form({ dueDate: at('2026-03-31') }));
+    expect(created).toMatchObject({ frequency: 'monthly', monthDay: 31, weekdays: [2] });
+    expect(created.seriesId).toEqual(expect.any(String));
+    expect(buildRecurrence(undefined, form({ frequency: 'weekly', weekdays: [1, 4] })).weekdays).toEqual([1, 4]);
+  });
+
+  test('editing the clamped Feb 28 instance of a "monthly on the 31st" series keeps the 31st', () => {
+    const edited = buildRecurrence(rule(), form());
+    expect(edited).toEqual(rule());
+    expect(nextRecurrenceDate(at('2026-02-28'), edited)).toBe(at('2026-03-31'));
+  });
+
+  test('moving the due day or changing the frequency takes the day from the due date', () => {
+    expect(buildRecurrence(rule(), form({ dueDate: at('2026-02-27') })).monthDay).toBe(27);
+    expect(buildRecurrence(rule({ frequency: 'weekly' }), form()).monthDay).toBe(28);
+    expect(buildRecurrence(rule({ monthDay: 15 }), form({ dueDate: at('2026-03-15') })).monthDay).toBe(15);
+  });
+});
+
+describe('applyRecurrenceToSeries', () => {
+  test('changes or stops the rule on every instance of the series only', () => {
+    const tasks = [task('a'), task('b', { dueDate: at('2026-02-28') }), task('other', { recurrence: rule({ seriesId: 'x' }) })];
+    const changed = rule({ frequency: 'weekly', weekdays: [1] });
+    const result = applyRecurrenceToSeries(tasks, 's', changed);
+    expect(result.map(t => t.recurrence)).toEqual([changed, changed, tasks[2].recurrence]);
+    expect(result[2]).toBe(tasks[2]);
+    expect(applyRecurrenceToSeries(tasks, 's', null).map(t => t.recurrence)).toEqual([null, null, tasks[2].recurrence]);
+  });
+
+  test('a title-only edit of the clamped instance leaves the series on the 31st', () => {
+    const tasks = [task('jan', { status: 'Done' }), task('feb', { dueDate: at('2026-02-28') })];
+    const recurrence = buildRecurrence(tasks[1].recurrence, { frequency: 'monthly', interval: 1, weekdays: [], dueDate: tasks[1].dueDate });
+    const result = applyRecurrenceToSeries(tasks, 's', recurrence);
+    expect(result.map(t => t.recurrence.monthDay)).toEqual([31, 31]);
+    expect(describeRecurrence(result[0].recurrence)).toBe('Monthly on day 31');
+  });
+});
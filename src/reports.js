@@ -0,0 +1,104 @@
+// --- Report Calculations ---
+// Figures behind the Reports view. Every function takes the board's tasks (active and
+// archived alike) plus a date range as start-of-day timestamps, and returns plain data
+// ready to chart. A task counts as completed at its `completedDate`.
+
+import { DAY_MS, startOfDay, startOfWeek, addDays } from './dates';
+
+// Short label for a day on a chart axis
+const dayLabel = (timestamp) => new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+const completedInRange = (tasks, from, to) => tasks.filter(task => (
+  task.completedDate && task.completedDate >= from && task.completedDate < addDays(to, 1)
+));
+
+const cycleDays = (task) => Math.max(0, (task.completedDate - task.createdAt) / DAY_MS);
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+// Remaining points at the end of each day, next to the points that should still be open
+// if everything were finished by its due date. Returns [{ label, remaining, planned }].
+export const buildBurndown = (tasks, from, to) => {
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const endOfDay = addDays(day, 1);
+    let remaining = 0;
+    let planned = 0;
+    tasks.forEach(task => {
+      if (task.createdAt >= endOfDay) return;
+      const points = task.eta || 0;
+      if (!task.completedDate || task.completedDate >= endOfDay) remaining += points;
+      if (!task.dueDate || task.dueDate >= endOfDay) planned += points;
+    });
+    days.push({ label: dayLabel(day), remaining, planned });
+  }
+  return days;
+};
+
+// Points and tasks completed in each week (Monday to Sunday) of the range.
+// Returns [{ label, points, count }].
+export const buildWeeklyThroughput = (tasks, from, to) => {
+  const weeks = [];
+  for (let week = startOfWeek(from); week <= to; week = addDays(week, 7)) {
+    const weekEnd = addDays(week, 7);
+    const completed = tasks.filter(task => task.completedDate && task.completedDate >= week && task.completedDate < weekEnd);
+    weeks.push({
+      label: dayLabel(week),
+      points: completed.reduce((sum, task) => sum + (task.eta || 0), 0),
+      count: completed.length,
+    });
+  }
+  return weeks;
+};
+
+// Days from creation to completion for tasks completed in the range: an average per week
+// of completion, plus the overall average and median.
+// Returns { weeks: [{ label, averageDays, count }], averageDays, medianDays, count }.
+export const buildCycleTimes = (tasks, from, to) => {
+  const completed = completedInRange(tasks, from, to);
+  const weeks = [];
+  for (let week = startOfWeek(from); week <= to; week = addDays(week, 7)) {
+    const weekEnd = addDays(week, 7);
+    const inWeek = completed.filter(task => task.completedDate >= week && task.completedDate < weekEnd).map(cycleDays);
+    weeks.push({ label: dayLabel(week), averageDays: average(inWeek) || 0, count: inWeek.length });
+  }
+  const allDays = completed.map(cycleDays);
+  return { weeks, averageDays: average(allDays), medianDays: median(allDays), count: allDays.length };
+};
+
+// How well point estimates predicted the work: average cycle time for each estimate size
+// (accurate estimates take longer as points grow, at a steady days-per-point), and the
+// share of tasks with a due date that were completed on or before it.
+// Returns { sizes: [{ label, eta, count, averageDays, daysPerPoint }], onTimeRate, onTimeCount, dueCount }.
+export const buildEstimateAccuracy = (tasks, from, to) => {
+  const completed = completedInRange(tasks, from, to);
+
+  const byEta = new Map();
+  completed.forEach(task => {
+    const eta = task.eta || 0;
+    if (!byEta.has(eta)) byEta.set(eta, []);
+    byEta.get(eta).push(cycleDays(task));
+  });
+  const sizes = [...byEta.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([eta, days]) => {
+      const averageDays = average(days);
+      return { label: `${eta} pts`, eta, count: days.length, averageDays, daysPerPoint: eta > 0 ? averageDays / eta : null };
+    });
+
+  const withDueDate = completed.filter(task => task.dueDate);
+  const onTimeCount = withDueDate.filter(task => task.completedDate < addDays(startOfDay(task.dueDate), 1)).length;
+  return {
+    sizes,
+    onTimeCount,
+    dueCount: withDueDate.length,
+    onTimeRate: withDueDate.length > 0 ? onTimeCount / withDueDate.length : null,
+  };
+};
@@ -0,0 +1,119 @@
+import { buildBurndown, buildWeeklyThroughput, buildCycleTimes, buildEstimateAccuracy } from './reports';
+
+// Tests run in America/New_York (see globalTestSetup.js), where the clocks go forward
+// on 2026-03-08 and back on 2026-11-01
+
+// Local time on a day, e.g. at('2026-03-08', 23, 30)
+const at = (date, hours = 0, minutes = 0) => {
+  const [year, month, dayOfMonth] = date.split('-').map(Number);
+  return new Date(year, month - 1, dayOfMonth, hours, minutes).getTime();
+};
+
+const task = (overrides = {}) => ({
+  id: 't',
+  title: 'Task',
+  eta: 1,
+  dueDate: null,
+  completedDate: null,
+  createdAt: at('2026-01-01'),
+  ...overrides,
+});
+
+describe('buildBurndown', () => {
+  test('has one point per day of the range, ends included', () => {
+    const days = buildBurndown([], at('2026-03-07'), at('2026-03-10'));
+    expect(days.map(day => day.label)).toEqual(['Mar 7', 'Mar 8', 'Mar 9', 'Mar 10']);
+  });
+
+  test('counts points as remaining until the end of their completion day', () => {
+    const tasks = [
+      // Just after midnight following the short day the clocks go forward
+      task({ eta: 5, completedDate: at('2026-03-09', 0, 30) }),
+      task({ eta: 2, completedDate: at('2026-03-08', 23, 30) }),
+      task({ eta: 3 }),
+    ];
+    const days = buildBurndown(tasks, at('2026-03-07'), at('2026-03-09'));
+    expect(days.map(day => day.remaining)).toEqual([10, 8, 3]);
+  });
+
+  test('leaves out tasks created after the day and plans by due date', () => {
+    const tasks = [
+      task({ eta: 4, createdAt: at('2026-03-08', 12), dueDate: at('2026-03-09') }),
+      task({ eta: 1, dueDate: at('2026-03-07') }),
+    ];
+    const days = buildBurndown(tasks, at('2026-03-07'), at('2026-03-09'));
+    expect(days.map(day => day.remaining)).toEqual([1, 5, 5]);
+    expect(days.map(day => day.planned)).toEqual([0, 4, 0]);
+  });
+});
+
+describe('buildWeeklyThroughput', () => {
+  test('splits weeks at Monday midnight when the clocks go back', () => {
+    const tasks = [
+      task({ eta: 3, completedDate: at('2026-11-01', 23, 30) }),
+      task({ eta: 5, completedDate: at('2026-11-02', 0, 15) }),
+      task({ eta: 8 }),
+    ];
+    const weeks = buildWeeklyThroughput(tasks, at('2026-10-28'), at('2026-11-08'));
+    expect(weeks).toEqual([
+      { label: 'Oct 26', points: 3, count: 1 },
+      { label: 'Nov 2', points: 5, count: 1 },
+    ]);
+  });
+});
+
+describe('buildCycleTimes', () => {
+  test('averages days from creation to completion per week and overall', () => {
+    const tasks = [
+      task({ createdAt: at('2026-03-02', 12), completedDate: at('2026-03-04', 12) }),
+      task({ createdAt: at('2026-03-01', 12), completedDate: at('2026-03-05', 12) }),
+      task({ createdAt: at('2026-03-10', 12), completedDate: at('2026-03-11', 12) }),
+      // Outside the range
+      task({ createdAt: at('2026-02-01'), completedDate: at('2026-02-20') }),
+    ];
+    const result = buildCycleTimes(tasks, at('2026-03-02'), at('2026-03-15'));
+    expect(result.count).toBe(3);
+    expect(result.averageDays).toBeCloseTo(7 / 3);
+    expect(result.medianDays).toBeCloseTo(2);
+    expect(result.weeks.map(week => [week.label, week.count])).toEqual([['Mar 2', 2], ['Mar 9', 1]]);
+    expect(result.weeks[0].averageDays).toBeCloseTo(3);
+    expect(result.weeks[1].averageDays).toBeCloseTo(1);
+  });
+
+  test('includes the whole last day of the range and reports nothing when empty', () => {
+    const late = task({ createdAt: at('2026-03-14'), completedDate: at('2026-03-15', 23, 59) });
+    expect(buildCycleTimes([late], at('2026-03-09'), at('2026-03-15')).count).toBe(1);
+
+    const empty = buildCycleTimes([], at('2026-03-09'), at('2026-03-15'));
+    expect(empty).toMatchObject({ averageDays: null, medianDays: null, count: 0 });
+    expect(empty.weeks).toEqual([{ label: 'Mar 9', averageDays: 0, count: 0 }]);
+  });
+});
+
+describe('buildEstimateAccuracy', () => {
+  test('groups cycle times by estimate size', () => {
+    const tasks = [
+      task({ eta: 2, createdAt: at('2026-03-02'), completedDate: at('2026-03-04') }),
+      task({ eta: 2, createdAt: at('2026-03-02'), completedDate: at('2026-03-06') }),
+      task({ eta: 1, createdAt: at('2026-03-03'), completedDate: at('2026-03-04') }),
+      task({ eta: 0, createdAt: at('2026-03-03'), completedDate: at('2026-03-04') }),
+    ];
+    const { sizes } = buildEstimateAccuracy(tasks, at('2026-03-01'), at('2026-03-07'));
+    expect(sizes.map(size => [size.label, size.count])).toEqual([['0 pts', 1], ['1 pts', 1], ['2 pts', 2]]);
+    expect(sizes[2].averageDays).toBeCloseTo(3);
+    expect(sizes[2].daysPerPoint).toBeCloseTo(1.5);
+    expect(sizes[0].daysPerPoint).toBeNull();
+  });
+
+  test('counts a task as on time when completed any time on its due day', () => {
+    const tasks = [
+      // Due on the day the clocks go back, finished that night
+      task({ dueDate: at('2026-11-01'), completedDate: at('2026-11-01', 23, 45) }),
+      task({ dueDate: at('2026-11-01'), completedDate: at('2026-11-02', 0, 10) }),
+      task({ completedDate: at('2026-11-02') }),
+    ];
+    const result = buildEstimateAccuracy(tasks, at('2026-10-26'), at('2026-11-08'));
+    expect(result).toMatchObject({ onTimeCount: 1, dueCount: 2, onTimeRate: 0.5 });
+    expect(buildEstimateAccuracy([], at('2026-10-26'), at('2026-11-08')).onTimeRate).toBeNull();
+  });
+});
@@ -0,0 +1,281 @@
+// --- Storage Adapters ---
+// Both adapters persist the same document: { schemaVersion, activeBoardId, boards },
+// where each board carries its own `tasks` array. They expose the same interface:
+//
+//   load()                 -> Promise<{ data, needsFullSave } | null>
+//                             `data` is whatever was stored (migrated by the caller),
+//                             null when nothing has been saved yet.
+//   save(data, previous)   -> Promise<void>
+//                             `previous` is the last document handed to save (or null to
+//                             rewrite everything); adapters may use it to write only changes.
+//
+// A read of text that isn't valid JSON rejects with an Error carrying the text as `rawText`.
+
+const DB_NAME = 'task_manager';
+const DB_VERSION = 1;
+const META_STORE = 'meta';
+const TASKS_STORE = 'tasks';
+const META_KEY = 'boards';
+
+// Parse stored JSON text, keeping the text on the error so it can be set aside
+const parseStoredText = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    const error = new Error('Saved data is not valid JSON.');
+    error.rawText = text;
+    throw error;
+  }
+};
+
+// Board metadata without the tasks, which IndexedDB keeps in their own store. Task records
+// come back in key order, so each board also keeps its task ids in board order (`taskOrder`).
+const toMeta = (data) => ({
+  key: META_KEY,
+  schemaVersion: data.schemaVersion,
+  activeBoardId: data.activeBoardId,
+  boards: data.boards.map(({ tasks, ...board }) => ({ ...board, taskOrder: tasks.map(task => task.id) })),
+});
+
+// A board's tasks in their saved order. Tasks missing from the order (written by an older
+// version) follow the rest in creation order.
+const orderTasks = (tasks, taskOrder) => {
+  const positions = new Map((Array.isArray(taskOrder) ? taskOrder : []).map((id, index) => [id, index]));
+  const position = (task) => (positions.has(task.id) ? positions.get(task.id) : Infinity);
+  return [...tasks].sort((a, b) => (position(a) - position(b)) || ((a.createdAt || 0) - (b.createdAt || 0)));
+};
+
+// --- localStorage Adapter ---
+// Serializes the whole document into one key. Used where IndexedDB isn't available.
+export const createLocalStorageAdapter = ({ key, legacyKeys = [] }) => ({
+  name: 'localStorage',
+
+  load: async () => {
+    const text = localStorage.getItem(key);
+    if (!text) return null;
+    return { data: parseStoredText(text), needsFullSave: false };
+  },
+
+  save: async (data) => {
+    localStorage.setItem(key, JSON.stringify(data));
+    // Keys from older layouts are folded into the document once it has been written
+    legacyKeys.forEach(legacyKey => localStorage.removeItem(legacyKey));
+  },
+});
+
+// --- IndexedDB Adapter ---
+// Wrap an IDBRequest in a promise
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Resolve once a transaction commits; reject if it errors or aborts (e.g. quota exceeded)
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('The save was aborted.'));
+});
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(META_STORE)) {
+      db.createObjectStore(META_STORE, { keyPath: 'key' });
+    }
+    if (!db.objectStoreNames.contains(TASKS_STORE)) {
+      // Tasks are keyed per board so duplicated/imported ids can't collide across boards
+      const tasksStore = db.createObjectStore(TASKS_STORE, { keyPath: ['boardId', 'id'] });
+      tasksStore.createIndex('boardId', 'boardId');
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Work out which task records changed since the previous save. Tasks are updated
+// immutably, so a different object reference means the task was modified.
+export const diffTasks = (data, previous) => {
+  const previousTasks = new Map();
+  previous.boards.forEach(board => {
+    board.tasks.forEach(task => previousTasks.set(`${board.id}\u0000${task.id}`, { boardId: board.id, task }));
+  });
+
+  const puts = [];
+  data.boards.forEach(board => {
+    board.tasks.forEach(task => {
+      const mapKey = `${board.id}\u0000${task.id}`;
+      const before = previousTasks.get(mapKey);
+      previousTasks.delete(mapKey);
+      if (!before || before.task !== task) puts.push({ ...task, boardId: board.id });
+    });
+  });
+
+  // Whatever is left no longer exists on any board
+  const deletes = [...previousTasks.values()].map(({ boardId, task }) => [boardId, task.id]);
+  return { puts, deletes };
+};
+
+// Keeps board metadata in one record and every task in its own record, so a change
+// to one task writes only that task. On first use it copies over any data found under
+// the localStorage key, then removes that key once the copy has been written.
+export const createIndexedDbAdapter = ({ legacyKey, legacyKeys = [] }) => {
+  let dbPromise = null;
+  let lastMetaJson = null;
+  let pendingLegacyCleanup = false;
+
+  const getDb = () => {
+    if (!dbPromise) dbPromise = openDatabase();
+    return dbPromise;
+  };
+
+  return {
+    name: 'IndexedDB',
+
+    load: async () => {
+      const db = await getDb();
+      const transaction = db.transaction([META_STORE, TASKS_STORE], 'readonly');
+      const [meta, taskRecords] = await Promise.all([
+        requestToPromise(transaction.objectStore(META_STORE).get(META_KEY)),
+        requestToPromise(transaction.objectStore(TASKS_STORE).getAll()),
+      ]);
+
+      if (!meta) {
+        // One-time migration from the localStorage layout
+        const text = localStorage.getItem(legacyKey);
+        if (!text) return null;
+        pendingLegacyCleanup = true;
+        return { data: parseStoredText(text), needsFullSave: true };
+      }
+
+      lastMetaJson = JSON.stringify(meta);
+      const tasksByBoard = new Map();
+      taskRecords.forEach(({ boardId, ...task }) => {
+        if (!tasksByBoard.has(boardId)) tasksByBoard.set(boardId, []);
+        tasksByBoard.get(boardId).push(task);
+      });
+
+      const { key, ...document } = meta;
+      return {
+        data: {
+          ...document,
+          boards: (Array.isArray(meta.boards) ? meta.boards : []).map(({ taskOrder, ...board }) => ({
+            ...board,
+            tasks: orderTasks(tasksByBoard.get(board.id) || [], taskOrder),
+          })),
+        },
+        needsFullSave: false,
+      };
+    },
+
+    save: async (data, previous) => {
+      const db = await getDb();
+      const transaction = db.transaction([META_STORE, TASKS_STORE], 'readwrite');
+      const done = transactionDone(transaction);
+      const tasksStore = transaction.objectStore(TASKS_STORE);
+
+      const meta = toMeta(data);
+      const metaJson = JSON.stringify(meta);
+      if (!previous || metaJson !== lastMetaJson) {
+        transaction.objectStore(META_STORE).put(meta);
+      }
+
+      if (!previous) {
+        // Full rewrite: drop anything stale and write every task
+        tasksStore.clear();
+        data.boards.forEach(board => board.tasks.forEach(task => tasksStore.put({ ...task, boardId: board.id })));
+      } else {
+        const { puts, deletes } = diffTasks(data, previous);
+        puts.forEach(record => tasksStore.put(record));
+        deletes.forEach(key => tasksStore.delete(key));
+      }
+
+      try {
+        await done;
+      } catch (error) {
+        // The transaction rolled back, so the stored metadata is no longer known
+        lastMetaJson = null;
+        throw error;
+      }
+      lastMetaJson = metaJson;
+
+      if (pendingLegacyCleanup) {
+        [legacyKey, ...legacyKeys].forEach(key => localStorage.removeItem(key));
+        pendingLegacyCleanup = false;
+      }
+    },
+  };
+};
+
+// Prefer IndexedDB; fall back to localStorage where it's missing or can't be opened
+// (e.g. some private browsing modes)
+export const createStorageAdapter = ({ key, legacyKeys = [] }) => {
+  const localAdapter = createLocalStorageAdapter({ key, legacyKeys });
+  if (typeof indexedDB === 'undefined') return localAdapter;
+
+  const indexedDbAdapter = createIndexedDbAdapter({ legacyKey: key, legacyKeys });
+  let activeAdapter = indexedDbAdapter;
+
+  return {
+    get name() {
+      return activeAdapter.name;
+    },
+
+    load: async () => {
+      try {
+        return await indexedDbAdapter.load();
+      } catch (error) {
+        if (error.rawText !== undefined) throw error;
+        console.warn('IndexedDB is unavailable, falling back to localStorage:', error);
+        activeAdapter = localAdapter;
+        return localAdapter.load();
+      }
+    },
+
+    save: (data, previous) => activeAdapter.save(data, previous),
+  };
+};
+
+// --- Cross-Tab Messaging ---
+// Lets tabs of the app tell each other what they changed. Uses a BroadcastChannel where
+// available; otherwise messages travel through `storage` events on a scratch localStorage key.
+//
+//   createTabChannel({ name, onMessage }) -> { post(message), close() }
+export const createTabChannel = ({ name, onMessage }) => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(name);
+    channel.onmessage = (event) => onMessage(event.data);
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close(),
+    };
+  }
+
+  // `storage` events only fire in the other tabs, and only when the value changes,
+  // so each message is written with a unique stamp and removed straight away
+  const handleStorage = (event) => {
+    if (event.key !== name || !event.newValue) return;
+    try {
+      onMessage(JSON.parse(event.newValue).message);
+    } catch (error) {
+      console.warn('Ignoring unreadable message from another tab:', error);
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+  return {
+    post: (message) => {
+      localStorage.setItem(name, JSON.stringify({ stamp: `${Date.now()}-${Math.random()}`, message }));
+      localStorage.removeItem(name);
+    },
+    close: () => window.removeEventListener('storage', handleStorage),
+  };
+};
+
+// Human-readable explanation of a failed write
+export const describeStorageError = (error) => {
+  if (error && (error.name === 'QuotaExceededError' || error.code === 22)) {
+    return 'Your browser\'s storage is full, so recent changes were not saved. Export a backup and delete or archive old tasks to free up space.';
+  }
+  return `Recent changes could not be saved (${error?.message || 'unknown error'}). Export a backup before closing this tab.`;
+};
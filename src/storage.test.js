@@ -0,0 +1,55 @@
+import { diffTasks } from './storage';
+
+const task = (id, overrides = {}) => ({ id, title: `Task ${id}`, eta: 1, createdAt: 1000, ...overrides });
+
+const documentWith = (boards) => ({
+  schemaVersion: 4,
+  activeBoardId: boards[0]?.id ?? null,
+  boards: boards.map(([id, tasks]) => ({ id, name: id, columns: [], tasks })),
+});
+
+describe('diffTasks', () => {
+  test('writes nothing when every task is the same object as before', () => {
+    const a = task('a');
+    const b = task('b');
+    const previous = documentWith([['one', [a, b]]]);
+    const next = documentWith([['one', [b, a]]]);
+    expect(diffTasks(next, previous)).toEqual({ puts: [], deletes: [] });
+  });
+
+  test('puts new and changed tasks, tagged with their board', () => {
+    const a = task('a');
+    const b = task('b');
+    const previous = documentWith([['one', [a, b]]]);
+    // An equal copy still counts as changed: edits always replace the task object
+    const next = documentWith([['one', [a, { ...b, title: 'Renamed' }, task('c')]]]);
+    const { puts, deletes } = diffTasks(next, previous);
+    expect(puts).toEqual([
+      { ...b, title: 'Renamed', boardId: 'one' },
+      { ...task('c'), boardId: 'one' },
+    ]);
+    expect(deletes).toEqual([]);
+  });
+
+  test('deletes tasks that are gone, including those of a removed board', () => {
+    const a = task('a');
+    const previous = documentWith([['one', [a, task('b')]], ['two', [task('c')]]]);
+    const next = documentWith([['one', [a]]]);
+    expect(diffTasks(next, previous)).toEqual({ puts: [], deletes: [['one', 'b'], ['two', 'c']] });
+  });
+
+  test('moves a task between boards as a put on the new board and a delete on the old', () => {
+    const a = task('a');
+    const previous = documentWith([['one', [a]], ['two', []]]);
+    const next = documentWith([['one', []], ['two', [a]]]);
+    expect(diffTasks(next, previous)).toEqual({ puts: [{ ...a, boardId: 'two' }], deletes: [['one', 'a']] });
+  });
+
+  test('keeps tasks with the same id on different boards apart', () => {
+    const first = task('same');
+    const second = task('same', { title: 'Other' });
+    const previous = documentWith([['one', [first]], ['two', [second]]]);
+    const next = documentWith([['one', [first]], ['two', []]]);
+    expect(diffTasks(next, previous)).toEqual({ puts: [], deletes: [['two', 'same']] });
+  });
+});
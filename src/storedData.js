@@ -0,0 +1,257 @@
+// --- Stored Data Schema & Migrations ---
+// Brings whatever a storage adapter (see storage.js) hands back up to the current layout,
+// then repairs or sets aside records that don't pass validation.
+
+import {
+  ARCHIVED_STATUS,
+  DEFAULT_BOARD_NAME,
+  DEFAULT_PRIORITY,
+  PRIORITIES,
+  createBoard,
+  generateId,
+  sanitizeAutoArchiveDays,
+  sanitizeColumns,
+  sanitizeFilterPresets,
+  sanitizeFilters,
+  sanitizeLabels,
+  sanitizeRecurrence,
+  sanitizeSprints,
+  sanitizeTemplates,
+  sanitizeTrash,
+  sanitizeTrashRetentionDays,
+  validateTaskRecord,
+} from './boardData';
+
+// Version of the stored board document. Bump it and add a step to SCHEMA_MIGRATIONS when
+// existing records have to be rewritten to fit a new shape (a field renamed, moved or given a
+// new meaning). Optional fields added later need no step: boards saved without sprints, labels,
+// templates, trash or archive and retention settings get their defaults from the sanitizers in
+// validateStoredData, and tasks saved without a priority count as Medium and without labels,
+// a repeat rule or blockers as having none.
+export const SCHEMA_VERSION = 4;
+// Records that couldn't be repaired on load are kept here instead of being dropped
+export const QUARANTINE_KEY = 'task_manager_quarantine';
+// Columns were stored under their own key before boards existed; only read when migrating
+export const LEGACY_COLUMNS_KEY = 'task_manager_columns';
+
+// JSON.parse that returns the fallback for missing or malformed text
+export const safeJsonParse = (text, fallback) => {
+  if (!text) return fallback;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return fallback;
+  }
+};
+
+// Work out which schema version stored data was written with.
+// v0 was a bare task array; v1 added boards but no version field.
+const detectSchemaVersion = (data) => {
+  if (Array.isArray(data)) return 0;
+  if (data && typeof data.schemaVersion === 'number') return data.schemaVersion;
+  return 1;
+};
+
+// Each step upgrades data from version N to N + 1
+const SCHEMA_MIGRATIONS = {
+  // v0 -> v1: wrap the task array and the separately stored columns into a "Default" board
+  0: (tasks, { legacyColumns }) => {
+    const board = createBoard(DEFAULT_BOARD_NAME, { tasks, columns: sanitizeColumns(legacyColumns) });
+    return { activeBoardId: board.id, boards: [board] };
+  },
+  // v1 -> v2: start recording the schema version alongside the data
+  1: (data) => ({ ...data, schemaVersion: 2 }),
+  // v2 -> v3: tasks carry a last-modified time (used to resolve sync conflicts)
+  2: (data) => ({
+    ...data,
+    schemaVersion: 3,
+    boards: Array.isArray(data.boards) ? data.boards.map(board => ({
+      ...board,
+      tasks: Array.isArray(board?.tasks) ? board.tasks.map(task => (
+        task && typeof task === 'object' && !task.updatedAt
+          ? { ...task, updatedAt: task.completedDate || task.createdAt || Date.now() }
+          : task
+      )) : board?.tasks,
+    })) : data.boards,
+  }),
+  // v3 -> v4: tasks keep an activity history; seed it from the dates already recorded
+  3: (data) => ({
+    ...data,
+    schemaVersion: 4,
+    boards: Array.isArray(data.boards) ? data.boards.map(board => {
+      const columns = Array.isArray(board?.columns) ? board.columns : [];
+      const doneStatus = columns.length > 0 ? columns[columns.length - 1]?.name : undefined;
+      return {
+        ...board,
+        tasks: Array.isArray(board?.tasks) ? board.tasks.map(task => {
+          if (!task || typeof task !== 'object' || Array.isArray(task.history)) return task;
+          const history = [];
+          if (task.createdAt) history.push({ at: task.createdAt, type: 'created' });
+          if (task.completedDate) history.push({ at: task.completedDate, type: 'status', to: doneStatus });
+          if (task.archivedAt) history.push({ at: task.archivedAt, type: 'status', from: doneStatus, to: ARCHIVED_STATUS });
+          return { ...task, history };
+        }) : board?.tasks,
+      };
+    }) : data.boards,
+  }),
+};
+
+// Run every migration needed to bring stored data up to SCHEMA_VERSION
+export const migrateData = (data, context) => {
+  let version = detectSchemaVersion(data);
+  let migrated = data;
+  while (version < SCHEMA_VERSION) {
+    migrated = SCHEMA_MIGRATIONS[version](migrated, context);
+    version += 1;
+  }
+  return { data: { ...migrated, schemaVersion: SCHEMA_VERSION }, fromVersion: detectSchemaVersion(data) };
+};
+
+// Coerce a stored date (timestamp, numeric string or date string) to a timestamp, or null
+const repairTimestamp = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const timestamp = typeof value === 'number' ? value : (Number(value) || new Date(value).getTime());
+  return Number.isFinite(timestamp) ? timestamp : null;
+};
+
+// Fill in or fix fields that have safe defaults. Returns null when the record has
+// nothing usable to show (not an object, or no title), so it can be quarantined instead.
+const repairTaskRecord = (task, fallbackStatus) => {
+  if (!task || typeof task !== 'object' || Array.isArray(task)) return null;
+  if (typeof task.title !== 'string' || !task.title.trim()) return null;
+
+  const eta = Number(task.eta);
+  const subtasks = Array.isArray(task.subtasks) ? task.subtasks : [];
+  return {
+    ...task,
+    id: typeof task.id === 'string' && task.id ? task.id : generateId(),
+    description: typeof task.description === 'string' ? task.description : String(task.description ?? ''),
+    status: typeof task.status === 'string' && task.status ? task.status : fallbackStatus,
+    eta: Number.isFinite(eta) && eta >= 0 ? eta : 1,
+    dueDate: repairTimestamp(task.dueDate),
+    startDate: repairTimestamp(task.startDate),
+    blockedBy: Array.isArray(task.blockedBy) ? task.blockedBy.filter(id => typeof id === 'string') : [],
+    labels: Array.isArray(task.labels) ? task.labels.filter(label => typeof label === 'string') : [],
+    priority: PRIORITIES.some(priority => priority.id === task.priority) ? task.priority : DEFAULT_PRIORITY,
+    recurrence: sanitizeRecurrence(task.recurrence),
+    completedDate: repairTimestamp(task.completedDate),
+    createdAt: repairTimestamp(task.createdAt) || Date.now(),
+    updatedAt: repairTimestamp(task.updatedAt) || Date.now(),
+    history: Array.isArray(task.history) ? task.history.filter(entry => entry && typeof entry.at === 'number') : [],
+    subtasks: subtasks
+      .filter(sub => sub && typeof sub === 'object' && typeof sub.title === 'string' && sub.title.trim())
+      .map(sub => {
+        const subEta = Number(sub.eta);
+        return {
+          ...sub,
+          id: typeof sub.id === 'string' && sub.id ? sub.id : generateId(),
+          completed: sub.completed === true || sub.completed === 'true',
+          eta: Number.isFinite(subEta) && subEta >= 0 ? subEta : 0,
+          dueDate: repairTimestamp(sub.dueDate),
+        };
+      }),
+  };
+};
+
+// Validate every board and task after migration. Valid records pass through untouched,
+// fixable ones are repaired, and the rest are reported for quarantine.
+const validateStoredData = (data) => {
+  const report = { repaired: [], quarantined: [] };
+  const rawBoards = Array.isArray(data.boards) ? data.boards.filter(board => board && typeof board === 'object') : [];
+
+  const boards = rawBoards.map((board, boardIndex) => {
+    const name = typeof board.name === 'string' && board.name.trim() ? board.name : `Untitled Board ${boardIndex + 1}`;
+    const columns = sanitizeColumns(board.columns);
+    const rawTasks = Array.isArray(board.tasks) ? board.tasks : [];
+    if (!Array.isArray(board.tasks)) report.repaired.push(`Board "${name}" had no task list; started an empty one.`);
+
+    const tasks = [];
+    rawTasks.forEach((task, taskIndex) => {
+      const problems = validateTaskRecord(task);
+      if (problems.length === 0) {
+        tasks.push(task);
+        return;
+      }
+      const repaired = repairTaskRecord(task, columns[0].name);
+      if (repaired && validateTaskRecord(repaired).length === 0) {
+        tasks.push(repaired);
+        report.repaired.push(`Board "${name}", task "${repaired.title}" ${problems.join(', ')}; fixed with defaults.`);
+      } else {
+        report.quarantined.push({ boardId: board.id, boardName: name, record: task, problems });
+        report.repaired.push(`Board "${name}", task #${taskIndex + 1} ${problems.join(', ')}; set aside.`);
+      }
+    });
+
+    return {
+      ...board,
+      id: typeof board.id === 'string' && board.id ? board.id : generateId(),
+      name,
+      columns,
+      sprints: sanitizeSprints(board.sprints),
+      labels: sanitizeLabels(board.labels),
+      filterPresets: sanitizeFilterPresets(board.filterPresets),
+      templates: sanitizeTemplates(board.templates),
+      autoArchiveDays: sanitizeAutoArchiveDays(board.autoArchiveDays),
+      trash: sanitizeTrash(board.trash),
+      trashRetentionDays: sanitizeTrashRetentionDays(board.trashRetentionDays),
+      tasks,
+      filters: sanitizeFilters(board.filters),
+    };
+  });
+
+  if (boards.length === 0) {
+    boards.push(createBoard(DEFAULT_BOARD_NAME));
+    report.repaired.push('No readable boards were found; started a new empty board.');
+  }
+  const activeBoardId = boards.some(board => board.id === data.activeBoardId) ? data.activeBoardId : boards[0].id;
+  return { boards, activeBoardId, report };
+};
+
+// Append records that couldn't be repaired to the quarantine list in localStorage
+const quarantineRecords = (entries) => {
+  if (entries.length === 0) return;
+  const existing = safeJsonParse(localStorage.getItem(QUARANTINE_KEY), []);
+  const quarantinedAt = Date.now();
+  localStorage.setItem(QUARANTINE_KEY, JSON.stringify([
+    ...(Array.isArray(existing) ? existing : []),
+    ...entries.map(entry => ({ ...entry, quarantinedAt })),
+  ]));
+};
+
+// Load, migrate and validate all stored boards through the storage adapter. Returns the
+// boards, a report of anything repaired or set aside, and whether storage should be fully rewritten.
+export const loadStoredData = async (adapter) => {
+  let loaded;
+  try {
+    loaded = await adapter.load();
+  } catch (error) {
+    if (error.rawText === undefined) throw error;
+    // Keep the unreadable text so it can still be recovered by hand
+    const entry = { record: error.rawText, problems: ['saved data is not valid JSON'] };
+    quarantineRecords([entry]);
+    const board = createBoard(DEFAULT_BOARD_NAME);
+    return {
+      boards: [board],
+      activeBoardId: board.id,
+      report: { repaired: ['Saved data could not be read and was set aside; started a new empty board.'], quarantined: [entry] },
+      needsFullSave: true,
+    };
+  }
+
+  if (!loaded) {
+    const board = createBoard(DEFAULT_BOARD_NAME);
+    return { boards: [board], activeBoardId: board.id, report: { repaired: [], quarantined: [] }, needsFullSave: true };
+  }
+
+  const legacyColumns = safeJsonParse(localStorage.getItem(LEGACY_COLUMNS_KEY), null);
+  const { data, fromVersion } = migrateData(loaded.data, { legacyColumns });
+  const result = validateStoredData(data);
+  if (fromVersion > SCHEMA_VERSION) {
+    result.report.repaired.unshift(`This data was saved by a newer version of the app (schema v${fromVersion}); some details may not be shown.`);
+  }
+  quarantineRecords(result.report.quarantined);
+  return {
+    ...result,
+    needsFullSave: loaded.needsFullSave || fromVersion !== SCHEMA_VERSION || result.report.repaired.length > 0,
+  };
+};
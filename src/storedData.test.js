@@ -0,0 +1,169 @@
+import { migrateData, loadStoredData } from './storedData';
+
+if (!global.crypto) global.crypto = {};
+if (!global.crypto.randomUUID) global.crypto.randomUUID = () => Math.random().toString(36).slice(2);
+
+const QUARANTINE_KEY = 'task_manager_quarantine';
+const LEGACY_COLUMNS_KEY = 'task_manager_columns';
+
+const COLUMNS = [
+  { id: 'todo', name: 'To Do', color: 'blue' },
+  { id: 'done', name: 'Done', color: 'green' },
+];
+
+const task = (overrides = {}) => ({
+  id: 't1',
+  title: 'Write tests',
+  description: '',
+  status: 'To Do',
+  eta: 2,
+  dueDate: null,
+  completedDate: null,
+  createdAt: 1000,
+  subtasks: [],
+  ...overrides,
+});
+
+// A storage adapter that hands back the given document (see storage.js)
+const adapterFor = (data, needsFullSave = false) => ({ load: async () => (data === null ? null : { data, needsFullSave }) });
+
+beforeEach(() => localStorage.clear());
+
+describe('migrateData', () => {
+  test('v0: wraps a bare task array and the separately saved columns into a board', () => {
+    const { data, fromVersion } = migrateData([task()], { legacyColumns: COLUMNS });
+    expect(fromVersion).toBe(0);
+    expect(data.schemaVersion).toBe(4);
+    expect(data.boards).toHaveLength(1);
+    const [board] = data.boards;
+    expect(data.activeBoardId).toBe(board.id);
+    expect(board.name).toBe('Default');
+    expect(board.columns).toEqual(COLUMNS);
+    expect(board.tasks[0]).toMatchObject({ id: 't1', updatedAt: 1000, history: [{ at: 1000, type: 'created' }] });
+  });
+
+  test('v0 without saved columns uses the default ones', () => {
+    const { data } = migrateData([], { legacyColumns: null });
+    expect(data.boards[0].columns.map(column => column.name)).toEqual(['Opened', 'In Progress', 'Completed']);
+  });
+
+  test('v1 to v4: adds the schema version, stamps updatedAt and seeds the history from recorded dates', () => {
+    const stored = {
+      activeBoardId: 'b',
+      boards: [{
+        id: 'b',
+        name: 'Work',
+        columns: COLUMNS,
+        tasks: [
+          task({ id: 'done', status: 'Done', completedDate: 5000 }),
+          task({ id: 'archived', status: 'Archived', completedDate: 5000, archivedAt: 9000 }),
+        ],
+      }],
+    };
+    const { data, fromVersion } = migrateData(stored, {});
+    expect(fromVersion).toBe(1);
+    expect(data.schemaVersion).toBe(4);
+    const [done, archived] = data.boards[0].tasks;
+    expect(done.updatedAt).toBe(5000);
+    expect(done.history).toEqual([{ at: 1000, type: 'created' }, { at: 5000, type: 'status', to: 'Done' }]);
+    expect(archived.history[2]).toEqual({ at: 9000, type: 'status', from: 'Done', to: 'Archived' });
+  });
+
+  test('v2 to v3 keeps an updatedAt that is already there', () => {
+    const stored = { schemaVersion: 2, activeBoardId: 'b', boards: [{ id: 'b', name: 'B', columns: COLUMNS, tasks: [task({ updatedAt: 7 })] }] };
+    expect(migrateData(stored, {}).data.boards[0].tasks[0].updatedAt).toBe(7);
+  });
+
+  test('v3 to v4 keeps a history that is already there', () => {
+    const history = [{ at: 1, type: 'created' }];
+    const stored = { schemaVersion: 3, activeBoardId: 'b', boards: [{ id: 'b', name: 'B', columns: COLUMNS, tasks: [task({ updatedAt: 7, history })] }] };
+    const { data } = migrateData(stored, {});
+    expect(data.boards[0].tasks[0].history).toBe(history);
+    expect(data.boards[0].tasks[0].updatedAt).toBe(7);
+  });
+
+  test('leaves current data alone, and malformed boards for validation', () => {
+    const stored = { schemaVersion: 4, activeBoardId: 'b', boards: [{ id: 'b', name: 'B', columns: COLUMNS, tasks: [task()] }] };
+    expect(migrateData(stored, {}).data).toEqual(stored);
+    const malformed = { schemaVersion: 2, boards: [null, { id: 'x', tasks: 'nope' }] };
+    expect(migrateData(malformed, {}).data.boards[1]).toEqual({ id: 'x', tasks: 'nope' });
+  });
+});
+
+describe('loadStoredData', () => {
+  test('starts an empty board when nothing was saved', async () => {
+    const result = await loadStoredData(adapterFor(null));
+    expect(result.boards).toHaveLength(1);
+    expect(result.needsFullSave).toBe(true);
+    expect(result.report).toEqual({ repaired: [], quarantined: [] });
+  });
+
+  test('migrates old data, reading the legacy columns key, and asks for a full save', async () => {
+    localStorage.setItem(LEGACY_COLUMNS_KEY, JSON.stringify(COLUMNS));
+    const result = await loadStoredData(adapterFor([task()]));
+    expect(result.boards[0].columns).toEqual(COLUMNS);
+    expect(result.boards[0].tasks.map(t => t.id)).toEqual(['t1']);
+    expect(result.needsFullSave).toBe(true);
+  });
+
+  test('loads valid current data without rewriting it', async () => {
+    const stored = { schemaVersion: 4, activeBoardId: 'b', boards: [{ id: 'b', name: 'B', columns: COLUMNS, tasks: [task({ updatedAt: 1, history: [] })] }] };
+    const result = await loadStoredData(adapterFor(stored));
+    expect(result.activeBoardId).toBe('b');
+    expect(result.boards[0].tasks[0]).toBe(stored.boards[0].tasks[0]);
+    expect(result.report.repaired).toEqual([]);
+    expect(result.needsFullSave).toBe(false);
+    expect(localStorage.getItem(QUARANTINE_KEY)).toBeNull();
+  });
+
+  test('repairs fixable records and quarantines the rest', async () => {
+    const unreadable = { id: 'bad', description: 'no title', eta: 1 };
+    const stored = {
+      schemaVersion: 4,
+      activeBoardId: 'missing',
+      boards: [{
+        id: 'b',
+        name: 'B',
+        columns: COLUMNS,
+        tasks: [task({ id: 'fixable', eta: 'lots', status: '', createdAt: '2026-01-05' }), unreadable],
+      }],
+    };
+    const result = await loadStoredData(adapterFor(stored));
+
+    expect(result.activeBoardId).toBe('b');
+    const [fixed] = result.boards[0].tasks;
+    expect(result.boards[0].tasks).toHaveLength(1);
+    expect(fixed).toMatchObject({ id: 'fixable', eta: 1, status: 'To Do', createdAt: new Date('2026-01-05').getTime() });
+    expect(result.report.repaired).toEqual([
+      expect.stringMatching(/^Board "B", task "Write tests" .*fixed with defaults\.$/),
+      expect.stringMatching(/^Board "B", task #2 is missing a title.*set aside\.$/),
+    ]);
+    expect(result.report.quarantined).toEqual([{ boardId: 'b', boardName: 'B', record: unreadable, problems: expect.arrayContaining(['is missing a title']) }]);
+    expect(result.needsFullSave).toBe(true);
+
+    const quarantine = JSON.parse(localStorage.getItem(QUARANTINE_KEY));
+    expect(quarantine).toEqual([expect.objectContaining({ boardId: 'b', record: unreadable, quarantinedAt: expect.any(Number) })]);
+  });
+
+  test('adds to the quarantine instead of replacing it', async () => {
+    localStorage.setItem(QUARANTINE_KEY, JSON.stringify([{ record: 'older', problems: [] }]));
+    const stored = { schemaVersion: 4, activeBoardId: 'b', boards: [{ id: 'b', name: 'B', columns: COLUMNS, tasks: [42] }] };
+    await loadStoredData(adapterFor(stored));
+    expect(JSON.parse(localStorage.getItem(QUARANTINE_KEY)).map(entry => entry.record)).toEqual(['older', 42]);
+  });
+
+  test('sets unreadable JSON aside and starts over', async () => {
+    const error = new Error('Saved data is not valid JSON.');
+    error.rawText = '{"boards": [';
+    const result = await loadStoredData({ load: async () => { throw error; } });
+    expect(result.boards).toHaveLength(1);
+    expect(result.needsFullSave).toBe(true);
+    expect(JSON.parse(localStorage.getItem(QUARANTINE_KEY))[0]).toMatchObject({ record: '{"boards": [', problems: ['saved data is not valid JSON'] });
+  });
+
+  test('notes data written by a newer version of the app', async () => {
+    const stored = { schemaVersion: 9, activeBoardId: 'b', boards: [{ id: 'b', name: 'B', columns: COLUMNS, tasks: [] }] };
+    const result = await loadStoredData(adapterFor(stored));
+    expect(result.report.repaired[0]).toMatch(/newer version of the app \(schema v9\)/);
+  });
+});
@@ -0,0 +1,258 @@
+// --- Task Search Queries ---
+// Search text is a list of space-separated terms that must all match:
+//
+//   bug login                 plain words: found in the title, description or a subtask title
+//   "needs review"            quotes keep spaces together
+//   status:"In Progress"      column name              label:bug      label name
+//   priority:high             urgent, high, ...        title:/desc:   text in one field only
+//   eta:>3                    points, compared with =, >, >=, < or <=
+//   due:<2026-11-01           due, start, created and completed dates, compared the same way;
+//                             dates are YYYY-MM-DD, today, yesterday or tomorrow
+//   has:subtasks              has subtasks, labels, blockers, due or description
+//   is:overdue                is overdue (or has an overdue subtask), blocked, done or open
+//   -"wontfix" -label:bug     a leading minus excludes matches
+//
+// Parsing needs a context describing the board:
+//   { statuses, labels, priorities, priorityOf(task), isOverdue(task), isBlocked(task) }
+// `statuses`, `labels` and `priorities` are name lists used for validation and suggestions.
+
+import { startOfDay } from './dates';
+
+const COMPARATORS = ['>=', '<=', '>', '<', '='];
+
+const HAS_VALUES = {
+  subtasks: (task) => (task.subtasks || []).length > 0,
+  labels: (task) => (task.labels || []).length > 0,
+  blockers: (task) => (task.blockedBy || []).length > 0,
+  due: (task) => !!task.dueDate,
+  description: (task) => !!(task.description || '').trim(),
+};
+
+const IS_VALUES = {
+  overdue: (task, context) => context.isOverdue(task),
+  blocked: (task, context) => context.isBlocked(task),
+  done: (task) => !!task.completedDate,
+  open: (task) => !task.completedDate,
+};
+
+const DATE_FIELDS = { due: 'dueDate', start: 'startDate', created: 'createdAt', completed: 'completedDate' };
+
+// Field names with the hint shown while typing them
+export const QUERY_FIELDS = [
+  { name: 'status', hint: 'column name' },
+  { name: 'label', hint: 'label name' },
+  { name: 'priority', hint: 'urgent, high, medium or low' },
+  { name: 'eta', hint: 'points, e.g. eta:>3' },
+  { name: 'due', hint: 'due date, e.g. due:<2026-11-01' },
+  { name: 'start', hint: 'start date' },
+  { name: 'created', hint: 'creation date' },
+  { name: 'completed', hint: 'completion date' },
+  { name: 'has', hint: Object.keys(HAS_VALUES).join(', ') },
+  { name: 'is', hint: Object.keys(IS_VALUES).join(', ') },
+  { name: 'title', hint: 'text in the title' },
+  { name: 'desc', hint: 'text in the description' },
+];
+
+const includesText = (text, needle) => (text || '').toLowerCase().includes(needle);
+
+const parseDay = (text) => {
+  const offsets = { yesterday: -1, today: 0, tomorrow: 1 };
+  if (text in offsets) {
+    const date = new Date();
+    date.setDate(date.getDate() + offsets[text]);
+    return startOfDay(date.getTime());
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : startOfDay(date.getTime());
+};
+
+// Split `>=3` into ['>=', '3']; no operator means equality
+const splitComparison = (value) => {
+  const operator = COMPARATORS.find(op => value.startsWith(op));
+  return operator ? [operator, value.slice(operator.length)] : ['=', value];
+};
+
+const compare = (left, operator, right) => {
+  switch (operator) {
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    default: return left === right;
+  }
+};
+
+// Break the text into terms, remembering where each one sits for error highlighting.
+// Returns [{ start, end, negated, field, value, quoted, unterminated }].
+export const tokenizeQuery = (text) => {
+  const tokens = [];
+  let index = 0;
+
+  const readQuoted = () => {
+    const close = text.indexOf('"', index + 1);
+    const value = text.slice(index + 1, close === -1 ? text.length : close);
+    index = close === -1 ? text.length : close + 1;
+    return { value, unterminated: close === -1 };
+  };
+
+  while (index < text.length) {
+    if (/\s/.test(text[index])) {
+      index += 1;
+      continue;
+    }
+    const start = index;
+    let negated = false;
+    if (text[index] === '-' && index + 1 < text.length && !/\s/.test(text[index + 1])) {
+      negated = true;
+      index += 1;
+    }
+
+    let field = null;
+    let value;
+    let quoted = false;
+    let unterminated = false;
+    if (text[index] === '"') {
+      ({ value, unterminated } = readQuoted());
+      quoted = true;
+    } else {
+      const wordMatch = /^[^\s:"]*/.exec(text.slice(index));
+      const word = wordMatch[0];
+      index += word.length;
+      if (text[index] === ':' && /^[a-z]+$/i.test(word)) {
+        field = word.toLowerCase();
+        index += 1;
+        if (text[index] === '"') {
+          ({ value, unterminated } = readQuoted());
+          quoted = true;
+        } else {
+          const valueMatch = /^\S*/.exec(text.slice(index));
+          value = valueMatch[0];
+          index += value.length;
+        }
+      } else {
+        // Anything else up to the next space is plain text
+        const rest = /^\S*/.exec(text.slice(index))[0];
+        value = word + rest;
+        index += rest.length;
+      }
+    }
+    tokens.push({ start, end: index, negated, field, value, quoted, unterminated });
+  }
+  return tokens;
+};
+
+// Turn one term into a test function, or an error message
+const compileToken = (token, context) => {
+  const { field, value, unterminated } = token;
+  if (unterminated) return { error: 'Missing closing quote.' };
+  const lower = value.toLowerCase();
+
+  if (field === null) {
+    if (!lower) return { test: () => true };
+    return {
+      test: (task) => includesText(task.title, lower) || includesText(task.description, lower)
+        || (task.subtasks || []).some(sub => includesText(sub.title, lower)),
+    };
+  }
+  if (!QUERY_FIELDS.some(known => known.name === field)) {
+    return { error: `Unknown field "${field}:". Try ${QUERY_FIELDS.map(known => `${known.name}:`).join(', ')}.` };
+  }
+  if (!value) return { error: `"${field}:" needs a value.` };
+
+  switch (field) {
+    case 'status': {
+      if (!context.statuses.some(status => status.toLowerCase() === lower)) return { error: `No column named "${value}".` };
+      return { test: (task) => task.status.toLowerCase() === lower };
+    }
+    case 'label': {
+      if (!context.labels.some(label => label.toLowerCase() === lower)) return { error: `No label named "${value}".` };
+      return { test: (task) => (task.labels || []).some(label => label.toLowerCase() === lower) };
+    }
+    case 'priority': {
+      if (!context.priorities.includes(lower)) return { error: `Priority must be one of ${context.priorities.join(', ')}.` };
+      return { test: (task) => context.priorityOf(task) === lower };
+    }
+    case 'eta': {
+      const [operator, number] = splitComparison(value);
+      const points = Number(number);
+      if (number === '' || !Number.isFinite(points)) return { error: 'Points must be a number, e.g. eta:>3.' };
+      return { test: (task) => compare(task.eta || 0, operator, points) };
+    }
+    case 'has': {
+      if (!HAS_VALUES[lower]) return { error: `"has:" takes ${Object.keys(HAS_VALUES).join(', ')}.` };
+      return { test: HAS_VALUES[lower] };
+    }
+    case 'is': {
+      if (!IS_VALUES[lower]) return { error: `"is:" takes ${Object.keys(IS_VALUES).join(', ')}.` };
+      return { test: (task) => IS_VALUES[lower](task, context) };
+    }
+    case 'title':
+      return { test: (task) => includesText(task.title, lower) };
+    case 'desc':
+      return { test: (task) => includesText(task.description, lower) };
+    default: {
+      const [operator, dateText] = splitComparison(lower);
+      const day = parseDay(dateText);
+      if (day === null) return { error: `"${dateText}" is not a date. Use YYYY-MM-DD, today, yesterday or tomorrow.` };
+      const key = DATE_FIELDS[field];
+      return { test: (task) => !!task[key] && compare(startOfDay(task[key]), operator, day) };
+    }
+  }
+};
+
+// Parse search text. Returns { tokens, errors: [{ start, end, message }], test(task) };
+// terms with errors are left out of `test` so the rest of the query still applies.
+export const parseTaskQuery = (text, context) => {
+  const tokens = tokenizeQuery(text || '');
+  const errors = [];
+  const tests = [];
+  tokens.forEach(token => {
+    const { test, error } = compileToken(token, context);
+    if (error) {
+      errors.push({ start: token.start, end: token.end, message: error });
+    } else {
+      tests.push(token.negated ? (task) => !test(task) : test);
+    }
+  });
+  return { tokens, errors, test: (task) => tests.every(check => check(task)) };
+};
+
+const quoteIfNeeded = (value) => (/[\s"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value);
+
+// Completions for the term at the cursor: field names, or values for the field being typed.
+// Returns { start, end, items: [{ label, hint, insert }] }, where `insert` replaces start..end.
+export const getQuerySuggestions = (text, cursor, context) => {
+  const token = tokenizeQuery(text).find(t => t.start <= cursor && cursor <= t.end);
+  const start = token ? token.start : cursor;
+  const end = token ? token.end : cursor;
+  const prefix = token && token.negated ? '-' : '';
+
+  // Still typing the field name (or plain text)
+  if (!token || token.field === null) {
+    const typed = token ? text.slice(start + prefix.length, cursor).toLowerCase() : '';
+    if (token && token.quoted) return { start, end, items: [] };
+    const items = QUERY_FIELDS
+      .filter(field => field.name.startsWith(typed) && field.name !== typed)
+      .map(field => ({ label: `${field.name}:`, hint: field.hint, insert: `${prefix}${field.name}:` }));
+    return { start, end, items };
+  }
+
+  const valuesByField = {
+    status: context.statuses,
+    label: context.labels,
+    priority: context.priorities,
+    has: Object.keys(HAS_VALUES),
+    is: Object.keys(IS_VALUES),
+    due: ['today', 'tomorrow'],
+    start: ['today'],
+    created: ['today'],
+    completed: ['today'],
+  };
+  const values = valuesByField[token.field] || [];
+  const typed = token.value.toLowerCase();
+  const items = values
+    .filter(value => value.toLowerCase().startsWith(typed) && value.toLowerCase() !== typed)
+    .map(value => ({ label: value, hint: `${token.field}:`, insert: `${prefix}${token.field}:${quoteIfNeeded(value)} ` }));
+  return { start, end, items };
+};
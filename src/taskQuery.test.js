@@ -0,0 +1,168 @@
+import { tokenizeQuery, parseTaskQuery, getQuerySuggestions } from './taskQuery';
+import { startOfDay } from './dates';
+
+const context = {
+  statuses: ['Opened', 'In Progress', 'Completed'],
+  labels: ['bug', 'needs review'],
+  priorities: ['urgent', 'high', 'medium', 'low'],
+  priorityOf: (task) => task.priority || 'medium',
+  isOverdue: (task) => !!task.overdue,
+  isBlocked: (task) => !!task.blocked,
+};
+
+// A YYYY-MM-DD day read the way the app's date inputs store it
+const day = (text) => startOfDay(new Date(text).getTime());
+
+const task = (overrides = {}) => ({
+  id: 't',
+  title: 'Fix login',
+  description: 'The login form rejects valid passwords',
+  status: 'Opened',
+  eta: 3,
+  dueDate: null,
+  completedDate: null,
+  createdAt: day('2026-10-01'),
+  subtasks: [],
+  labels: [],
+  ...overrides,
+});
+
+const matches = (text, target) => parseTaskQuery(text, context).test(target);
+
+describe('tokenizeQuery', () => {
+  test('splits plain words and remembers their positions', () => {
+    expect(tokenizeQuery('bug  login')).toEqual([
+      { start: 0, end: 3, negated: false, field: null, value: 'bug', quoted: false, unterminated: false },
+      { start: 5, end: 10, negated: false, field: null, value: 'login', quoted: false, unterminated: false },
+    ]);
+  });
+
+  test('keeps quoted text together, with or without a field', () => {
+    const [phrase, status] = tokenizeQuery('"needs review" status:"In Progress"');
+    expect(phrase).toMatchObject({ field: null, value: 'needs review', quoted: true });
+    expect(status).toMatchObject({ field: 'status', value: 'In Progress', quoted: true, end: 35 });
+  });
+
+  test('reads a leading minus as negation, but not a lone one', () => {
+    expect(tokenizeQuery('-label:bug')[0]).toMatchObject({ negated: true, field: 'label', value: 'bug' });
+    expect(tokenizeQuery('- x')[0]).toMatchObject({ negated: false, value: '-' });
+  });
+
+  test('flags a missing closing quote', () => {
+    expect(tokenizeQuery('title:"half')[0]).toMatchObject({ value: 'half', unterminated: true });
+  });
+
+  test('treats a colon after non-letters as plain text', () => {
+    expect(tokenizeQuery('10:30')[0]).toMatchObject({ field: null, value: '10:30' });
+  });
+});
+
+describe('parseTaskQuery', () => {
+  test('matches plain words in the title, description or subtask titles', () => {
+    expect(matches('LOGIN', task())).toBe(true);
+    expect(matches('passwords', task())).toBe(true);
+    expect(matches('deploy', task({ subtasks: [{ id: 's', title: 'Deploy fix' }] }))).toBe(true);
+    expect(matches('logout', task())).toBe(false);
+  });
+
+  test('requires every term to match', () => {
+    expect(matches('login form', task())).toBe(true);
+    expect(matches('login logout', task())).toBe(false);
+  });
+
+  test('matches quoted phrases exactly, spaces included', () => {
+    expect(matches('"login form"', task())).toBe(true);
+    expect(matches('"form login"', task())).toBe(false);
+  });
+
+  test('excludes matches of negated terms', () => {
+    expect(matches('-login', task())).toBe(false);
+    expect(matches('-label:bug', task({ labels: ['bug'] }))).toBe(false);
+    expect(matches('-label:bug', task())).toBe(true);
+  });
+
+  test('matches field terms case-insensitively', () => {
+    expect(matches('status:"in progress"', task({ status: 'In Progress' }))).toBe(true);
+    expect(matches('label:Bug', task({ labels: ['bug'] }))).toBe(true);
+    expect(matches('priority:high', task({ priority: 'high' }))).toBe(true);
+    expect(matches('title:passwords', task())).toBe(false);
+    expect(matches('desc:passwords', task())).toBe(true);
+  });
+
+  test('compares points', () => {
+    expect(matches('eta:>2', task())).toBe(true);
+    expect(matches('eta:>=3', task())).toBe(true);
+    expect(matches('eta:<3', task())).toBe(false);
+    expect(matches('eta:3', task())).toBe(true);
+  });
+
+  test('compares dates by day, ignoring the time of day', () => {
+    const dueLate = task({ dueDate: day('2026-11-01') + 20 * 60 * 60 * 1000 });
+    expect(matches('due:2026-11-01', dueLate)).toBe(true);
+    expect(matches('due:<2026-11-01', dueLate)).toBe(false);
+    expect(matches('due:<=2026-11-01', dueLate)).toBe(true);
+    expect(matches('due:>2026-10-31', dueLate)).toBe(true);
+    expect(matches('created:<2026-10-02', task())).toBe(true);
+  });
+
+  test('never matches a date field the task lacks', () => {
+    expect(matches('due:>2000-01-01', task())).toBe(false);
+    expect(matches('-due:>2000-01-01', task())).toBe(true);
+  });
+
+  test('understands today, yesterday and tomorrow', () => {
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+    const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime();
+    expect(matches('due:today', task({ dueDate: today }))).toBe(true);
+    expect(matches('due:tomorrow', task({ dueDate: tomorrow }))).toBe(true);
+    expect(matches('due:<today', task({ dueDate: tomorrow }))).toBe(false);
+    expect(matches('due:yesterday', task({ dueDate: today }))).toBe(false);
+  });
+
+  test('uses the context for has: and is: values', () => {
+    expect(matches('has:subtasks', task())).toBe(false);
+    expect(matches('has:description', task())).toBe(true);
+    expect(matches('is:overdue', task({ overdue: true }))).toBe(true);
+    expect(matches('is:blocked', task())).toBe(false);
+    expect(matches('is:done', task({ completedDate: day('2026-10-05') }))).toBe(true);
+    expect(matches('is:open', task({ completedDate: day('2026-10-05') }))).toBe(false);
+  });
+
+  test('reports errors with their position and leaves those terms out', () => {
+    const query = parseTaskQuery('login owner:me', context);
+    expect(query.errors).toEqual([{ start: 6, end: 14, message: expect.stringMatching(/^Unknown field "owner:"/) }]);
+    expect(query.test(task())).toBe(true);
+  });
+
+  test('rejects unknown values and malformed comparisons', () => {
+    const messages = (text) => parseTaskQuery(text, context).errors.map(error => error.message);
+    expect(messages('status:Done')).toEqual(['No column named "Done".']);
+    expect(messages('label:feature')).toEqual(['No label named "feature".']);
+    expect(messages('priority:huge')[0]).toMatch(/^Priority must be one of/);
+    expect(messages('eta:>lots')).toEqual(['Points must be a number, e.g. eta:>3.']);
+    expect(messages('eta:>')).toEqual(['Points must be a number, e.g. eta:>3.']);
+    expect(messages('due:2026-13-45')[0]).toMatch(/is not a date/);
+    expect(messages('due:next-week')[0]).toMatch(/"next-week" is not a date/);
+    expect(messages('has:')).toEqual(['"has:" needs a value.']);
+    expect(messages('title:"open')).toEqual(['Missing closing quote.']);
+  });
+
+  test('matches everything when empty', () => {
+    expect(parseTaskQuery('', context).test(task())).toBe(true);
+    expect(parseTaskQuery(undefined, context).errors).toEqual([]);
+  });
+});
+
+describe('getQuerySuggestions', () => {
+  test('suggests field names while one is being typed', () => {
+    const { start, end, items } = getQuerySuggestions('st', 2, context);
+    expect([start, end]).toEqual([0, 2]);
+    expect(items.map(item => item.label)).toEqual(['status:', 'start:']);
+  });
+
+  test('suggests values for the field, quoting names with spaces', () => {
+    const { items } = getQuerySuggestions('-status:in', 10, context);
+    expect(items).toEqual([{ label: 'In Progress', hint: 'status:', insert: '-status:"In Progress" ' }]);
+  });
+});
@@ -0,0 +1,106 @@
+// --- Trash ---
+// Deleted tasks and subtasks wait in the board's `trash` until they're restored or purged:
+//   { id, type: 'task', deletedAt, task, blocking }   `blocking`: ids of the tasks it was blocking
+//   { id, type: 'subtask', deletedAt, subtask, taskId, taskTitle }
+// Entries older than the board's `trashRetentionDays` are purged automatically.
+
+import { DAY_MS } from './dates';
+import { ARCHIVED_STATUS, generateId, sanitizeTrashRetentionDays } from './boardData';
+
+// Move tasks to the trash. Tasks they were blocking stop waiting on them until they're restored.
+export const trashTasks = (tasks, trash, taskIds, deletedAt = Date.now()) => {
+  const ids = new Set(taskIds);
+  const entries = tasks.filter(task => ids.has(task.id)).map(task => ({
+    id: generateId(),
+    type: 'task',
+    deletedAt,
+    task,
+    blocking: tasks.filter(other => (other.blockedBy || []).includes(task.id)).map(other => other.id),
+  }));
+  return {
+    tasks: tasks
+      .filter(task => !ids.has(task.id))
+      .map(task => ((task.blockedBy || []).some(id => ids.has(id)) ? { ...task, blockedBy: task.blockedBy.filter(id => !ids.has(id)) } : task)),
+    trash: [...entries, ...trash],
+  };
+};
+
+// Trash entries for the subtasks `previous` had and `next` no longer has
+export const trashRemovedSubtasks = (previous, next, trash, deletedAt = Date.now()) => {
+  const keptIds = new Set((next.subtasks || []).map(sub => sub.id));
+  const entries = (previous?.subtasks || []).filter(sub => !keptIds.has(sub.id)).map(subtask => ({
+    id: generateId(),
+    type: 'subtask',
+    deletedAt,
+    subtask,
+    taskId: next.id,
+    taskTitle: next.title,
+  }));
+  return entries.length > 0 ? [...entries, ...trash] : trash;
+};
+
+// Put a trashed task or subtask back. A task whose column or sprint is gone by now goes to the
+// first column and the backlog, and only waits on blockers that are still on the board.
+export const restoreTrashEntry = (tasks, entry, statuses, sprints) => {
+  if (entry.type === 'subtask') {
+    return tasks.map(task => (task.id === entry.taskId ? { ...task, subtasks: [...(task.subtasks || []), entry.subtask] } : task));
+  }
+  const { task } = entry;
+  const others = tasks.filter(other => other.id !== task.id);
+  const otherIds = new Set(others.map(other => other.id));
+  const keepsStatus = task.status === ARCHIVED_STATUS || statuses.includes(task.status);
+  const restored = {
+    ...task,
+    status: keepsStatus ? task.status : statuses[0],
+    completedDate: keepsStatus ? task.completedDate : null,
+    sprintId: sprints.some(sprint => sprint.id === task.sprintId) ? task.sprintId : null,
+    blockedBy: (task.blockedBy || []).filter(id => otherIds.has(id)),
+  };
+  const blocking = new Set(entry.blocking);
+  return [
+    ...others.map(other => (blocking.has(other.id) && !(other.blockedBy || []).includes(task.id)
+      ? { ...other, blockedBy: [...(other.blockedBy || []), task.id] }
+      : other)),
+    restored,
+  ];
+};
+
+// Trash without the given entries. Purging a task also purges its trashed subtasks,
+// which have nowhere to go back to.
+export const purgeTrashEntries = (trash, entryIds) => {
+  const ids = new Set(entryIds);
+  const purgedTaskIds = new Set(trash.filter(entry => ids.has(entry.id) && entry.type === 'task').map(entry => entry.task.id));
+  return trash.filter(entry => !ids.has(entry.id) && !(entry.type === 'subtask' && purgedTaskIds.has(entry.taskId)));
+};
+
+// Boards with their expired trash purged (the same array when nothing expired)
+export const applyTrashRetention = (boards, now = Date.now()) => {
+  let changed = false;
+  const nextBoards = boards.map(board => {
+    const trash = board.trash || [];
+    const cutoff = now - sanitizeTrashRetentionDays(board.trashRetentionDays) * DAY_MS;
+    const expired = trash.filter(entry => entry.deletedAt < cutoff);
+    if (expired.length === 0) return board;
+    changed = true;
+    return { ...board, trash: purgeTrashEntries(trash, expired.map(entry => entry.id)) };
+  });
+  return changed ? nextBoards : boards;
+};
+
+// Entries purged between two versions of the boards, as [{ boardId, entries }]: gone from the
+// trash without their task or subtask being back on the board
+export const findPurgedEntries = (beforeBoards, afterBoards) => {
+  const afterById = new Map(afterBoards.map(board => [board.id, board]));
+  return beforeBoards.flatMap(board => {
+    const after = afterById.get(board.id);
+    const trash = board.trash || [];
+    if (!after || after.trash === board.trash || trash.length === 0) return [];
+    const keptIds = new Set((after.trash || []).map(entry => entry.id));
+    const taskIds = new Set(after.tasks.map(task => task.id));
+    const subtaskIds = new Set(after.tasks.flatMap(task => (task.subtasks || []).map(sub => sub.id)));
+    const entries = trash.filter(entry => !keptIds.has(entry.id) && (
+      entry.type === 'task' ? !taskIds.has(entry.task.id) : !subtaskIds.has(entry.subtask.id)
+    ));
+    return entries.length > 0 ? [{ boardId: board.id, entries }] : [];
+  });
+};
@@ -0,0 +1,124 @@
+import { trashTasks, trashRemovedSubtasks, restoreTrashEntry, purgeTrashEntries, applyTrashRetention, findPurgedEntries } from './trash';
+
+if (!global.crypto) global.crypto = {};
+if (!global.crypto.randomUUID) global.crypto.randomUUID = () => Math.random().toString(36).slice(2);
+
+const DAY = 24 * 60 * 60 * 1000;
+const STATUSES = ['To Do', 'Done'];
+
+const task = (id, overrides = {}) => ({
+  id,
+  title: `Task ${id}`,
+  description: '',
+  status: 'To Do',
+  eta: 1,
+  dueDate: null,
+  completedDate: null,
+  createdAt: 1000,
+  subtasks: [],
+  ...overrides,
+});
+
+const subtask = (id) => ({ id, title: `Sub ${id}`, completed: false, eta: 1, dueDate: null });
+
+describe('trashTasks', () => {
+  test('moves tasks to the trash and unblocks the tasks they were blocking', () => {
+    const tasks = [task('a'), task('b', { blockedBy: ['a', 'c'] }), task('c')];
+    const { tasks: remaining, trash } = trashTasks(tasks, [{ id: 'older' }], ['a'], 500);
+
+    expect(remaining.map(t => t.id)).toEqual(['b', 'c']);
+    expect(remaining[0].blockedBy).toEqual(['c']);
+    expect(remaining[1]).toBe(tasks[2]);
+    expect(trash).toEqual([{ id: expect.any(String), type: 'task', deletedAt: 500, task: tasks[0], blocking: ['b'] }, { id: 'older' }]);
+  });
+});
+
+describe('trashRemovedSubtasks', () => {
+  test('adds an entry for each subtask the edit removed', () => {
+    const previous = task('a', { subtasks: [subtask('s1'), subtask('s2')] });
+    const next = { ...previous, title: 'Renamed', subtasks: [subtask('s2')] };
+    const trash = trashRemovedSubtasks(previous, next, [], 500);
+    expect(trash).toEqual([{ id: expect.any(String), type: 'subtask', deletedAt: 500, subtask: subtask('s1'), taskId: 'a', taskTitle: 'Renamed' }]);
+
+    const unchanged = [];
+    expect(trashRemovedSubtasks(previous, previous, unchanged)).toBe(unchanged);
+  });
+});
+
+describe('restoreTrashEntry', () => {
+  test('puts a task back and makes the tasks it blocked wait on it again', () => {
+    const tasks = [task('a'), task('b', { blockedBy: ['a'] })];
+    const { tasks: remaining, trash } = trashTasks(tasks, [], ['a']);
+    const restored = restoreTrashEntry(remaining, trash[0], STATUSES, []);
+    expect(restored.map(t => t.id)).toEqual(['b', 'a']);
+    expect(restored[0].blockedBy).toEqual(['a']);
+  });
+
+  test('sends a task whose column or sprint is gone to the first column and the backlog', () => {
+    const entry = { id: 'e', type: 'task', task: task('a', { status: 'Review', completedDate: 5, sprintId: 'gone', blockedBy: ['x'] }), blocking: [] };
+    expect(restoreTrashEntry([], entry, STATUSES, [])[0]).toMatchObject({ status: 'To Do', completedDate: null, sprintId: null, blockedBy: [] });
+    const archived = { ...entry, task: task('a', { status: 'Archived', completedDate: 5 }) };
+    expect(restoreTrashEntry([], archived, STATUSES, [])[0]).toMatchObject({ status: 'Archived', completedDate: 5 });
+  });
+
+  test('puts a subtask back on its task', () => {
+    const entry = { id: 'e', type: 'subtask', subtask: subtask('s1'), taskId: 'a', taskTitle: 'Task a' };
+    const restored = restoreTrashEntry([task('a', { subtasks: [subtask('s2')] })], entry, STATUSES, []);
+    expect(restored[0].subtasks.map(sub => sub.id)).toEqual(['s2', 's1']);
+  });
+});
+
+describe('purgeTrashEntries', () => {
+  test('purging a task also purges its trashed subtasks', () => {
+    const trash = [
+      { id: 't', type: 'task', task: task('a') },
+      { id: 's', type: 'subtask', subtask: subtask('s1'), taskId: 'a' },
+      { id: 'other', type: 'subtask', subtask: subtask('s2'), taskId: 'b' },
+    ];
+    expect(purgeTrashEntries(trash, ['t']).map(entry => entry.id)).toEqual(['other']);
+  });
+});
+
+describe('applyTrashRetention', () => {
+  const now = 100 * DAY;
+  const board = (id, trash, trashRetentionDays) => ({ id, tasks: [], trash, trashRetentionDays });
+
+  test('purges entries older than each board\'s retention period', () => {
+    const boards = [
+      board('default', [{ id: 'old', type: 'task', deletedAt: now - 31 * DAY, task: task('a') }, { id: 'new', type: 'task', deletedAt: now - 29 * DAY, task: task('b') }]),
+      board('week', [{ id: 'old', type: 'task', deletedAt: now - 8 * DAY, task: task('c') }], 7),
+    ];
+    const result = applyTrashRetention(boards, now);
+    expect(result.map(b => b.trash.map(entry => entry.id))).toEqual([['new'], []]);
+  });
+
+  test('returns the same boards when nothing expired', () => {
+    const boards = [board('b', [{ id: 'new', type: 'task', deletedAt: now - DAY, task: task('a') }]), board('empty')];
+    expect(applyTrashRetention(boards, now)).toBe(boards);
+  });
+});
+
+describe('findPurgedEntries', () => {
+  test('lists entries that left the trash without being restored', () => {
+    const taskEntry = { id: 't', type: 'task', task: task('a') };
+    const subtaskEntry = { id: 's', type: 'subtask', subtask: subtask('s1'), taskId: 'b' };
+    const restoredEntry = { id: 'r', type: 'task', task: task('c') };
+    const before = [
+      { id: 'b1', tasks: [task('b')], trash: [taskEntry, subtaskEntry, restoredEntry] },
+      { id: 'b2', tasks: [], trash: [{ id: 'kept', type: 'task', task: task('d') }] },
+    ];
+    const after = [
+      { ...before[0], tasks: [task('b'), task('c')], trash: [] },
+      { ...before[1], tasks: [task('e')] },
+    ];
+    expect(findPurgedEntries(before, after)).toEqual([{ boardId: 'b1', entries: [taskEntry, subtaskEntry] }]);
+  });
+
+  test('finds nothing when a subtask was put back or the trash is unchanged', () => {
+    const entry = { id: 's', type: 'subtask', subtask: subtask('s1'), taskId: 'b' };
+    const before = [{ id: 'b1', tasks: [task('b')], trash: [entry] }];
+    const after = [{ id: 'b1', tasks: [task('b', { subtasks: [subtask('s1')] })], trash: [] }];
+    expect(findPurgedEntries(before, after)).toEqual([]);
+    expect(findPurgedEntries(before, before)).toEqual([]);
+  });
+});